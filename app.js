@@ -1,36 +1,58 @@
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
-const axios = require('axios');
-const { exec } = require('child_process');
 const path = require('path');
 require('dotenv').config();
-const { personalities } = require('./personalities');
+const { SessionStore, NoActivePersonalityError } = require('./sessions');
+const { PersonalityRegistry } = require('./personalities');
+const { createPersonalityRouter } = require('./personality-api');
+const { timeLog } = require('./utils');
+const { createSttProvider } = require('./stt');
+const { createTtsProvider } = require('./tts');
+const { createLlmClient } = require('./llm');
+const { streamSpokenResponse } = require('./pipeline');
+const { attachSessionSocket } = require('./session-socket');
+const { PersonalityWorkQueue } = require('./jobs');
+const { PersonalityRouter } = require('./routing');
+const { createLlmSummarizer } = require('./memory');
+const { FillerLibrary, DEFAULT_FALLBACKS } = require('./fillers');
+const { SessionRecorder, groupTurns } = require('./recorder');
+const { wavDurationMs } = require('./wav');
+const { createRecordingRouter } = require('./recording-api');
+const { AudioStore, CachedSynthesizer, createAudioRouter, sendAudioFile } = require('./audio-store');
+const { ResponseGuard, ResponseRejectedError, limitWords } = require('./responses');
+const { Telemetry } = require('./telemetry');
+const { SettingsStore } = require('./settings');
+const { createSettingsRouter } = require('./settings-api');
+const { ResilientService, withResilience, serviceConfigFromEnv, isServiceFailure } = require('./resilience');
+const { AudioConverter, AudioFormatError, resolveAudioFormat } = require('./audio-formats');
+const { ScenarioRegistry, ScenarioValidationError } = require('./scenarios');
+const { CoachingReporter, ReportStore } = require('./reports');
+const { createScenarioRouter, createReportRouter } = require('./scenario-api');
 
 const app = express();
-const port = 3000;
+const port = process.env.PORT === undefined ? 3000 : Number(process.env.PORT);   // PORT=0 picks a free port
 
 // Add these middleware configurations before your routes
-app.use(express.json({limit: '50mb'}));
+// Audio is uploaded as binary (see audioUpload); base64 audio in JSON is only accepted from older clients
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
-const FormData = require('form-data');
-
-// Either local or remote
-const COMPUTE_IP = process.env.REMOTE_DESKTOP_IP;
+// Stage timings of every request and utterance, exported at GET /metrics; X-Request-Id correlates them across tiers
+const telemetry = new Telemetry({ ignorePaths: ['/metrics', '/traces'] });
+app.use(telemetry.middleware());
 
 // Add these path constants near the top of the file
-const AUDIO_DIR = path.join(__dirname, 'audio');
-const UPLOADS_DIR = path.join(AUDIO_DIR, 'uploads');
+const AUDIO_DIR = process.env.AUDIO_DIR || path.join(__dirname, 'audio');
 const RESPONSES_DIR = path.join(AUDIO_DIR, 'responses');
 const INITIAL_DIR = path.join(AUDIO_DIR, 'initial');
 
-//Single or multiple personalities
+// How the answering personality is chosen: single, multiple (round-robin), keyword, classifier or ensemble
 const PERSONALITY_MODE = process.env.PERSONALITY_MODE || 'single';
 
 // Initialize the audio directories
 function initializeAudioDirectories() {
-    [AUDIO_DIR, UPLOADS_DIR, RESPONSES_DIR, INITIAL_DIR].forEach(dir => {
+    [AUDIO_DIR, RESPONSES_DIR, INITIAL_DIR].forEach(dir => {
         if (!fs.existsSync(dir)) {
             fs.mkdirSync(dir, { recursive: true });
             timeLog(`Created directory: ${dir}`);
@@ -38,111 +60,407 @@ function initializeAudioDirectories() {
     });
 }
 
-// Update lastGeneratedAudio path
-let lastGeneratedAudio = path.join(INITIAL_DIR, 'initial_response.mp3');
-
-// Add this utility function at the top of your file
-function timeLog(message, startTime) {
-    const elapsed = startTime ? ((Date.now() - startTime) / 1000).toFixed(2) : 0;
-    const timestamp = new Date().toLocaleTimeString();
-    console.log(`[${timestamp}] ${message}${startTime ? ` (${elapsed}s)` : ''}`);
-    return Date.now();
+// Personality definitions, one JSON/YAML file each; edits are picked up without a restart
+const personalityRegistry = new PersonalityRegistry({ dir: process.env.PERSONALITIES_DIR }).load().watch();
+app.use('/personalities', createPersonalityRouter(personalityRegistry));
+
+// Practice scenarios (job interview, salary negotiation, ...): the user's goal and background for the personalities
+const scenarioRegistry = new ScenarioRegistry({ dir: process.env.SCENARIOS_DIR }).load().watch();
+app.use('/scenarios', createScenarioRouter(scenarioRegistry));
+
+// Per-user VAD and playback settings, applied by the browser without a reload
+const settingsStore = new SettingsStore({ dir: process.env.USER_SETTINGS_DIR });
+app.use('/settings', createSettingsRouter(settingsStore));
+
+// External services with a timeout, retries for transient failures and a circuit breaker each (<NAME>_TIMEOUT_MS,
+// <NAME>_RETRIES, RETRY_BACKOFF_MS, BREAKER_FAILURE_THRESHOLD, BREAKER_RESET_MS); their state is served at GET /health
+const services = {};
+function makeResilient(name, provider, defaults) {
+    services[name] = new ResilientService({
+        name,
+        provider: provider.name,
+        ...serviceConfigFromEnv(name.toUpperCase(), process.env, defaults)
+    });
+    return withResilience(provider, services[name]);
 }
 
-// Update synthesizeSpeech to use personality-specific voice
-async function synthesizeSpeech(text, outputPath, voiceId) {
-    const apiKey = process.env.ELEVENLABS_API_KEY;
-    const modelId = process.env.ELEVENLABS_MODEL_ID;
-
-    const response = await axios.post(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
-        text,
-        model_id: modelId,
-    }, {
-        headers: {
-            'xi-api-key': apiKey,
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json'
-        }, 
-        responseType: 'arraybuffer'
-    });
+// Speech-to-text backend, selected with STT_PROVIDER
+const sttProvider = makeResilient('stt', createSttProvider(), { timeoutMs: 30000, retries: 2 });
+
+// Text-to-speech backend, selected with TTS_PROVIDER
+const ttsProvider = makeResilient('tts', createTtsProvider(), { timeoutMs: 20000, retries: 2 });
+
+// Chat LLM backend, selected with LLM_PROVIDER; LLM_TIMEOUT_MS also bounds the wait for each streamed token
+const llmClient = makeResilient('llm', createLlmClient(), { timeoutMs: 30000, retries: 1 });
+
+// Each client gets its own personalities, history and last audio; idle sessions expire
+const sessions = new SessionStore({
+    registry: personalityRegistry,
+    personalityMode: PERSONALITY_MODE,
+    initialAudio: path.join(INITIAL_DIR, 'initial_response.mp3'),
+    idleTimeoutMs: Number(process.env.SESSION_IDLE_TIMEOUT_MS) || undefined,
+    summarizer: createLlmSummarizer(llmClient, { model: process.env.SUMMARY_MODEL }),
+    // The recorder lets go of the session's recording, and a scenario practised since the last report gets one
+    onExpire: (session) => {
+        recorder.release(session.id).catch(error => console.error('Could not finish recording:', error.message));
+        if (session.scenario && session.reportedTurn !== session.turnCount) {
+            reportSession(session).catch(error => console.error('Could not report on expired session:', error.message));
+        }
+    }
+});
 
-    fs.writeFileSync(outputPath, Buffer.from(response.data));
-    return outputPath;
+// Coaching reports on finished sessions: goal progress, key moments and what each personality flagged
+const coachingReporter = new CoachingReporter({ llmClient, model: process.env.REPORT_MODEL });
+const reportStore = new ReportStore({ dir: process.env.REPORTS_DIR });
+app.use('/reports', sessionMiddleware, createReportRouter(reportStore));
+
+// Review the session so far and store the report under its session id (a later report replaces it)
+async function reportSession(session) {
+    session.reportedTurn = session.turnCount;
+    const report = await reportStore.save(await coachingReporter.generate(session));
+    timeLog(`Stored coaching report for session ${session.id}`);
+    return report;
 }
 
-// Update the transcribeAudio function
-async function transcribeAudio(filePath) {
-    const startTime = timeLog('Starting Whisper transcription...');
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(filePath));
-    formData.append('model', 'whisper-1');
+// Resolve the caller's session from the X-Session-Id header (or ?sessionId=), issuing a new one if needed
+function sessionMiddleware(req, res, next) {
+    req.clientSession = sessions.getOrCreate(req.get('X-Session-Id') || req.query.sessionId);
+    res.set('X-Session-Id', req.clientSession.id);
+    if (req.trace) {
+        req.trace.sessionId = req.clientSession.id;
+    }
+    next();
+}
+
+// Content types for the initial response audio
+const AUDIO_CONTENT_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav'
+};
 
+// Synthesized audio, stored by a hash of provider, voice, model and text so repeated phrases are served from disk.
+// Idle and excess files are evicted in the background; audio still referenced by a session or job is kept.
+const audioStore = new AudioStore({
+    dir: RESPONSES_DIR,
+    maxBytes: Number(process.env.AUDIO_STORE_MAX_MB) * 1024 * 1024 || undefined,
+    maxAgeMs: Number(process.env.AUDIO_STORE_MAX_AGE_MS) || undefined,
+    getPinnedPaths: () => new Set([...sessions.getLastAudioFiles(), ...jobQueue.getAudioFiles()])
+});
+audioStore.load().catch(error => console.error('Could not index the audio store:', error.message));
+app.use('/audio', createAudioRouter(audioStore));
+
+// All synthesis goes through the store
+const cachedTts = new CachedSynthesizer(ttsProvider, audioStore);
+telemetry.addCollector(() => [
+    { name: 'audio_store_bytes', help: 'Size of the synthesized audio store', value: audioStore.totalBytes },
+    { name: 'audio_store_files', help: 'Files in the synthesized audio store', value: audioStore.entries.size },
+    { name: 'tts_cache_hits_total', help: 'Phrases answered from the audio store', type: 'counter', value: cachedTts.hits },
+    { name: 'tts_cache_misses_total', help: 'Phrases sent to the TTS provider', type: 'counter', value: cachedTts.misses }
+]);
+
+// Converts uploads the STT provider cannot take as they are (other formats, WAV at the wrong rate)
+const audioConverter = new AudioConverter({ ffmpegBinary: process.env.FFMPEG_BINARY });
+
+// Transcribe in-memory audio ({buffer, format, name?}) through the configured STT provider
+async function transcribeAudio(audio) {
+    const prepared = await audioConverter.prepare(audio, sttProvider);
+    const startTime = timeLog(`Starting ${sttProvider.name} transcription...`);
     try {
-        const response = await axios.post('https://api.openai.com/v1/audio/transcriptions', formData, {
-            headers: {
-                ...formData.getHeaders(),
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            }
-        });
-        timeLog('Whisper transcription complete', startTime);
-        return response.data.text;
+        const text = await sttProvider.transcribe(prepared);
+        timeLog(`${sttProvider.name} transcription complete`, startTime);
+        return text;
     } catch (error) {
-        timeLog('Whisper API Error');
+        timeLog(`${sttProvider.name} STT error`);
         console.error(error.response?.data || error.message);
-        throw new Error("Transcription failed");
+        throw new Error("Transcription failed", { cause: error });
     }
 }
 
-// Modify the queryLlama function to be simpler
-async function queryLlama(prompt) {
-    timeLog('Starting Llama query...');
+// Send role-tagged chat messages to the configured LLM
+async function queryLlama(messages, options = {}) {
+    const startTime = timeLog(`Starting ${llmClient.name} query...`);
     try {
-        const response = await axios.post(`http://${COMPUTE_IP}:11434/api/generate`, {
-            model: 'llama3.1:8b',
-            prompt: prompt,
-            stream: false
-        });
-        timeLog('Llama query completed');
-        return response.data.response;
+        const response = await llmClient.chat(messages, options);
+        timeLog(`${llmClient.name} query completed`);
+        telemetry.observe('llm_request', Date.now() - startTime);
+        return response;
     } catch (error) {
-        timeLog('Llama query error');
-        console.error('Ollama API Error:', error.response?.data || error.message);
+        if (options.signal?.aborted) {
+            throw error;
+        }
+        timeLog(`${llmClient.name} query error`);
+        console.error('LLM API Error:', error.response?.data || error.message);
         throw error;
     }
 }
 
-// Add a central personality manager
-const PersonalityManager = {
-    // Tracked personalities
-    activePersonalities: ['advisor', 'critic', 'supporter'],
-    currentPersonalityIndex: 0,
-    currentPersonality: null,
-
-    //
-    setPersonality(personalityId) {
-      this.currentPersonality = personalities[personalityId];
-    },
-
-    // Get the next personality to respond (round-robin style)
-    getNextPersonality() {
-        const personalityId = this.activePersonalities[this.currentPersonalityIndex];
-        this.currentPersonalityIndex = (this.currentPersonalityIndex + 1) % this.activePersonalities.length;
-        return personalities[personalityId];
-    },
-    
-    // Choose a specific personality
-    getPersonality(id) {
-        return personalities[id] || personalities['advisor']; // Default to advisor
-    },
-    
-    // Get all personalities
-    getAllPersonalities() {
-        return this.activePersonalities.map(id => personalities[id]);
+// Opt-in recordings of whole sessions (RECORD_SESSIONS=true, or ?record=1 on the session socket)
+const recorder = new SessionRecorder({
+    dir: process.env.RECORDINGS_DIR,
+    enabled: process.env.RECORD_SESSIONS === 'true'
+});
+
+// Cleans LLM replies before they are spoken, holds them to each personality's numWords and counts violations
+const responseGuard = new ResponseGuard({ maxAttempts: Number(process.env.RESPONSE_MAX_ATTEMPTS) || undefined });
+
+// Ask the LLM for a reply that passes the response guard; an ensemble draft counts as the first attempt
+function queryGuardedReply(personality, presetResponse, signal) {
+    const messages = personality.getMessages();
+    let draft = presetResponse;
+    return responseGuard.generate(personality, (extraMessages) => {
+        if (draft) {
+            const text = draft;
+            draft = null;
+            return text;
+        }
+        return queryLlama([...messages, ...extraMessages], { ...personality.llm, signal });
+    });
+}
+
+// Store a finished reply in the personality's own memory and in the session's shared transcript
+function recordReply(session, personality, response) {
+    personality.updateHistory(response, 'assistant');
+    session.transcript.add({ role: 'assistant', personalityId: personality.id, speaker: personality.name, content: response });
+}
+
+// Generate one reply for a personality, as session protocol events (see PROTOCOL.md):
+// personality_selected, response_text*, audio_chunk*, response_done. Text-only replies skip the audio events.
+// A presetResponse (drafted during ensemble routing) is used instead of querying the LLM again unless the response guard rejects it.
+// Aborting signal (a newer utterance superseded the reply, or it was cancelled) stops generation and synthesis.
+// When the LLM or TTS service is down, a canned fallback line is said instead (see sendFallbackReply).
+async function generateReply({ session, personality, transcription, wantsAudio, presetResponse, routingReason, emit, traceIds = [], queueWaitMs = 0, signal }) {
+    const startTime = timeLog(`Generating reply from ${personality.id}`);
+    const personalityId = personality.id;
+    personality.updateHistory(transcription, 'user');
+    telemetry.recordAll(traceIds, 'queue_wait', queueWaitMs, { personalityId });
+    emit = tapReplyTelemetry(traceIds, personalityId, emit);
+
+    const recording = recorder.forSession(session);
+    if (recording) {
+        emit = tapReplyRecording(recording, { personality, transcription, presetResponse, emit });
+    }
+    emit({ type: 'personality_selected', personalityId, name: personality.name, position: personality.position, reason: routingReason });
+
+    const audio = [];
+    try {
+        return await composeReply({ session, personality, wantsAudio, presetResponse, emit, signal, audio, startTime });
+    } catch (error) {
+        if (signal?.aborted || !isServiceFailure(error)) {
+            throw error;
+        }
+        timeLog(`Reply from ${personalityId} failed (${error.message}), using a fallback`);
+        return sendFallbackReply({ session, personality, wantsAudio, emit, audio });
+    }
+}
+
+// The LLM and TTS part of generateReply; synthesized phrases are collected in audio
+async function composeReply({ session, personality, wantsAudio, presetResponse, emit, signal, audio, startTime }) {
+    const personalityId = personality.id;
+    if (!wantsAudio) {
+        const response = await queryGuardedReply(personality, presetResponse, signal);
+        signal?.throwIfAborted();
+        recordReply(session, personality, response);
+        emit({ type: 'response_done', personalityId, text: response });
+        timeLog('Reply complete', startTime);
+        return { response, audio: [] };
     }
-};
+
+    const voice = personality.getVoice(ttsProvider.name);
+    const speak = (options) => streamSpokenResponse({
+        llmClient,
+        ttsProvider: cachedTts,
+        voice,
+        signal,
+        ...options,
+        onEvent: (event) => {
+            if (event.type === 'text') {
+                return emit({ type: 'response_text', personalityId, delta: event.text });
+            }
+
+            const entry = cachedTts.entryFor(event.text, voice);
+            if (event.index === 0) {
+                session.lastGeneratedAudio = entry.path;
+            }
+            audio.push({ index: event.index, text: event.text, contentType: entry.contentType, path: entry.path, audioId: entry.id });
+            emit({
+                type: 'audio_chunk',
+                personalityId,
+                position: personality.position,
+                index: event.index,
+                text: event.text,
+                contentType: entry.contentType,
+                audioId: entry.id,
+                audio: event.audio.toString('base64')
+            });
+        }
+    });
+
+    let response;
+    if (presetResponse) {
+        response = await speak({ presetText: await queryGuardedReply(personality, presetResponse, signal) });
+    } else {
+        // Phrases are cleaned and cut at the word budget as they stream; a reply with nothing speakable is redone
+        const phraseFilter = responseGuard.createPhraseFilter(personality);
+        response = await speak({ messages: personality.getMessages(), llmOptions: personality.llm, filterPhrase: phraseFilter.filter });
+        const failed = phraseFilter.finish(response);
+        if (failed) {
+            timeLog(`Streamed reply from ${personalityId} unusable (${failed.violations.join(', ')}), re-prompting`);
+            const messages = personality.getMessages();
+            const retry = await responseGuard.generate(personality,
+                extraMessages => queryLlama([...messages, ...extraMessages], { ...personality.llm, signal }), failed);
+            response = await speak({ presetText: retry });
+        }
+    }
+    recordReply(session, personality, response);
+
+    emit({ type: 'response_done', personalityId, text: response });
+    timeLog('Reply complete', startTime);
+    return { response, audio };
+}
+
+// Say one of the personality's fallback lines in place of a reply, with its pre-synthesized clip (npm run fillers)
+// when there is one. The line is marked fallback and is not kept in the history.
+async function sendFallbackReply({ session, personality, wantsAudio, emit, audio = [] }) {
+    const personalityId = personality.id;
+    const clip = fillerLibrary.pickFallback(personalityId, ttsProvider.name);
+    const lines = personality.fallbacks || DEFAULT_FALLBACKS;
+    const text = clip ? clip.text : lines[Math.floor(Math.random() * lines.length)];
+
+    if (wantsAudio && clip) {
+        const index = audio.length;
+        session.lastGeneratedAudio = clip.path;
+        audio.push({ index, text, contentType: clip.contentType, path: clip.path });
+        emit({
+            type: 'audio_chunk',
+            personalityId,
+            position: personality.position,
+            index,
+            text,
+            contentType: clip.contentType,
+            audio: (await fs.promises.readFile(clip.path)).toString('base64'),
+            fallback: true
+        });
+    }
+    emit({ type: 'response_done', personalityId, text, fallback: true });
+    return { response: text, audio, fallback: true };
+}
+
+// Time a reply's first text, first audio and completion on the traces of the utterances it answers
+function tapReplyTelemetry(traceIds, personalityId, emit) {
+    const startedAt = Date.now();
+    const seen = new Set();
+    const stages = {
+        response_text: 'llm_first_text',
+        audio_chunk: 'server_first_audio',
+        response_done: 'reply_total'
+    };
+    return (event) => {
+        const stage = stages[event.type];
+        if (stage && !seen.has(stage)) {
+            seen.add(stage);
+            telemetry.recordAll(traceIds, stage, Date.now() - startedAt, { personalityId });
+        }
+        return emit(event);
+    };
+}
+
+// Record one reply of a recorded session: the prompt, routing reason, audio and per-stage timings.
+// Returns an emit function that saves the reply's events before passing them on.
+function tapReplyRecording(recording, { personality, transcription, presetResponse, emit }) {
+    const replyId = recording.nextReplyId();
+    const personalityId = personality.id;
+    const startedAt = Date.now();
+    const timings = {};
+    recording.record('llm_request', {
+        replyId,
+        personalityId,
+        transcription,
+        messages: personality.getMessages(),
+        options: personality.llm,
+        presetResponse
+    });
+
+    return (event) => {
+        const elapsed = Date.now() - startedAt;
+        switch (event.type) {
+            case 'personality_selected':
+                recording.record('personality_selected', { replyId, personalityId, reason: event.reason });
+                break;
+            case 'response_text':
+                timings.firstTextMs ??= elapsed;
+                break;
+            case 'audio_chunk': {
+                timings.firstAudioMs ??= elapsed;
+                const entry = audioStore.get(event.audioId);
+                recording.record('tts_audio', {
+                    replyId,
+                    personalityId,
+                    position: event.position,
+                    index: event.index,
+                    text: event.text,
+                    contentType: event.contentType,
+                    audioId: event.audioId
+                }, entry && { sourcePath: entry.path, name: `${personalityId}_${replyId}_${event.index}${path.extname(entry.path)}` });
+                break;
+            }
+            case 'response_done':
+                recording.record('reply', { replyId, personalityId, text: event.text, timings: { ...timings, totalMs: elapsed } });
+                break;
+        }
+        return emit(event);
+    };
+}
+
+// Per-personality work queue: utterances that arrive while a personality is busy are answered when it frees up.
+// Unless SUPERSEDE_REPLIES=false, such an utterance also cancels the reply in progress, which is redone to cover both.
+const jobQueue = new PersonalityWorkQueue({
+    runBatch: generateReply,
+    retentionMs: Number(process.env.JOB_RETENTION_MS) || undefined,
+    supersede: process.env.SUPERSEDE_REPLIES !== 'false'
+});
+
+// Picks who answers each utterance according to PERSONALITY_MODE
+const router = new PersonalityRouter({
+    mode: PERSONALITY_MODE,
+    llmClient,
+    classifierModel: process.env.ROUTER_MODEL,
+    playCount: Number(process.env.ENSEMBLE_PLAY_COUNT) || 1
+});
+
+// Route the utterance and submit it to the chosen personalities' work queues.
+// channel identifies the client connection, emit pushes events to it (also for jobs that run later).
+// Resolves with the first job (and whether it was queued) plus all submitted jobs.
+async function submitReply(session, transcription, { wantsAudio = true, channel, emit = () => {}, traceId = null }) {
+    session.transcript.add({ role: 'user', personalityId: null, speaker: 'User', content: transcription });
+    const turn = ++session.turnCount;
+    const routeStart = Date.now();
+    const { selections, reason } = await router.route(session, transcription);
+    telemetry.recordAll(traceId ? [traceId] : [], 'route', Date.now() - routeStart, { mode: router.mode });
+
+    const submitted = selections.map(({ personality, response }) => {
+        const { job, queued } = jobQueue.submit({
+            session,
+            personality,
+            transcription,
+            wantsAudio,
+            presetResponse: response,
+            routingReason: reason,
+            channel,
+            emit,
+            traceId,
+            turn
+        });
+        if (queued) {
+            timeLog('Added to processing queue for ' + personality.id);
+            emit({ type: 'queued', personalityId: personality.id, jobId: job.id, turn });
+        }
+        return { job, queued };
+    });
+    return { ...submitted[0], jobs: submitted.map(entry => entry.job), submitted };
+}
 
 // Update the query-llama endpoint to select the personality
-app.post('/query-llama', async (req, res) => {
+app.post('/query-llama', sessionMiddleware, async (req, res) => {
     const startTime = timeLog('Starting Llama query');
     try {
         const { transcription } = req.body;
@@ -150,71 +468,165 @@ app.post('/query-llama', async (req, res) => {
         if (!transcription || transcription.trim() === '') {
             return res.json({ response: '' });
         }
-        
-        // Choose personality based on PERSONALITY_MODE
-        let personality;
-        if (process.env.PERSONALITY_MODE === 'multiple') {
-            personality = PersonalityManager.getNextPersonality();
-        } else {
-            // If not multiple, use the current personality or default to advisor
-            personality = PersonalityManager.currentPersonality || PersonalityManager.getPersonality('advisor');
+
+        const { job, queued } = await submitReply(req.clientSession, transcription, { wantsAudio: false, channel: res, traceId: req.trace.id });
+        const personality = req.clientSession.personalities[job.personalityId];
+        const personalityId = job.personalityId;
+
+        // Queued replies are generated once the personality is free; poll GET /jobs/:id for the result
+        if (queued) {
+            return res.json({ queued: true, personalityId, jobId: job.id });
         }
-        const personalityId = personality.id;
-        
-        timeLog(`Selected personality: ${personality.name} (${personalityId})`);
 
-        // Add to personality's pending transcriptions and check if it's already processing
-        const isAlreadyProcessing = personality.addPendingTranscription(transcription);
-        
-        if (isAlreadyProcessing) {
-            timeLog('Added to processing queue for ' + personalityId);
-            return res.json({ queued: true, personalityId });
+        await job.finished;
+        if (job.state === 'failed') {
+            throw new Error(job.error);
         }
-        
-        // Start processing
-        personality.isProcessing = true;
-        
-        try {
-            const fullTranscription = personality.getAndClearPendingTranscriptions();
-            personality.updateHistory(fullTranscription);
-            const fullPrompt = personality.getFullPrompt();
-            
-            const response = await queryLlama(fullPrompt);
-            personality.updateHistory(response);
-            
-            timeLog('Llama query complete', startTime);
-            res.json({ 
-                response, 
-                personalityId,
-                position: personality.position, 
-                voiceId: personality.voiceId
-            });
-        } finally {
-            personality.isProcessing = false;
+        if (job.state === 'cancelled') {
+            return res.json({ cancelled: true, personalityId, jobId: job.id });
         }
+
+        timeLog('Llama query complete', startTime);
+        res.json({ 
+            response: job.response, 
+            personalityId,
+            jobId: job.id,
+            position: personality.position, 
+            voiceId: personality.voices[ttsProvider.name],
+            turn: job.turn,
+            ...(job.fallback && { fallback: true })
+        });
     } catch (error) {
         timeLog('Error in Llama query');
         console.error(error);
-        res.status(500).json({ error: error.message });
+        res.status(error instanceof NoActivePersonalityError ? 503 : 500).json({ error: error.message });
     }
 });
 
+// Stream the reply over HTTP as newline-delimited session protocol events
+app.post('/query-llama-stream', sessionMiddleware, async (req, res) => {
+    const { transcription } = req.body;
+
+    res.set('Content-Type', 'application/x-ndjson');
+    // Queued jobs may run after this response has ended; their results are then only available via /jobs/:id
+    const emit = (event) => {
+        if (!res.writableEnded) {
+            res.write(JSON.stringify(event) + '\n');
+        }
+    };
+
+    try {
+        if (!transcription || transcription.trim() === '') {
+            emit({ type: 'response_done', text: '' });
+        } else {
+            const { submitted } = await submitReply(req.clientSession, transcription, { channel: res, emit, traceId: req.trace.id });
+            await Promise.all(submitted.filter(entry => !entry.queued).map(entry => entry.job.finished));
+        }
+    } catch (error) {
+        timeLog('Error in streamed Llama query');
+        console.error(error);
+        emit({ type: 'error', stage: 'response', message: error.message });
+    } finally {
+        res.end();
+    }
+});
+
+// Poll a reply job: state (queued, running, done, failed), reply text and audio chunk URLs
+app.get('/jobs/:id', sessionMiddleware, (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job || job.sessionId !== req.clientSession.id) {
+        return res.status(404).json({ error: 'Unknown job' });
+    }
+    res.json(job);
+});
+
+// Cancel a reply job: stop it if it is queued or running, or mark a finished one obsolete so clients drop its
+// unplayed audio (reply_obsolete)
+app.delete('/jobs/:id', sessionMiddleware, (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job || job.sessionId !== req.clientSession.id) {
+        return res.status(404).json({ error: 'Unknown job' });
+    }
+    res.json(jobQueue.cancel(job.id));
+});
+
+// Serve one synthesized phrase of a finished job
+app.get('/jobs/:id/audio/:index', sessionMiddleware, (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    const chunk = job && job.sessionId === req.clientSession.id && job.audio[Number(req.params.index)];
+    if (!chunk) {
+        return res.status(404).send("No audio available.");
+    }
+    sendAudioFile(res, chunk.path, chunk.contentType, { immutable: true });
+});
+
 // Serve last generated audio for immediate playback
-app.get('/last-audio', (req, res) => {
+app.get('/last-audio', sessionMiddleware, (req, res) => {
+  const { lastGeneratedAudio } = req.clientSession;
   if (fs.existsSync(lastGeneratedAudio)) {
-    res.set('Content-Type', 'audio/mpeg');
-    res.send(fs.readFileSync(lastGeneratedAudio));
+    sendAudioFile(res, lastGeneratedAudio, AUDIO_CONTENT_TYPES[path.extname(lastGeneratedAudio)] || 'audio/mpeg');
   } else {
     res.status(404).send("No audio available yet.");
   }
 });
 
+// The scenario the session practises, or null
+app.get('/session/scenario', sessionMiddleware, (req, res) => {
+    res.json({ scenario: req.clientSession.scenario });
+});
+
+// Practise a scenario: {scenarioId}, optionally with the user's own goal and context, or just {goal, context}
+app.put('/session/scenario', sessionMiddleware, (req, res) => {
+    try {
+        const scenario = scenarioRegistry.resolve(req.body || {});
+        req.clientSession.setScenario(scenario);
+        timeLog(`Session ${req.clientSession.id} practising ${scenario.name}`);
+        res.json({ scenario });
+    } catch (error) {
+        if (error instanceof ScenarioValidationError) {
+            return res.status(400).json({ error: error.message, details: error.errors });
+        }
+        timeLog('Error setting the scenario');
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/session/scenario', sessionMiddleware, (req, res) => {
+    req.clientSession.setScenario(null);
+    res.json({ scenario: null });
+});
+
+// End of the conversation: the coaching report, also kept at GET /reports/:sessionId. The session stays open,
+// so ending it again after more practice replaces the report.
+app.post('/session/end', sessionMiddleware, async (req, res) => {
+    try {
+        res.json(await reportSession(req.clientSession));
+    } catch (error) {
+        timeLog('Error generating the coaching report');
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Pre-synthesized backchannel clips ("mm-hmm", "go on"), built with "npm run fillers"
+const fillerLibrary = new FillerLibrary({ dir: process.env.FILLERS_DIR || path.join(AUDIO_DIR, 'fillers') }).load();
+
+// Filler clips of the active personalities, with their positions, for the client to play while replies are pending
+app.get('/fillers', (req, res) => {
+    const activeIds = new Set(personalityRegistry.getActiveIds());
+    const personalities = personalityRegistry.getConfigs().filter(config => activeIds.has(config.id));
+    res.json(fillerLibrary.describe(personalities, ttsProvider.name));
+});
+// Clip names are content hashes, so they can be cached for long
+app.use('/fillers', express.static(fillerLibrary.dir, { maxAge: '7d', immutable: true }));
+
 // Update process-text endpoint with more logging
-app.post('/process-text', async (req, res) => {
+app.post('/process-text', sessionMiddleware, async (req, res) => {
     const startTime = timeLog('Starting text-only processing');
     try {
         const { text, personalityId = 'advisor' } = req.body;
-        const personality = personalities[personalityId];
+        const personality = req.clientSession.personalities[personalityId];
 
         if (!text) {
             throw new Error("No text received");
@@ -224,74 +636,221 @@ app.post('/process-text', async (req, res) => {
             throw new Error(`Unknown personality: ${personalityId}`);
         }
 
-        timeLog(`Using personality: ${personality.name} with voice ID: ${personality.voiceId}`);
+        // Client-supplied text gets the same cleaning and word budget as generated replies
+        const review = responseGuard.review(text, personality);
+        if (!review.ok) {
+            responseGuard.record(personalityId, review.violations, { rejected: true });
+            throw new ResponseRejectedError(`Text rejected: ${review.violations.join(', ')}`, review.violations);
+        }
+        const spokenText = limitWords(review.text, personality.numWords);
+        responseGuard.record(personalityId, review.violations, { truncated: spokenText !== review.text });
+
+        const voice = personality.getVoice(ttsProvider.name);
+        timeLog(`Using personality: ${personality.name} with ${ttsProvider.name} voice: ${voice}`);
 
-        const audioFilePath = path.join(RESPONSES_DIR, `response_${personalityId}_${Date.now()}.mp3`);
-        await synthesizeSpeech(text, audioFilePath, personality.voiceId);
-        
-        lastGeneratedAudio = audioFilePath;
-        
-        res.set('Content-Type', 'audio/mpeg');
-        res.send(fs.readFileSync(audioFilePath));
-        
-        cleanupOldResponses();
+        const endTts = req.trace.span('tts');
+        const { entry } = await cachedTts.synthesizeEntry(spokenText, voice);
+        endTts();
+        req.clientSession.lastGeneratedAudio = entry.path;
+
+        // Same bytes as GET /audio/:id, which clients can cache
+        res.set('X-Audio-Id', entry.id);
+        sendAudioFile(res, entry.path, entry.contentType);
     } catch (error) {
         timeLog('Error in text processing');
         console.error(error);
-        res.status(500).json({ error: error.message });
+        if (error instanceof ResponseRejectedError) {
+            return res.status(422).json({ error: error.message, violations: error.violations });
+        }
+        res.status(isServiceFailure(error) ? 503 : 500).json({ error: error.message });
     }
 });
 
-// Add cleanup function for old response files
-function cleanupOldResponses() {
-    try {
-        const files = fs.readdirSync(RESPONSES_DIR)
-            .map(file => path.join(RESPONSES_DIR, file))
-            .filter(file => file !== lastGeneratedAudio)
-            .sort((a, b) => fs.statSync(b).mtime.getTime() - fs.statSync(a).mtime.getTime());
-
-        // Keep only the 5 most recent files
-        const filesToDelete = files.slice(4);
-        filesToDelete.forEach(file => {
-            fs.unlinkSync(file);
-            timeLog(`Cleaned up old response file: ${file}`);
-        });
-    } catch (error) {
-        timeLog('Error cleaning up old responses');
-        console.error(error);
+// Prompt compliance per personality: how often replies had to be cleaned, shortened, redone or rejected
+app.get('/response-stats', (req, res) => {
+    res.json(responseGuard.getStats());
+});
+
+// Transcribe an audio segment held in memory; format is one of SUPPORTED_FORMATS (audio-formats.js)
+async function transcribeBuffer(audioBuffer, format = 'wav') {
+    const transcription = await transcribeAudio({ buffer: audioBuffer, format });
+    timeLog(`Transcription result: "${transcription}"`);
+    return transcription;
+}
+
+// Audio uploads stay in memory: multipart with an "audio" file, or a raw audio/* (or application/octet-stream) body
+const MAX_UPLOAD_BYTES = (Number(process.env.UPLOAD_MAX_MB) || 25) * 1024 * 1024;
+const audioUpload = [
+    multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } }).single('audio'),
+    express.raw({ type: ['audio/*', 'video/webm', 'application/octet-stream'], limit: MAX_UPLOAD_BYTES })
+];
+
+// {buffer, format, name?} of an upload, or null without audio. JSON {audio: base64, format} from older clients
+// is still read (format defaults to wav). The bytes decide the format where they can.
+function readUploadedAudio(req) {
+    if (req.file) {
+        const { buffer, mimetype, originalname } = req.file;
+        return { buffer, format: resolveAudioFormat(buffer, { contentType: mimetype, filename: originalname }), name: originalname };
+    }
+    if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+        return { buffer: req.body, format: resolveAudioFormat(req.body, { contentType: req.get('Content-Type') }) };
     }
+    if (req.body && req.body.audio) {
+        const buffer = Buffer.from(req.body.audio, 'base64');
+        return { buffer, format: resolveAudioFormat(buffer, { filename: `audio.${req.body.format || 'wav'}` }) };
+    }
+    return null;
+}
+
+// Too large or malformed uploads, rejected before the route handler runs
+function handleUploadError(error, req, res, next) {
+    timeLog('Rejected audio upload');
+    res.status(error.status || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 400)).json({ error: error.message });
 }
 
 // Add back the transcribe endpoint
-app.post('/transcribe', async (req, res) => {
+app.post('/transcribe', sessionMiddleware, audioUpload, async (req, res) => {
     const startTime = timeLog('Starting transcription request');
     try {
-        if (!req.body || !req.body.audio) {
+        const audio = readUploadedAudio(req);
+        if (!audio) {
             throw new Error("No audio data received");
         }
 
-        // Create temporary file in uploads directory
-        const audioBuffer = Buffer.from(req.body.audio, 'base64');
-        const audioFilePath = path.join(UPLOADS_DIR, `audio_${Date.now()}.wav`);
-        fs.writeFileSync(audioFilePath, audioBuffer);
-
-        // Transcribe
-        const transcription = await transcribeAudio(audioFilePath);
-        timeLog(`Transcription result: "${transcription}"`);
-        
-        // Cleanup
-        fs.unlinkSync(audioFilePath);
-        
+        const recording = recorder.forSession(req.clientSession);
+        const receivedAt = Date.now();
+        const endStt = req.trace.span('stt');
+        const transcription = await transcribeBuffer(audio.buffer, audio.format);
+        endStt();
+        if (recording) {
+            recording.record('transcription', {
+                text: transcription,
+                speechEndT: receivedAt - recording.startedAt,
+                speechDurationMs: audio.format === 'wav' ? wavDurationMs(audio.buffer) : null,
+                timings: { sttMs: Date.now() - receivedAt }
+            }, { buffer: audio.buffer, name: `user_${recording.audioCount + 1}.${audio.format}` });
+        }
+        timeLog('Transcription request complete', startTime);
         res.json({ transcription });
     } catch (error) {
         timeLog('Error in transcription');
         console.error(error);
-        res.status(500).json({ error: error.message });
+        if (error instanceof AudioFormatError) {
+            return res.status(415).json({ error: error.message });
+        }
+        res.status(isServiceFailure(error.cause) ? 503 : 500).json({ error: error.message });
     }
+}, handleUploadError);
+
+// Run a recording's utterances, in order, through the current personalities and routing in a fresh recorded
+// session, and pair each utterance's original replies with the new ones
+async function replayRecording(recording, { wantsAudio = false, retranscribe = false } = {}) {
+    const startTime = timeLog(`Replaying recording ${recording.id}`);
+    const session = sessions.create();
+    session.record = true;
+    const replayRecording = recorder.forSession(session, { replayOf: recording.id });
+
+    const turns = [];
+    for (const turn of groupTurns(recording)) {
+        let text = turn.text;
+        if (retranscribe && turn.file) {
+            const audio = await fs.promises.readFile(recorder.audioPath(recording.id, turn.file));
+            text = await transcribeBuffer(audio, path.extname(turn.file).slice(1));
+        }
+        replayRecording.record('transcription', { text, replayed: true });
+
+        const { jobs } = await submitReply(session, text, { wantsAudio, channel: session });
+        await Promise.all(jobs.map(job => job.finished));
+        turns.push({
+            text,
+            original: turn.replies,
+            replay: jobs.map(job => ({ personalityId: job.personalityId, text: job.response, state: job.state }))
+        });
+    }
+
+    timeLog(`Replay of ${recording.id} complete`, startTime);
+    return { recordingId: session.id, replayOf: recording.id, turns };
+}
+
+// Recordings hold the audio and transcripts of every session, so their API (and replay.html) is for operators:
+// only served with RECORDINGS_API=true, on servers that untrusted clients cannot reach
+if (process.env.RECORDINGS_API === 'true') {
+    app.use('/recordings', createRecordingRouter({ recorder, replay: replayRecording }));
+} else {
+    app.use('/recordings', (req, res) => {
+        res.status(403).json({ error: 'The recordings API is disabled; set RECORDINGS_API=true' });
+    });
+}
+
+telemetry.addCollector(() => {
+    const states = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    jobQueue.jobs.forEach(job => { states[job.state]++; });
+    return [
+        { name: 'sessions', help: 'Open client sessions', value: sessions.sessions.size },
+        ...Object.entries(states).map(([state, value]) => ({ name: 'jobs', help: 'Reply jobs by state', labels: { state }, value }))
+    ];
+});
+
+telemetry.addCollector(() => Object.values(services).flatMap(service => [
+    ...['closed', 'open', 'half_open'].map(state => ({
+        name: 'service_circuit_state',
+        help: 'Circuit breaker state of each external service (1 for the current state)',
+        labels: { service: service.name, state },
+        value: service.breaker.state === state ? 1 : 0
+    })),
+    { name: 'service_retries_total', help: 'Retried calls to each external service', type: 'counter', labels: { service: service.name }, value: service.retryCount },
+    { name: 'service_failures_total', help: 'Failed calls to each external service', type: 'counter', labels: { service: service.name }, value: service.failureCount }
+]));
+
+// Health of the STT, LLM and TTS services: degraded (503) while any of their circuits is open
+app.get('/health', (req, res) => {
+    const degraded = Object.values(services).some(service => service.breaker.state === 'open');
+    res.status(degraded ? 503 : 200).json({ status: degraded ? 'degraded' : 'ok', services });
+});
+
+// Prometheus scrape endpoint: stage duration histograms plus session, job and audio cache gauges
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(telemetry.renderMetrics());
+});
+
+// Recent traces of the caller's session (X-Session-Id or ?sessionId=), newest first: GET /traces?limit=20.
+// Other sessions' traces are not served; stage timings across all sessions are in /metrics.
+app.get('/traces', (req, res) => {
+    const sessionId = req.get('X-Session-Id') || req.query.sessionId;
+    if (!sessionId) {
+        return res.status(400).json({ error: 'X-Session-Id (or ?sessionId=) is required' });
+    }
+    res.json(telemetry.recentTraces({ limit: Math.min(Number(req.query.limit) || 50, 200), sessionId }));
+});
+
+// Timings measured in the browser (encode, time to first audio, playback start) for a trace
+app.post('/metrics/client', (req, res) => {
+    const { traceId, stages } = req.body || {};
+    if (!stages || typeof stages !== 'object') {
+        return res.status(400).json({ error: 'stages must be an object of millisecond values' });
+    }
+    res.json({ accepted: telemetry.recordClientStages(traceId, stages) });
 });
 
 // Initialize directories when the server starts
-app.listen(port, () => {
+const server = app.listen(port, () => {
     initializeAudioDirectories();
-    timeLog(`Backend running at http://localhost:${port}`);
+    timeLog(`Backend running at http://localhost:${server.address().port}`);
+});
+
+// WebSocket session endpoint at /session
+attachSessionSocket(server, {
+    sessions,
+    transcribeBuffer,
+    submitReply,
+    partialMinWords: process.env.PARTIAL_MIN_WORDS === undefined ? 6 : Number(process.env.PARTIAL_MIN_WORDS),
+    recorder,
+    telemetry,
+    // Speech the STT service could not transcribe still gets a fallback line from the personality in charge
+    onTranscriptionError: (session, error, emit) => {
+        if (isServiceFailure(error.cause)) {
+            const personality = session.manager.currentPersonality || session.manager.getPersonality();
+            personality && sendFallbackReply({ session, personality, wantsAudio: true, emit }).catch(fallbackError => console.error(fallbackError));
+        }
+    }
 });
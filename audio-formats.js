@@ -0,0 +1,147 @@
+const { timeLog, runCommand } = require('./utils');
+const { decodeWav, encodeWav, mixToMono } = require('./wav');
+
+// Audio formats accepted from clients: content types and how to recognize the bytes.
+// webm and ogg are what MediaRecorder produces (usually Opus).
+const AUDIO_FORMATS = {
+    wav: { contentType: 'audio/wav', aliases: ['audio/wave', 'audio/x-wav', 'audio/vnd.wave'] },
+    webm: { contentType: 'audio/webm', aliases: ['video/webm'] },
+    ogg: { contentType: 'audio/ogg', aliases: ['audio/opus', 'application/ogg'] },
+    flac: { contentType: 'audio/flac', aliases: ['audio/x-flac'] },
+    mp3: { contentType: 'audio/mpeg', aliases: ['audio/mp3', 'audio/mpga'] },
+    m4a: { contentType: 'audio/mp4', aliases: ['audio/x-m4a', 'audio/m4a', 'audio/aac'] }
+};
+
+const SUPPORTED_FORMATS = Object.keys(AUDIO_FORMATS);
+
+// Audio the server cannot read: an unknown format, or bytes that do not decode (answered with 415)
+class AudioFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AudioFormatError';
+    }
+}
+
+// Format from the leading bytes, or null
+function detectAudioFormat(buffer) {
+    if (!buffer || buffer.length < 12) {
+        return null;
+    }
+    const ascii = (start, end) => buffer.toString('ascii', start, end);
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+    if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';   // EBML header (WebM/Matroska)
+    if (ascii(0, 4) === 'OggS') return 'ogg';
+    if (ascii(0, 4) === 'fLaC') return 'flac';
+    if (ascii(4, 8) === 'ftyp') return 'm4a';
+    if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'mp3';
+    return null;
+}
+
+// Format for a content type such as "audio/webm;codecs=opus", or null
+function formatFromContentType(contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    return SUPPORTED_FORMATS.find(format =>
+        AUDIO_FORMATS[format].contentType === type || AUDIO_FORMATS[format].aliases.includes(type)) || null;
+}
+
+// Format of uploaded audio: the bytes decide, then the content type, then the file extension
+function resolveAudioFormat(buffer, { contentType, filename } = {}) {
+    const extension = filename && filename.includes('.') ? filename.split('.').pop().toLowerCase() : null;
+    const format = detectAudioFormat(buffer) || formatFromContentType(contentType) ||
+        (SUPPORTED_FORMATS.includes(extension) ? extension : null);
+    if (!format) {
+        throw new AudioFormatError(`Unsupported audio format (${contentType || filename || 'unknown'}); use ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+// Linear interpolation to another sample rate; good enough for speech going to STT
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return samples;
+    }
+    const length = Math.max(1, Math.round(samples.length * toRate / fromRate));
+    const output = new Float32Array(length);
+    const step = fromRate / toRate;
+    for (let index = 0; index < length; index++) {
+        const position = index * step;
+        const before = Math.min(Math.floor(position), samples.length - 1);
+        const after = Math.min(before + 1, samples.length - 1);
+        const weight = position - before;
+        output[index] = samples[before] * (1 - weight) + samples[after] * weight;
+    }
+    return output;
+}
+
+// Brings audio ({buffer, format}) into a shape an STT provider takes. Providers list the formats they accept
+// (provider.formats) and may need WAV at a fixed rate (provider.sampleRate). 16-bit and float PCM WAV is mixed down and
+// resampled here; other formats and WAV encodings are decoded with ffmpeg (FFMPEG_BINARY) into 16-bit mono WAV.
+class AudioConverter {
+    constructor(config = {}) {
+        this.ffmpegBinary = config.ffmpegBinary || 'ffmpeg';
+        this.defaultSampleRate = config.sampleRate || 16000;
+        this.conversions = 0;
+    }
+
+    async prepare(audio, provider, { signal } = {}) {
+        const formats = provider.formats || SUPPORTED_FORMATS;
+        const sampleRate = provider.sampleRate || null;
+        if (formats.includes(audio.format) && !(audio.format === 'wav' && sampleRate)) {
+            return audio;
+        }
+        if (!formats.includes('wav')) {
+            throw new AudioFormatError(`${provider.name} does not accept ${audio.format} audio`);
+        }
+
+        if (audio.format === 'wav') {
+            const wav = decodeWav(audio.buffer);
+            if (!wav) {
+                // 24-bit, 8-bit, A-law and other encodings: ffmpeg reads those
+                return { ...audio, buffer: await this.decode(audio, sampleRate || this.defaultSampleRate, signal) };
+            }
+            if (!sampleRate || (wav.sampleRate === sampleRate && wav.channels === 1)) {
+                return audio;
+            }
+            this.conversions++;
+            const samples = resample(mixToMono(wav.samples), wav.sampleRate, sampleRate);
+            return { ...audio, buffer: encodeWav([samples], sampleRate) };
+        }
+
+        return { ...audio, format: 'wav', buffer: await this.decode(audio, sampleRate || this.defaultSampleRate, signal) };
+    }
+
+    // Decode compressed audio to mono WAV through ffmpeg, piped both ways. ffmpeg probes the container itself;
+    // m4a only decodes from a pipe when its index comes first (faststart or fragmented MP4, as MediaRecorder writes).
+    async decode(audio, sampleRate, signal) {
+        const startTime = Date.now();
+        this.conversions++;
+        try {
+            const wav = await runCommand(this.ffmpegBinary, [
+                '-hide_banner', '-loglevel', 'error',
+                '-i', 'pipe:0',
+                '-ac', '1', '-ar', String(sampleRate), '-f', 'wav', 'pipe:1'
+            ], audio.buffer, signal);
+            timeLog(`Converted ${audio.format} audio to ${sampleRate} Hz WAV`, startTime);
+            return wav;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new AudioFormatError(`Converting ${audio.format} audio needs ffmpeg (${this.ffmpegBinary} not found; set FFMPEG_BINARY)`);
+            }
+            if (signal && signal.aborted) {
+                throw error;
+            }
+            throw new AudioFormatError(`Could not decode ${audio.format} audio: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    AUDIO_FORMATS,
+    SUPPORTED_FORMATS,
+    AudioFormatError,
+    AudioConverter,
+    detectAudioFormat,
+    formatFromContentType,
+    resolveAudioFormat,
+    resample
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { timeLog } = require('./utils');
+
+const ID_PATTERN = /^[0-9a-f]{32}$/;
+const ENTRY_FILE_PATTERN = /^([0-9a-f]{32})\.(\w+)$/;
+const LEGACY_FILE_PATTERN = /^response_.+\.(mp3|wav)$/;   // One file per request, from before the store
+
+const CONTENT_TYPES = {
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav'
+};
+
+// Content-addressed store for synthesized audio. Files are named by a hash of what produced them,
+// so the same phrase in the same voice is only ever synthesized once. Eviction runs in the background:
+// entries idle for longer than maxAgeMs go first, then the least recently used until under maxBytes.
+class AudioStore {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(__dirname, 'audio', 'responses');
+        this.maxBytes = config.maxBytes || 200 * 1024 * 1024;
+        this.maxAgeMs = config.maxAgeMs || 24 * 60 * 60 * 1000;
+        this.getPinnedPaths = config.getPinnedPaths || (() => new Set());  // Files still in use are never evicted
+        this.entries = new Map();                      // id -> {id, path, contentType, size, createdAt, lastAccess}
+        this.sweeping = null;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.sweepTimer = setInterval(() => this.sweep(), config.sweepIntervalMs || 60 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    // Index the files already on disk and remove legacy per-request files; anything else is left alone
+    async load() {
+        const files = await fs.promises.readdir(this.dir);
+        await Promise.all(files.map(async file => {
+            const filePath = path.join(this.dir, file);
+            if (LEGACY_FILE_PATTERN.test(file)) {
+                return fs.promises.unlink(filePath).catch(() => {});
+            }
+            const match = ENTRY_FILE_PATTERN.exec(file);
+            if (!match) {
+                return;
+            }
+            const stats = await fs.promises.stat(filePath);
+            this.entries.set(match[1], {
+                id: match[1],
+                path: filePath,
+                contentType: CONTENT_TYPES[match[2]] || 'application/octet-stream',
+                size: stats.size,
+                createdAt: stats.mtimeMs,
+                lastAccess: stats.mtimeMs
+            });
+        }));
+        timeLog(`Audio store: ${this.entries.size} cached files in ${this.dir}`);
+        return this;
+    }
+
+    // Stable id for everything that determines the audio
+    static keyFor({ provider, voice, model, text }) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([provider, voice, model || '', text]))
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    get(id) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return null;
+        }
+        entry.lastAccess = Date.now();
+        return entry;
+    }
+
+    async put(id, audio, { extension, contentType }) {
+        const filePath = path.join(this.dir, `${id}.${extension}`);
+        await fs.promises.writeFile(filePath, audio);
+        const entry = { id, path: filePath, contentType, size: audio.length, createdAt: Date.now(), lastAccess: Date.now() };
+        this.entries.set(id, entry);
+        if (this.totalBytes > this.maxBytes) {
+            setImmediate(() => this.sweep());
+        }
+        return entry;
+    }
+
+    get totalBytes() {
+        let total = 0;
+        this.entries.forEach(entry => { total += entry.size; });
+        return total;
+    }
+
+    // Evict by age, then by size; one sweep at a time
+    sweep(now = Date.now()) {
+        if (!this.sweeping) {
+            this.sweeping = this.evict(now)
+                .catch(error => {
+                    timeLog('Audio store sweep failed');
+                    console.error(error);
+                })
+                .finally(() => { this.sweeping = null; });
+        }
+        return this.sweeping;
+    }
+
+    async evict(now) {
+        const pinned = this.getPinnedPaths();
+        const candidates = [...this.entries.values()]
+            .filter(entry => !pinned.has(entry.path))
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+
+        let totalBytes = this.totalBytes;
+        const evicted = [];
+        for (const entry of candidates) {
+            if (now - entry.lastAccess <= this.maxAgeMs && totalBytes <= this.maxBytes) {
+                break;
+            }
+            this.entries.delete(entry.id);
+            totalBytes -= entry.size;
+            evicted.push(entry);
+        }
+
+        await Promise.all(evicted.map(entry => fs.promises.unlink(entry.path).catch(error => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        })));
+        if (evicted.length > 0) {
+            timeLog(`Audio store: evicted ${evicted.length} files, ${(totalBytes / 1024 / 1024).toFixed(1)} MB kept`);
+        }
+    }
+}
+
+// TTS provider wrapper that answers repeat phrases from the audio store.
+// Concurrent requests for the same phrase share one synthesis.
+class CachedSynthesizer {
+    constructor(provider, store) {
+        this.provider = provider;
+        this.store = store;
+        this.name = provider.name;
+        this.contentType = provider.contentType;
+        this.extension = provider.extension;
+        this.pending = new Map();                      // id -> {synthesis: Promise<{entry, audio}>, controller, waiters}
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    keyFor(text, voice) {
+        return AudioStore.keyFor({ provider: this.provider.name, voice, model: this.provider.model, text });
+    }
+
+    // The store entry for a phrase synthesized earlier, or null
+    entryFor(text, voice) {
+        return this.store.get(this.keyFor(text, voice));
+    }
+
+    // Synthesize (or reuse) a phrase; resolves with its store entry and audio buffer.
+    // Aborting options.signal rejects this call; the provider request is aborted once no caller waits for it any more.
+    async synthesizeEntry(text, voice, { signal } = {}) {
+        signal?.throwIfAborted();
+        const id = this.keyFor(text, voice);
+        const cached = this.store.get(id);
+        if (cached) {
+            try {
+                const audio = await fs.promises.readFile(cached.path);
+                this.hits++;
+                return { entry: cached, audio };
+            } catch (error) {
+                // Deleted behind our back; synthesize it again
+                this.store.entries.delete(id);
+            }
+        }
+
+        if (!this.pending.has(id)) {
+            this.misses++;
+            const controller = new AbortController();
+            const synthesis = (async () => {
+                const audio = await this.provider.synthesize(text, voice, { signal: controller.signal });
+                const entry = await this.store.put(id, audio, { extension: this.extension, contentType: this.contentType });
+                return { entry, audio };
+            })();
+            const pending = { synthesis, controller, waiters: 0 };
+            this.pending.set(id, pending);
+            synthesis.finally(() => this.forget(id, pending)).catch(() => {});
+        }
+        return this.waitFor(id, this.pending.get(id), signal);
+    }
+
+    // Join a shared synthesis; the last caller to give up aborts it
+    waitFor(id, pending, signal) {
+        pending.waiters++;
+        if (!signal) {
+            return pending.synthesis;
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                if (--pending.waiters === 0) {
+                    this.forget(id, pending);
+                    pending.controller.abort(signal.reason);
+                }
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            pending.synthesis
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    // Stop sharing a synthesis that finished or was abandoned; later requests for the phrase start afresh
+    forget(id, pending) {
+        if (this.pending.get(id) === pending) {
+            this.pending.delete(id);
+        }
+    }
+
+    // Same interface as the providers: resolves with the audio buffer
+    async synthesize(text, voice, options = {}) {
+        const { audio } = await this.synthesizeEntry(text, voice, options);
+        return audio;
+    }
+}
+
+// GET /audio/:id — stored audio is immutable, so it can be cached for good; range requests are supported
+function createAudioRouter(store) {
+    const router = express.Router();
+    router.get('/:id', (req, res) => {
+        const entry = ID_PATTERN.test(req.params.id) && store.get(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Unknown audio id' });
+        }
+        sendAudioFile(res, entry.path, entry.contentType, { immutable: true });
+    });
+    return router;
+}
+
+// Send an audio file with Range, ETag and Last-Modified support; immutable files are cached for a year
+function sendAudioFile(res, filePath, contentType, { immutable = false } = {}) {
+    res.sendFile(filePath, {
+        headers: { 'Content-Type': contentType },
+        maxAge: immutable ? '1y' : 0,
+        immutable,
+        acceptRanges: true
+    }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(error.status || 500).json({ error: error.status === 404 ? 'Audio no longer available' : error.message });
+        }
+    });
+}
+
+module.exports = {
+    AudioStore,
+    CachedSynthesizer,
+    createAudioRouter,
+    sendAudioFile
+};
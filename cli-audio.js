@@ -0,0 +1,193 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { timeLog } = require('./utils');
+const { decodeWav, encodeWav, mixToMono } = require('./wav');
+
+const SAMPLE_RATE = 16000;                             // What the VAD and the backend expect
+const FRAME_SAMPLES = 1536;                            // Silero frame size at 16 kHz
+
+// Left/right gains for a personality position around a listener facing -z (as in the browser):
+// equal-power panning by azimuth, attenuated by distance like a PannerNode's inverse model
+function stereoGains(position = { x: 0, y: 0, z: -1 }) {
+    const { x = 0, y = 0, z = 0 } = position;
+    const distance = Math.hypot(x, y, z);
+    const pan = distance > 0 ? Math.sin(Math.atan2(x, -z)) : 0;
+    const attenuation = Math.min(1, 1 / Math.max(distance, 1));
+    const angle = (pan + 1) * Math.PI / 4;
+    return { left: Math.cos(angle) * attenuation, right: Math.sin(angle) * attenuation };
+}
+
+// A WAV reply rendered to stereo at the personality's position, or null if it is not PCM WAV
+function panWav(buffer, position) {
+    const wav = decodeWav(buffer);
+    if (!wav) {
+        return null;
+    }
+    const mono = mixToMono(wav.samples);
+    const { left, right } = stereoGains(position);
+    return encodeWav([mono.map(value => value * left), mono.map(value => value * right)], wav.sampleRate);
+}
+
+// Silero speech segmentation in Node, with the browser's VAD options (positiveSpeechThreshold, negativeSpeechThreshold,
+// minSpeechFrames, redemptionFrames, preSpeechPadFrames). Live audio goes through push(); files through segmentFile().
+class SpeechSegmenter {
+    constructor(options = {}) {
+        this.options = options;
+        this.onSpeechStart = options.onSpeechStart || (() => {});
+        this.onSpeechEnd = options.onSpeechEnd || (() => {});   // (Float32Array at 16 kHz)
+        this.onMisfire = options.onMisfire || (() => {});
+        this.vad = null;
+        this.pending = new Float32Array(0);            // Samples waiting for a full frame
+        this.processing = Promise.resolve();
+    }
+
+    async init() {
+        // The package's main entry is the browser build; the Node build runs Silero on onnxruntime-node
+        const { NonRealTimeVAD, Message } = require('@ricky0123/vad/dist/index.node.js');
+        const { onSpeechStart, onSpeechEnd, onMisfire, ...vadOptions } = this.options;
+        this.vad = await NonRealTimeVAD.new({ frameSamples: FRAME_SAMPLES, ...vadOptions });
+        this.Message = Message;
+        return this;
+    }
+
+    // Feed 16 kHz mono samples; events fire as frames complete
+    push(samples) {
+        const combined = new Float32Array(this.pending.length + samples.length);
+        combined.set(this.pending);
+        combined.set(samples, this.pending.length);
+        const frameCount = Math.floor(combined.length / FRAME_SAMPLES);
+        this.pending = combined.slice(frameCount * FRAME_SAMPLES);
+
+        for (let index = 0; index < frameCount; index++) {
+            const frame = combined.slice(index * FRAME_SAMPLES, (index + 1) * FRAME_SAMPLES);
+            this.processing = this.processing.then(() => this.processFrame(frame)).catch(error => {
+                timeLog('VAD frame failed');
+                console.error(error);
+            });
+        }
+        return this.processing;
+    }
+
+    async processFrame(frame) {
+        const { msg, audio } = await this.vad.frameProcessor.process(frame);
+        this.handleMessage(msg, audio);
+    }
+
+    handleMessage(msg, audio) {
+        if (msg === this.Message.SpeechStart) {
+            this.onSpeechStart();
+        } else if (msg === this.Message.SpeechEnd) {
+            this.onSpeechEnd(audio);
+        } else if (msg === this.Message.VADMisfire) {
+            this.onMisfire();
+        }
+    }
+
+    // End any speech still open, e.g. when the microphone stops
+    async flush() {
+        await this.processing;
+        const { msg, audio } = this.vad.frameProcessor.endSegment();
+        this.handleMessage(msg, audio);
+    }
+
+    // Speech segments of a whole recording: [{audio (16 kHz), start, end}] with times in milliseconds
+    async segmentFile(buffer) {
+        const wav = decodeWav(buffer);
+        if (!wav) {
+            throw new Error('Only PCM WAV input is supported');
+        }
+        const segments = [];
+        for await (const segment of this.vad.run(mixToMono(wav.samples), wav.sampleRate)) {
+            segments.push(segment);
+        }
+        return segments;
+    }
+}
+
+// Plays replies one after another through play-sound. WAV is panned here; other formats are panned by the
+// player where it can (mplayer), and otherwise play centred. canPlay decides when the next clip may start.
+class LocalPlayer {
+    constructor(options = {}) {
+        this.player = require('play-sound')(options.player ? { player: options.player } : {});
+        if (!this.player.player) {
+            throw new Error('No audio player found (install mplayer, mpg123, sox or aplay), or run without playback');
+        }
+        this.canPlay = options.canPlay || (() => true);
+        this.volume = options.volume ?? 1;
+        this.queue = [];                               // [{audio, extension, position, reply}]
+        this.playing = null;
+        this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twys-cli-'));
+        this.fileCount = 0;
+        this.idleWaiters = [];
+    }
+
+    enqueue(clip) {
+        this.queue.push(clip);
+        this.poke();
+    }
+
+    // Drop queued clips, e.g. of a reply the server marked obsolete
+    discard(predicate) {
+        this.queue = this.queue.filter(clip => !predicate(clip));
+        this.poke();
+    }
+
+    // Start the next clip if nothing is playing and the policy allows it
+    poke() {
+        if (this.playing || this.queue.length === 0 || !this.canPlay()) {
+            if (!this.playing && this.queue.length === 0) {
+                this.idleWaiters.splice(0).forEach(resolve => resolve());
+            }
+            return;
+        }
+        const clip = this.queue.shift();
+        const { file, args } = this.prepare(clip);
+        this.playing = this.player.play(file, args, (error) => {
+            if (error) {
+                console.error(`Playback failed (${this.player.player}):`, error.message || error);
+            }
+            fs.rm(file, { force: true }, () => {});
+            this.playing = null;
+            this.poke();
+        });
+    }
+
+    prepare(clip) {
+        const { left, right } = stereoGains(clip.position);
+        const panned = clip.extension === 'wav' ? panWav(clip.audio, clip.position) : null;
+        const file = path.join(this.tempDir, `${++this.fileCount}.${clip.extension}`);
+        fs.writeFileSync(file, panned || clip.audio);
+        const args = panned ? {} : { mplayer: ['-really-quiet', '-af', `pan=2:${left.toFixed(3)}:${right.toFixed(3)}`] };
+        if (this.volume !== 1) {
+            args.mplayer = [...(args.mplayer || []), '-volume', String(Math.round(this.volume * 100))];
+            args.afplay = ['-v', String(this.volume)];
+            args.play = ['-v', String(this.volume)];
+        }
+        return { file, args };
+    }
+
+    // Resolves once the queue is empty and nothing is playing
+    drain() {
+        if (!this.playing && this.queue.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    close() {
+        this.queue = [];
+        if (this.playing) {
+            this.playing.kill();
+        }
+        fs.rmSync(this.tempDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    stereoGains,
+    panWav,
+    SpeechSegmenter,
+    LocalPlayer
+};
@@ -0,0 +1,357 @@
+// Headless client: the same session protocol as the browser, from a terminal.
+// Captures the microphone (or reads WAV files), segments speech with the VAD in Node, sends each segment over the
+// /session WebSocket and plays the replies locally, panned by each personality's position. Run with --help for options.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const WebSocket = require('ws');
+const { SAMPLE_RATE, SpeechSegmenter, LocalPlayer } = require('./cli-audio');
+const { encodeWav } = require('./wav');
+const { timeLog } = require('./utils');
+
+const USAGE = `Usage: node cli.js [options]
+
+  --server <url>        Backend (default $TWYS_SERVER_URL or http://localhost:3000)
+  --input <path>        WAV file or directory of WAV files instead of the microphone
+  --whole               Send each input file as one segment instead of splitting it with the VAD
+  --user <id>           Use this user's saved VAD and playback settings (see /settings)
+  --policy <policy>     Microphone playback: during_speech, always or after_speech (default from settings)
+  --volume <0-1>        Playback volume (default from settings)
+  --player <name>       Audio player for play-sound (default: first one found)
+  --device <name>       Capture device for arecord, e.g. plughw:1,0
+  --no-play             Do not play replies
+  --save-audio <dir>    Also write every reply chunk to this directory
+  --record              Record the session on the server
+  --timeout <ms>        How long to wait for the replies to one input segment (default 60000)
+  --json                Print session events as JSON lines instead of a transcript
+  --help                Show this help`;
+
+const CONTENT_TYPE_EXTENSIONS = {
+    'audio/wav': 'wav',
+    'audio/mpeg': 'mp3'
+};
+
+// One WebSocket session. Segments are numbered like the server numbers them (from 1, in send order),
+// so each send can wait for its own replies.
+class SessionClient {
+    constructor(url, { onEvent = () => {} } = {}) {
+        this.url = url;
+        this.onEvent = onEvent;
+        this.socket = null;
+        this.sessionId = null;
+        this.segmentCount = 0;
+        this.segments = new Map();                     // segmentId -> {state, resolve}
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+            socket.on('message', (data, isBinary) => {
+                if (isBinary) return;
+                const event = JSON.parse(data.toString());
+                if (event.type === 'session_ready') {
+                    this.sessionId = event.sessionId;
+                    resolve(this);
+                }
+                this.track(event);
+                this.onEvent(event);
+            });
+            socket.on('error', reject);
+            socket.on('close', () => {
+                // Nothing more will arrive for segments still waiting
+                this.segments.forEach(({ resolve: finish }) => finish({ closed: true }));
+                this.segments.clear();
+            });
+        });
+    }
+
+    // Send a WAV segment; done resolves once every reply to it has finished (or was queued behind an earlier one)
+    sendSegment(wav, { timeoutMs = 60000 } = {}) {
+        const segmentId = ++this.segmentCount;
+        const done = new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.segments.delete(segmentId);
+                resolve({ timedOut: true });
+            }, timeoutMs);
+            this.segments.set(segmentId, {
+                state: { transcribed: false, selected: 0, finished: 0, queued: 0 },
+                resolve: (result) => {
+                    clearTimeout(timer);
+                    resolve(result);
+                }
+            });
+        });
+        this.socket.send(wav);
+        return { segmentId, done };
+    }
+
+    track(event) {
+        const segment = event.segmentId && this.segments.get(event.segmentId);
+        if (!segment) return;
+        const { state } = segment;
+        switch (event.type) {
+            case 'transcription':
+                state.transcribed = true;
+                break;
+            case 'personality_selected':
+                state.selected++;
+                break;
+            case 'queued':
+                state.queued++;
+                break;
+            case 'response_done':
+            case 'reply_obsolete':                     // Superseded replies are redone for a later segment
+                state.finished++;
+                break;
+            case 'error':
+                this.segments.delete(event.segmentId);
+                return segment.resolve({ error: event.message });
+            default:
+                return;
+        }
+        if (state.transcribed && state.finished + state.queued > 0 && state.finished >= state.selected) {
+            this.segments.delete(event.segmentId);
+            segment.resolve({ ok: true });
+        }
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
+
+function sessionUrl(server, { record }) {
+    const url = new URL('/session', server);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    if (record) {
+        url.searchParams.set('record', '1');
+    }
+    return url.toString();
+}
+
+async function fetchSettings(server, userId) {
+    const response = await fetch(new URL('/settings', server), { headers: userId ? { 'X-User-Id': userId } : {} });
+    if (!response.ok) {
+        throw new Error(`Could not load settings (${response.status})`);
+    }
+    return response.json();
+}
+
+// Print events as a readable transcript, or as JSON lines with audio replaced by its size
+function createPrinter({ json }) {
+    const names = new Map();
+    return (event) => {
+        if (json) {
+            const { audio, ...rest } = event;
+            console.log(JSON.stringify(audio ? { ...rest, audioBytes: Buffer.byteLength(audio, 'base64') } : rest));
+            return;
+        }
+        switch (event.type) {
+            case 'session_ready':
+                timeLog(`Session ${event.sessionId} ${event.resumed ? 'resumed' : 'started'}`);
+                break;
+            case 'transcription':
+                console.log(`You: ${event.text}`);
+                break;
+            case 'personality_selected':
+                names.set(event.personalityId, event.name);
+                break;
+            case 'queued':
+                console.log(`(${names.get(event.personalityId) || event.personalityId} is busy; reply queued)`);
+                break;
+            case 'response_done':
+                if (event.text) {
+                    console.log(`${names.get(event.personalityId) || event.personalityId}: ${event.text}${event.fallback ? ' (fallback)' : ''}`);
+                }
+                break;
+            case 'reply_obsolete':
+                console.log(`(${names.get(event.personalityId) || event.personalityId}'s reply was ${event.reason})`);
+                break;
+            case 'error':
+                console.error(`Error during ${event.stage}: ${event.message}`);
+                break;
+        }
+    };
+}
+
+function listInputFiles(input) {
+    if (!fs.statSync(input).isDirectory()) {
+        return [input];
+    }
+    return fs.readdirSync(input)
+        .filter(name => path.extname(name).toLowerCase() === '.wav')
+        .sort()
+        .map(name => path.join(input, name));
+}
+
+// Scripted session: every segment of every file in order, waiting for its replies (and their playback) before the next
+async function runFiles(client, files, { segmenter, whole, player, timeoutMs }) {
+    for (const file of files) {
+        const buffer = fs.readFileSync(file);
+        const segments = whole
+            ? [buffer]
+            : (await segmenter.segmentFile(buffer)).map(segment => encodeWav([segment.audio], SAMPLE_RATE));
+        timeLog(`${path.basename(file)}: ${segments.length} segment(s)`);
+
+        for (const wav of segments) {
+            const { segmentId, done } = client.sendSegment(wav, { timeoutMs });
+            const result = await done;
+            if (result.timedOut) {
+                console.error(`No complete reply to segment ${segmentId} within ${timeoutMs}ms`);
+            }
+            if (player) {
+                await player.drain();
+            }
+        }
+    }
+}
+
+// Live session: arecord/sox at 16 kHz mono into the VAD until Ctrl+C
+function runMicrophone(client, { segmenter, player, device, setSpeaking }) {
+    const mic = require('mic');
+    const microphone = mic({ rate: String(SAMPLE_RATE), channels: '1', bitwidth: '16', encoding: 'signed-integer', device });
+    const stream = microphone.getAudioStream();
+
+    segmenter.onSpeechStart = () => {
+        timeLog('Speech started');
+        setSpeaking(true);
+    };
+    segmenter.onMisfire = () => setSpeaking(false);
+    segmenter.onSpeechEnd = (audio) => {
+        timeLog(`Speech ended (${(audio.length / SAMPLE_RATE).toFixed(1)}s)`);
+        setSpeaking(false);
+        client.sendSegment(encodeWav([audio], SAMPLE_RATE));
+    };
+
+    let leftover = Buffer.alloc(0);
+    stream.on('data', (data) => {
+        const bytes = Buffer.concat([leftover, data]);
+        const sampleCount = Math.floor(bytes.length / 2);
+        leftover = bytes.subarray(sampleCount * 2);
+        const samples = new Float32Array(sampleCount);
+        for (let index = 0; index < sampleCount; index++) {
+            samples[index] = bytes.readInt16LE(index * 2) / 32768;
+        }
+        segmenter.push(samples);
+    });
+    stream.on('error', (error) => console.error('Microphone error:', error.message || error));
+
+    return new Promise(resolve => {
+        process.once('SIGINT', async () => {
+            timeLog('Stopping');
+            microphone.stop();
+            await segmenter.flush();
+            if (player) {
+                await player.drain();
+            }
+            resolve();
+        });
+        microphone.start();
+        timeLog('Listening; press Ctrl+C to stop');
+    });
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values: options } = parseArgs({
+        args: argv,
+        options: {
+            server: { type: 'string', default: process.env.TWYS_SERVER_URL || 'http://localhost:3000' },
+            input: { type: 'string' },
+            whole: { type: 'boolean', default: false },
+            user: { type: 'string' },
+            policy: { type: 'string' },
+            volume: { type: 'string' },
+            player: { type: 'string' },
+            device: { type: 'string' },
+            'no-play': { type: 'boolean', default: false },
+            'save-audio': { type: 'string' },
+            record: { type: 'boolean', default: false },
+            timeout: { type: 'string', default: '60000' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const settings = await fetchSettings(options.server, options.user);
+    const policy = options.policy || settings.playback.policy;
+    let speaking = false;
+
+    // Files have no live speech to gate on, so their replies play as soon as they arrive
+    const player = options['no-play'] ? null : new LocalPlayer({
+        player: options.player,
+        volume: options.volume === undefined ? settings.playback.volume : Number(options.volume),
+        canPlay: () => options.input || policy === 'always' || (policy === 'after_speech' ? !speaking : speaking)
+    });
+    const setSpeaking = (value) => {
+        speaking = value;
+        if (player) {
+            player.poke();
+        }
+    };
+
+    const saveDir = options['save-audio'];
+    if (saveDir) {
+        fs.mkdirSync(saveDir, { recursive: true });
+    }
+    const print = createPrinter({ json: options.json });
+    const client = new SessionClient(sessionUrl(options.server, { record: options.record }), {
+        onEvent: (event) => {
+            print(event);
+            const reply = `${event.personalityId}:${(event.jobIds || []).join(',')}`;
+            if (event.type === 'reply_obsolete' && player) {
+                player.discard(clip => clip.reply === reply);
+            }
+            if (event.type !== 'audio_chunk') return;
+            const audio = Buffer.from(event.audio, 'base64');
+            const extension = CONTENT_TYPE_EXTENSIONS[event.contentType] || 'mp3';
+            if (saveDir) {
+                const source = event.segmentId ? `s${event.segmentId}` : `u${event.utteranceId}`;
+                fs.writeFileSync(path.join(saveDir, `${source}_${event.personalityId}_${event.index}.${extension}`), audio);
+            }
+            if (player) {
+                player.enqueue({ audio, extension, position: event.position, reply });
+            }
+        }
+    });
+
+    // The Node VAD has one model; the browser's model choice does not apply
+    const { model, ...vadOptions } = settings.vad;
+    const segmenter = await new SpeechSegmenter(vadOptions).init();
+    await client.connect();
+    try {
+        if (options.input) {
+            await runFiles(client, listInputFiles(options.input), {
+                segmenter,
+                whole: options.whole,
+                player,
+                timeoutMs: Number(options.timeout)
+            });
+        } else {
+            await runMicrophone(client, { segmenter, player, device: options.device, setSpeaking });
+        }
+    } finally {
+        client.close();
+        if (player) {
+            player.close();
+        }
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Client failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    SessionClient,
+    main
+};
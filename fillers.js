@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createPersonalities } = require('./personalities');
+const { timeLog } = require('./utils');
+
+// Used for personalities that do not define their own fillers
+const DEFAULT_FILLERS = {
+    acknowledge: ['Mm-hmm.', 'Right.', 'I see.'],
+    encourage: ['Go on.', 'Keep going.', 'Tell me more.'],
+    thinking: ['Hmm.', 'Interesting.', 'Let me think.']
+};
+
+// Said instead of a reply when the LLM or TTS service is down; personalities can set their own fallbacks
+const DEFAULT_FALLBACKS = ['Give me a moment.', 'Bear with me.', 'Keep talking, I am listening.'];
+
+// Manifest category of the fallback clips; they are kept out of GET /fillers
+const FALLBACK_CATEGORY = 'fallback';
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Short backchannel clips per personality, synthesized ahead of time so the client always has something
+// to play instantly, plus canned fallback lines for when a reply cannot be generated.
+// Clips are cached on disk by provider, voice and text; the manifest lists what exists.
+class FillerLibrary {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(__dirname, 'audio', 'fillers');
+        this.manifest = null;                          // {provider, extension, contentType, generatedAt, personalities}
+    }
+
+    // Read the manifest written by the last generate(); missing or unreadable means no fillers
+    load() {
+        const manifestPath = path.join(this.dir, MANIFEST_FILE);
+        try {
+            this.manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            const clipCount = Object.values(this.manifest.personalities).reduce((total, clips) => total + clips.length, 0);
+            timeLog(`Loaded ${clipCount} filler clips (${this.manifest.provider})`);
+        } catch (error) {
+            this.manifest = null;
+            timeLog(`No filler clips in ${this.dir}; run "npm run fillers" to generate them`);
+        }
+        return this;
+    }
+
+    // Synthesize every personality's fillers that are not cached yet (all of them with force),
+    // remove clips that are no longer referenced and write a new manifest
+    async generate(configs, ttsProvider, { force = false } = {}) {
+        const startTime = timeLog(`Generating filler clips with ${ttsProvider.name}...`);
+        const personalities = createPersonalities(configs);
+        const manifest = {
+            provider: ttsProvider.name,
+            extension: ttsProvider.extension,
+            contentType: ttsProvider.contentType,
+            generatedAt: new Date().toISOString(),
+            personalities: {}
+        };
+        let synthesized = 0;
+
+        for (const personality of Object.values(personalities)) {
+            let voice;
+            try {
+                voice = personality.getVoice(ttsProvider.name);
+            } catch (error) {
+                timeLog(`Skipping fillers for ${personality.id}: ${error.message}`);
+                continue;
+            }
+
+            const personalityDir = path.join(this.dir, personality.id);
+            fs.mkdirSync(personalityDir, { recursive: true });
+            const clips = [];
+
+            const categories = {
+                ...(personality.fillers || DEFAULT_FILLERS),
+                [FALLBACK_CATEGORY]: personality.fallbacks || DEFAULT_FALLBACKS
+            };
+            for (const [category, texts] of Object.entries(categories)) {
+                for (const text of texts) {
+                    const hash = crypto.createHash('sha1').update(`${ttsProvider.name}\n${voice}\n${text}`).digest('hex').slice(0, 16);
+                    const file = `${category}-${hash}.${ttsProvider.extension}`;
+                    const filePath = path.join(personalityDir, file);
+                    if (force || !fs.existsSync(filePath)) {
+                        fs.writeFileSync(filePath, await ttsProvider.synthesize(text, voice));
+                        synthesized++;
+                    }
+                    clips.push({ category, text, file });
+                }
+            }
+
+            const kept = new Set(clips.map(clip => clip.file));
+            fs.readdirSync(personalityDir)
+                .filter(file => !kept.has(file))
+                .forEach(file => fs.unlinkSync(path.join(personalityDir, file)));
+            manifest.personalities[personality.id] = clips;
+        }
+
+        fs.writeFileSync(path.join(this.dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+        this.manifest = manifest;
+        timeLog(`Filler clips ready (${synthesized} synthesized)`, startTime);
+        return manifest;
+    }
+
+    // Clips for the given personalities with their current name and position, as served by GET /fillers
+    describe(personalities, providerName) {
+        if (!this.manifest) {
+            return { personalities: [] };
+        }
+        if (this.manifest.provider !== providerName) {
+            timeLog(`Filler clips were made with ${this.manifest.provider}, not ${providerName}; regenerate them`);
+            return { personalities: [] };
+        }
+        return {
+            personalities: personalities
+                .filter(personality => this.manifest.personalities[personality.id])
+                .map(personality => ({
+                    id: personality.id,
+                    name: personality.name,
+                    position: personality.position,
+                    clips: this.manifest.personalities[personality.id]
+                        .filter(clip => clip.category !== FALLBACK_CATEGORY)
+                        .map(clip => ({
+                            category: clip.category,
+                            text: clip.text,
+                            contentType: this.manifest.contentType,
+                            url: `/fillers/${personality.id}/${clip.file}`
+                        }))
+                }))
+        };
+    }
+
+    // A random fallback clip of the personality as {text, path, contentType}, or null when none was generated
+    // with the given TTS provider
+    pickFallback(personalityId, providerName) {
+        if (!this.manifest || this.manifest.provider !== providerName) {
+            return null;
+        }
+        const clips = (this.manifest.personalities[personalityId] || []).filter(clip => clip.category === FALLBACK_CATEGORY);
+        if (clips.length === 0) {
+            return null;
+        }
+        const clip = clips[Math.floor(Math.random() * clips.length)];
+        return {
+            text: clip.text,
+            path: path.join(this.dir, personalityId, clip.file),
+            contentType: this.manifest.contentType
+        };
+    }
+}
+
+// npm run fillers [-- --force]
+if (require.main === module) {
+    require('dotenv').config();
+    const { PersonalityRegistry } = require('./personalities');
+    const { createTtsProvider } = require('./tts');
+
+    const registry = new PersonalityRegistry({ dir: process.env.PERSONALITIES_DIR }).load();
+    new FillerLibrary({ dir: process.env.FILLERS_DIR })
+        .generate(registry.getConfigs(), createTtsProvider(), { force: process.argv.includes('--force') })
+        .catch(error => {
+            console.error('Filler generation failed:', error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    FillerLibrary,
+    DEFAULT_FILLERS,
+    DEFAULT_FALLBACKS
+};
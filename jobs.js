@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { timeLog } = require('./utils');
+
+const JOB_STATES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+// One user utterance waiting for (or answered by) a personality reply
+class Job {
+    constructor(config) {
+        this.id = crypto.randomUUID();
+        this.sessionId = config.sessionId;
+        this.personalityId = config.personalityId;
+        this.transcription = config.transcription;
+        this.wantsAudio = config.wantsAudio;           // Synthesize the reply, or text only
+        this.presetResponse = config.presetResponse;   // Reply already drafted while routing (ensemble mode)
+        this.routingReason = config.routingReason;     // Why this personality was chosen
+        this.channel = config.channel;                 // Connection the job came from (socket / response)
+        this.emit = config.emit || (() => {});         // Push events to that connection
+        this.traceId = config.traceId || null;         // Telemetry correlation id of the utterance
+        this.turn = config.turn || null;               // Session transcript turn the job answers
+        this.state = 'queued';
+        this.response = null;
+        this.audio = [];                               // [{index, text, contentType, path, audioId}]
+        this.error = null;
+        this.fallback = false;                         // Answered with a canned fallback line because a service was down
+        this.batchJobIds = [this.id];                  // Jobs answered by the same generation
+        this.createdAt = Date.now();
+        this.updatedAt = this.createdAt;
+        this.finished = new Promise((resolve) => {
+            this.resolveFinished = resolve;            // Resolves once the job is done or failed
+        });
+    }
+
+    setState(state) {
+        this.state = state;
+        this.updatedAt = Date.now();
+        this.emit({ type: 'job_state', jobId: this.id, personalityId: this.personalityId, state });
+    }
+
+    get isFinished() {
+        return this.state === 'done' || this.state === 'failed' || this.state === 'cancelled';
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            personalityId: this.personalityId,
+            transcription: this.transcription,
+            state: this.state,
+            turn: this.turn,
+            response: this.response,
+            audio: this.audio.map(({ index, text, contentType, audioId }) => ({
+                index,
+                text,
+                contentType,
+                url: audioId ? `/audio/${audioId}` : `/jobs/${this.id}/audio/${index}`
+            })),
+            error: this.error,
+            fallback: this.fallback,
+            batchJobIds: this.batchJobIds,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+// Per-personality work queue. While a personality is generating, new utterances wait as queued jobs;
+// when the generation finishes, everything that piled up is answered together in one follow-up reply.
+// With supersede on, a new utterance instead aborts the running generation, which is redone together with it.
+// runBatch({session, personality, transcription, wantsAudio, presetResponse, routingReason, emit, traceIds, queueWaitMs, signal})
+//   -> {response, audio, fallback}; it should stop once signal is aborted.
+// Aborted and cancelled replies are announced with a reply_obsolete event so clients drop their queued audio.
+class PersonalityWorkQueue {
+    constructor(config) {
+        this.runBatch = config.runBatch;
+        this.retentionMs = config.retentionMs || 10 * 60 * 1000;
+        this.supersede = config.supersede !== false;
+        this.jobs = new Map();
+        this.pending = new WeakMap();                  // Personality -> queued jobs
+        this.running = new WeakMap();                  // Personality -> {batch, controller} being generated
+        this.owners = new WeakMap();                   // Job -> personality
+
+        this.sweepTimer = setInterval(() => this.pruneFinished(), 60 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    // Queue an utterance for the personality; starts draining right away if it is idle
+    submit({ session, personality, transcription, wantsAudio = true, presetResponse, routingReason, channel, emit, traceId, turn }) {
+        const job = new Job({
+            sessionId: session.id,
+            personalityId: personality.id,
+            transcription,
+            wantsAudio,
+            presetResponse,
+            routingReason,
+            channel,
+            emit,
+            traceId,
+            turn
+        });
+        this.jobs.set(job.id, job);
+        this.owners.set(job, personality);
+
+        if (!this.pending.has(personality)) {
+            this.pending.set(personality, []);
+        }
+        this.pending.get(personality).push(job);
+
+        const isAlreadyProcessing = personality.addPendingTranscription(transcription);
+        job.setState('queued');
+        if (isAlreadyProcessing) {
+            // A drafted reply no longer fits once the history moves on
+            job.presetResponse = null;
+            timeLog(`Queued job ${job.id} for busy ${personality.id}`);
+            const running = this.running.get(personality);
+            if (this.supersede && running && !running.controller.signal.aborted) {
+                timeLog(`Superseding the running reply of ${personality.id}`);
+                running.controller.abort('superseded');
+            }
+        } else {
+            // Errors of emitters and state listeners would otherwise go unhandled
+            this.drain(session, personality).catch(error => console.error(`Work queue of ${personality.id} failed:`, error));
+        }
+        return { job, queued: isAlreadyProcessing };
+    }
+
+    async drain(session, personality) {
+        const queue = this.pending.get(personality);
+        personality.isProcessing = true;
+        try {
+            while (queue.length > 0) {
+                const batch = queue.splice(0);
+                const transcription = personality.getAndClearPendingTranscriptions();
+                const batchJobIds = batch.map(job => job.id);
+                const controller = new AbortController();
+                this.running.set(personality, { batch, controller });
+                batch.forEach(job => {
+                    job.batchJobIds = batchJobIds;
+                    job.setState('running');
+                });
+
+                try {
+                    const result = await this.runBatch({
+                        session,
+                        personality,
+                        transcription,
+                        wantsAudio: batch.some(job => job.wantsAudio),
+                        presetResponse: batch.length === 1 ? batch[0].presetResponse : null,
+                        routingReason: batch[batch.length - 1].routingReason,
+                        emit: this.createBatchEmitter(batch),
+                        traceIds: batch.map(job => job.traceId).filter(Boolean),
+                        queueWaitMs: Date.now() - batch[0].createdAt,
+                        signal: controller.signal
+                    });
+                    controller.signal.throwIfAborted();
+                    batch.forEach(job => {
+                        job.response = result.response;
+                        job.audio = result.audio || [];
+                        job.fallback = Boolean(result.fallback);
+                        job.setState('done');
+                        job.resolveFinished(job);
+                    });
+                } catch (error) {
+                    if (controller.signal.aborted) {
+                        this.handleAborted(batch, queue, controller.signal.reason);
+                        continue;
+                    }
+                    timeLog(`Job batch failed for ${personality.id}`);
+                    console.error(error);
+                    this.createBatchEmitter(batch)({ type: 'error', stage: 'response', message: error.message });
+                    batch.forEach(job => {
+                        job.error = error.message;
+                        job.setState('failed');
+                        job.resolveFinished(job);
+                    });
+                }
+            }
+        } finally {
+            this.running.delete(personality);
+            personality.isProcessing = false;
+        }
+    }
+
+    // A superseded batch waits again and is answered together with the utterances that superseded it
+    // (its transcription is already in the personality's history); a cancelled one ends here
+    handleAborted(batch, queue, reason) {
+        timeLog(`Reply to ${batch.map(job => job.id).join(', ')} ${reason}`);
+        this.createBatchEmitter(batch)({ type: 'reply_obsolete', personalityId: batch[0].personalityId, reason });
+        const jobs = batch.filter(job => job.state !== 'cancelled');
+        if (reason === 'superseded' && queue.length > 0) {
+            jobs.forEach(job => job.setState('queued'));
+            queue.unshift(...jobs);
+            return;
+        }
+        jobs.forEach(job => {
+            job.setState('cancelled');
+            job.resolveFinished(job);
+        });
+    }
+
+    // Cancel a job: a queued one is dropped, a running one stops its generation (and that of the jobs answered
+    // with it), a finished one is marked obsolete so clients discard audio of it they have not played yet
+    cancel(jobId) {
+        const job = this.get(jobId);
+        if (!job) {
+            return null;
+        }
+        const personality = this.owners.get(job);
+        if (job.state === 'queued' && personality) {
+            const queue = this.pending.get(personality);
+            queue.splice(queue.indexOf(job), 1);
+            const pendingIndex = personality.pendingTranscriptions.indexOf(job.transcription);
+            if (pendingIndex !== -1) {
+                personality.pendingTranscriptions.splice(pendingIndex, 1);
+            }
+            this.handleAborted([job], queue, 'cancelled');
+        } else if (job.state === 'running' && personality) {
+            this.running.get(personality)?.controller.abort('cancelled');
+        } else if (job.state === 'done') {
+            const batch = job.batchJobIds.map(id => this.jobs.get(id)).filter(Boolean);
+            this.createBatchEmitter(batch)({ type: 'reply_obsolete', personalityId: job.personalityId, reason: 'cancelled' });
+        }
+        return job;
+    }
+
+    // Send batch events once per connection, through the newest job from that connection
+    createBatchEmitter(batch) {
+        const byChannel = new Map();
+        batch.forEach(job => byChannel.set(job.channel, job));
+        const batchJobIds = batch.map(job => job.id);
+        const turn = Math.max(...batch.map(job => job.turn || 0)) || null;
+
+        return (event) => {
+            byChannel.forEach(job => job.emit({ ...event, jobIds: batchJobIds, turn }));
+        };
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    // Audio files still referenced by retained jobs
+    getAudioFiles() {
+        const files = new Set();
+        this.jobs.forEach(job => job.audio.forEach(chunk => files.add(chunk.path)));
+        return files;
+    }
+
+    pruneFinished(now = Date.now()) {
+        for (const [id, job] of this.jobs) {
+            if (job.isFinished && now - job.updatedAt > this.retentionMs) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = {
+    JOB_STATES,
+    Job,
+    PersonalityWorkQueue
+};
@@ -0,0 +1,190 @@
+const axios = require('axios');
+const { timeLog } = require('./utils');
+
+// Split a streamed HTTP body into complete lines
+async function* readLines(stream) {
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIndex).trim();
+            buffer = buffer.slice(newlineIndex + 1);
+            if (line) {
+                yield line;
+            }
+        }
+    }
+    if (buffer.trim()) {
+        yield buffer.trim();
+    }
+}
+
+// Chat client for Ollama's /api/chat route
+class OllamaChatClient {
+    constructor(config = {}) {
+        this.name = 'ollama';
+        this.baseUrl = config.baseUrl || 'http://127.0.0.1:11434';
+        this.model = config.model || 'llama3.1:8b';
+        this.timeoutMs = config.timeoutMs;
+        this.defaults = config.defaults || {};
+    }
+
+    async chat(messages, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const response = await axios.post(`${this.baseUrl}/api/chat`, {
+            model: settings.model || this.model,
+            messages,
+            stream: false,
+            options: {
+                temperature: settings.temperature,
+                num_predict: settings.maxTokens,
+                stop: settings.stop
+            }
+        }, {
+            timeout: settings.timeoutMs ?? this.timeoutMs,
+            signal: settings.signal
+        });
+        return response.data.message.content;
+    }
+
+    // Yield content deltas as Ollama streams them (newline-delimited JSON)
+    async *chatStream(messages, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const response = await axios.post(`${this.baseUrl}/api/chat`, {
+            model: settings.model || this.model,
+            messages,
+            stream: true,
+            options: {
+                temperature: settings.temperature,
+                num_predict: settings.maxTokens,
+                stop: settings.stop
+            }
+        }, {
+            timeout: settings.timeoutMs ?? this.timeoutMs,
+            signal: settings.signal,
+            responseType: 'stream'
+        });
+
+        for await (const line of readLines(response.data)) {
+            const data = JSON.parse(line);
+            if (data.message?.content) {
+                yield data.message.content;
+            }
+            if (data.done) {
+                break;
+            }
+        }
+    }
+}
+
+// Chat client for OpenAI-compatible /v1/chat/completions servers (llama.cpp, vLLM, LM Studio, ...)
+class OpenAIChatClient {
+    constructor(config = {}) {
+        this.name = 'openai';
+        this.baseUrl = config.baseUrl || 'http://127.0.0.1:8080/v1';
+        this.model = config.model || 'llama3.1:8b';
+        this.apiKey = config.apiKey;
+        this.timeoutMs = config.timeoutMs;
+        this.defaults = config.defaults || {};
+    }
+
+    async chat(messages, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: settings.model || this.model,
+            messages,
+            temperature: settings.temperature,
+            max_tokens: settings.maxTokens,
+            stop: settings.stop
+        }, {
+            headers,
+            timeout: settings.timeoutMs ?? this.timeoutMs,
+            signal: settings.signal
+        });
+        return response.data.choices[0].message.content;
+    }
+
+    // Yield content deltas from the server-sent event stream
+    async *chatStream(messages, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: settings.model || this.model,
+            messages,
+            temperature: settings.temperature,
+            max_tokens: settings.maxTokens,
+            stop: settings.stop,
+            stream: true
+        }, {
+            headers,
+            timeout: settings.timeoutMs ?? this.timeoutMs,
+            signal: settings.signal,
+            responseType: 'stream'
+        });
+
+        for await (const line of readLines(response.data)) {
+            if (!line.startsWith('data:')) {
+                continue;
+            }
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') {
+                break;
+            }
+            const delta = JSON.parse(payload).choices[0]?.delta?.content;
+            if (delta) {
+                yield delta;
+            }
+        }
+    }
+}
+
+const LLM_PROVIDERS = {
+    ollama: OllamaChatClient,
+    openai: OpenAIChatClient
+};
+
+function parseOptionalNumber(value) {
+    return value === undefined || value === '' ? undefined : Number(value);
+}
+
+// Build the LLM client selected by LLM_PROVIDER (defaults to ollama)
+function createLlmClient(env = process.env) {
+    const providerName = (env.LLM_PROVIDER || 'ollama').toLowerCase();
+    const Client = LLM_PROVIDERS[providerName];
+    if (!Client) {
+        throw new Error(`Unknown LLM provider: ${providerName}`);
+    }
+
+    // Keep the old REMOTE_DESKTOP_IP setup working for Ollama
+    const ollamaUrl = env.REMOTE_DESKTOP_IP ? `http://${env.REMOTE_DESKTOP_IP}:11434` : undefined;
+
+    const client = new Client({
+        baseUrl: env.LLM_BASE_URL || (providerName === 'ollama' ? ollamaUrl : undefined),
+        model: env.LLM_MODEL,
+        apiKey: env.LLM_API_KEY,
+        timeoutMs: parseOptionalNumber(env.LLM_TIMEOUT_MS) ?? 30000,
+        defaults: {
+            temperature: parseOptionalNumber(env.LLM_TEMPERATURE),
+            maxTokens: parseOptionalNumber(env.LLM_MAX_TOKENS)
+        }
+    });
+    timeLog(`Using LLM provider: ${client.name} (${client.model})`);
+    return client;
+}
+
+module.exports = {
+    OllamaChatClient,
+    OpenAIChatClient,
+    LLM_PROVIDERS,
+    createLlmClient
+};
@@ -0,0 +1,157 @@
+const { timeLog } = require('./utils');
+
+// Rough token count (about four characters per token for English); good enough for budgeting
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// Plain-text fallback summary: the evicted turns appended to the previous summary, oldest words dropped first
+function extractiveSummary(previousSummary, turns, maxTokens) {
+    const lines = turns.map(turn => `${turn.speaker}: ${turn.content}`);
+    let summary = [previousSummary, ...lines].filter(Boolean).join(' ');
+    const maxChars = maxTokens * 4;
+    if (summary.length > maxChars) {
+        summary = '…' + summary.slice(summary.length - maxChars + 1);
+    }
+    return summary;
+}
+
+// One personality's view of the conversation: role-tagged turns within a token budget.
+// Turns that no longer fit are rolled into a running summary instead of being discarded.
+class ConversationMemory {
+    constructor(config = {}) {
+        this.turns = [];                               // [{role, personalityId, speaker, content, timestamp}]
+        this.summary = '';
+        this.maxTokens = config.maxTokens || 500;      // Budget for the turns kept verbatim
+        this.maxTurns = config.maxTurns || 20;
+        this.maxSummaryTokens = config.maxSummaryTokens || 150;
+        this.summarizer = config.summarizer || null;   // async (previousSummary, turns, maxTokens) -> summary
+        this.summarizeEvicted = config.summarizeEvicted !== false;  // false: evicted turns are simply dropped
+        this.summaryVersion = 0;
+    }
+
+    add(turn) {
+        this.turns.push({ timestamp: Date.now(), ...turn });
+        this.compact();
+    }
+
+    getTokenCount() {
+        return this.turns.reduce((total, turn) => total + estimateTokens(turn.content), 0);
+    }
+
+    // Evict the oldest turns (at least one user/reply pair is always kept) and fold them into the summary
+    compact() {
+        const evicted = [];
+        while (this.turns.length > 2 && (this.turns.length > this.maxTurns || this.getTokenCount() > this.maxTokens)) {
+            evicted.push(this.turns.shift());
+        }
+        if (evicted.length === 0 || !this.summarizeEvicted) {
+            return;
+        }
+
+        // Extractive summary right away, replaced by the summarizer's version when it arrives
+        const previousSummary = this.summary;
+        this.summary = extractiveSummary(previousSummary, evicted, this.maxSummaryTokens);
+
+        if (this.summarizer) {
+            const version = ++this.summaryVersion;
+            this.summarizer(previousSummary, evicted, this.maxSummaryTokens)
+                .then(summary => {
+                    // A newer compaction has already moved on; its summary wins
+                    if (version === this.summaryVersion && summary) {
+                        this.summary = summary.trim();
+                    }
+                })
+                .catch(error => {
+                    timeLog('Summarizer failed, keeping extractive summary');
+                    console.error(error.message);
+                });
+        }
+    }
+
+    // Replace the content of the most recent turn matching oldContent
+    revise(oldContent, newContent) {
+        for (let i = this.turns.length - 1; i >= 0; i--) {
+            if (this.turns[i].content === oldContent) {
+                this.turns[i].content = newContent;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    clear() {
+        this.turns = [];
+        this.summary = '';
+        this.summaryVersion++;
+    }
+}
+
+// Everything said in a session, by the user and every personality, in order
+class SharedTranscript {
+    constructor(config = {}) {
+        this.entries = [];                             // [{role, personalityId, speaker, content, timestamp}]
+        this.maxEntries = config.maxEntries || 1000;   // Enough for the coaching report of a long session
+    }
+
+    add(entry) {
+        this.entries.push({ timestamp: Date.now(), ...entry });
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    // Replace the most recent entry with the given content (e.g. a partial transcript once the final one arrives)
+    revise(oldContent, newContent) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (this.entries[i].content === oldContent) {
+                this.entries[i].content = newContent;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // The latest replies from personalities other than the given one, within a token budget
+    getOtherReplies(personalityId, maxTokens = 150) {
+        const lines = [];
+        let tokens = 0;
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.role !== 'assistant' || entry.personalityId === personalityId) {
+                continue;
+            }
+            tokens += estimateTokens(entry.content);
+            if (tokens > maxTokens) {
+                break;
+            }
+            lines.unshift(entry);
+        }
+        return lines;
+    }
+}
+
+// Summarizer backed by the chat LLM
+function createLlmSummarizer(llmClient, options = {}) {
+    return async (previousSummary, turns, maxTokens) => {
+        const transcript = turns.map(turn => `${turn.speaker}: ${turn.content}`).join('\n');
+        return llmClient.chat([
+            {
+                role: 'system',
+                content: `Summarize the conversation so far in at most ${maxTokens * 3 / 4 | 0} words. ` +
+                    'Keep the user\'s goals, facts they shared and advice already given. Answer with the summary only.'
+            },
+            {
+                role: 'user',
+                content: (previousSummary ? `Earlier summary: ${previousSummary}\n\n` : '') + `New turns:\n${transcript}`
+            }
+        ], { model: options.model, temperature: 0.2, maxTokens });
+    };
+}
+
+module.exports = {
+    estimateTokens,
+    ConversationMemory,
+    SharedTranscript,
+    createLlmSummarizer
+};
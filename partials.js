@@ -0,0 +1,118 @@
+// Incremental transcription helpers: partial transcripts of an utterance that is still being spoken,
+// early replies once enough new words arrive, and reconciliation with the final transcript.
+
+function splitWords(text) {
+    return (text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+// Find where `covered` ends inside `text` using a word-level longest common subsequence, so small
+// differences between a partial and a later transcript (punctuation, a misheard word) don't matter.
+// Returns the part of `text` that corresponds to `covered` and the remainder after it.
+function alignTranscripts(covered, text) {
+    const coveredWords = splitWords(covered).map(normalizeWord);
+    const words = splitWords(text);
+    const normalized = words.map(normalizeWord);
+
+    if (coveredWords.length === 0) {
+        return { prefix: '', remainder: words.join(' ') };
+    }
+
+    // lcs[i][j] = LCS length of coveredWords[0..i) and normalized[0..j)
+    const lcs = Array.from({ length: coveredWords.length + 1 }, () => new Array(words.length + 1).fill(0));
+    for (let i = 1; i <= coveredWords.length; i++) {
+        for (let j = 1; j <= words.length; j++) {
+            lcs[i][j] = coveredWords[i - 1] === normalized[j - 1]
+                ? lcs[i - 1][j - 1] + 1
+                : Math.max(lcs[i - 1][j], lcs[i][j - 1]);
+        }
+    }
+
+    // Shortest prefix of text that already matches as much of `covered` as the whole text does
+    const best = lcs[coveredWords.length][words.length];
+    let end = 0;
+    if (best === 0) {
+        // Nothing in common: assume the words line up one to one
+        end = Math.min(coveredWords.length, words.length);
+    } else {
+        while (lcs[coveredWords.length][end] < best) {
+            end++;
+        }
+    }
+
+    return {
+        prefix: words.slice(0, end).join(' '),
+        remainder: words.slice(end).join(' ')
+    };
+}
+
+// Tracks the utterance a connection is currently speaking: its latest partial transcript and the
+// portions already committed to early replies (each with the personality that answered it)
+class UtteranceTracker {
+    constructor(config = {}) {
+        this.minWords = config.minWords ?? 6;          // New words needed before an early reply; 0 disables
+        this.current = null;
+        this.lastClosedId = 0;
+    }
+
+    // Get the open utterance for a partial window, starting it if needed. Returns null for stale windows.
+    open(utteranceId) {
+        if (utteranceId <= this.lastClosedId) {
+            return null;
+        }
+        if (!this.current || this.current.id !== utteranceId) {
+            this.current = {
+                id: utteranceId,
+                partialText: '',
+                commits: [],                           // [{text, personalityId}]
+                transcribing: false,
+                nextWindow: null,
+                closed: false
+            };
+        }
+        return this.current;
+    }
+
+    // Text of a partial transcript that no early reply has covered yet
+    uncommittedText(utterance, partialText) {
+        const committed = utterance.commits.map(commit => commit.text).join(' ');
+        return alignTranscripts(committed, partialText).remainder;
+    }
+
+    // Whether enough new words arrived to start an early reply
+    shouldReplyEarly(text) {
+        return this.minWords > 0 && splitWords(text).length >= this.minWords;
+    }
+
+    // Close the open utterance when its final segment arrives
+    close() {
+        const utterance = this.current;
+        this.current = null;
+        if (utterance) {
+            utterance.closed = true;
+            this.lastClosedId = utterance.id;
+        }
+        return utterance;
+    }
+}
+
+// Match a final transcript against the committed portions of an utterance.
+// Returns each commit with the final wording of its portion, plus the words no early reply covered.
+function reconcileFinal(utterance, finalText) {
+    let remaining = finalText;
+    const revisions = utterance.commits.map(commit => {
+        const { prefix, remainder } = alignTranscripts(commit.text, remaining);
+        remaining = remainder;
+        return { ...commit, finalText: prefix };
+    });
+    return { revisions, remainder: remaining };
+}
+
+module.exports = {
+    alignTranscripts,
+    reconcileFinal,
+    UtteranceTracker
+};
@@ -1,36 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const yaml = require('js-yaml');
+const { timeLog } = require('./utils');
+const { ConversationMemory } = require('./memory');
+
 class Personality {
-    constructor(config) {
+    constructor(config, context = {}) {
+        // Individual chat history: role-tagged turns within a token budget plus a running summary
+        this.memory = new ConversationMemory({ summarizer: context.summarizer });
+        this.sharedTranscript = context.sharedTranscript || null;   // Session-wide transcript of every voice
+        this.scenario = context.scenario || null;      // Practice scenario of the session (see scenarios.js)
+        this.isProcessing = false;
+        this.pendingTranscriptions = [];
+        this.applyConfig(config);
+    }
+
+    // Apply a (re)loaded definition; history and processing state are kept
+    applyConfig(config) {
         this.id = config.id;                           // Unique identifier
         this.name = config.name;                       // Display name
-        this.voiceId = config.voiceId;                 // ElevenLabs voice ID
+        this.voices = config.voices || {};             // Voice per TTS provider
+        this.voiceId = this.voices.elevenlabs;         // ElevenLabs voice ID
         this.position = config.position;               // Spatial position {x, y, z}
         this.systemPrompt = config.systemPrompt;       // System role/prompt
-        this.conversationHistory = [];                 // Individual chat history
+        this.llm = config.llm || {};                   // Model and sampling overrides {model, temperature, maxTokens, stop, timeoutMs}
+        this.routing = config.routing || {};           // Relevance routing {description, keywords}
+        this.fillers = config.fillers || null;         // Backchannel clip texts by category; null uses the defaults
+        this.fallbacks = config.fallbacks || null;     // Canned lines for when no reply can be generated; null uses the defaults
         this.maxHistoryLength = config.maxHistoryLength || 10;
         this.maxTotalChars = config.maxTotalChars || 2000;
-        this.isProcessing = false;
-        this.pendingTranscriptions = [];
-        this.numWords = 5;
+        this.maxHistoryTokens = config.maxHistoryTokens || Math.round(this.maxTotalChars / 4);
+        this.summarize = config.summarize !== false;  // Roll evicted turns into a summary instead of dropping them
+        this.shareTranscript = config.shareTranscript === true;     // See what the other personalities said
+        this.numWords = config.numWords || 5;          // Word limit for replies
+
+        this.memory.maxTurns = this.maxHistoryLength * 2;
+        this.memory.maxTokens = this.maxHistoryTokens;
+        this.memory.maxSummaryTokens = config.maxSummaryTokens || 150;
+        this.memory.summarizeEvicted = this.summarize;
+    }
+
+    // Plain history contents, oldest first
+    get conversationHistory() {
+        return this.memory.turns.map(turn => turn.content);
     }
 
-    updateHistory(newMessage) {
-        this.conversationHistory.push(newMessage);
-        
-        // Trim history if it exceeds max length
-        if (this.conversationHistory.length > this.maxHistoryLength * 2) {
-            this.conversationHistory.splice(0, 2);
+    // Add a turn; role is 'user' or 'assistant' (inferred by alternation when omitted)
+    updateHistory(newMessage, role) {
+        const lastTurn = this.memory.turns[this.memory.turns.length - 1];
+        const turnRole = role || (lastTurn && lastTurn.role === 'user' ? 'assistant' : 'user');
+        this.memory.add({
+            role: turnRole,
+            personalityId: turnRole === 'assistant' ? this.id : null,
+            speaker: turnRole === 'assistant' ? this.name : 'User',
+            content: newMessage
+        });
+    }
+
+    // Replace an earlier history entry, e.g. a partial transcript once the final one arrives
+    reviseHistory(oldMessage, newMessage) {
+        return this.memory.revise(oldMessage, newMessage);
+    }
+
+    // Voice to use with the given TTS provider
+    getVoice(providerName) {
+        const voice = this.voices[providerName];
+        if (!voice) {
+            throw new Error(`No ${providerName} voice configured for ${this.id}`);
         }
+        return voice;
+    }
 
-        // Check total character length
-        let totalLength = this.conversationHistory.join('\n').length;
-        while (totalLength > this.maxTotalChars && this.conversationHistory.length > 2) {
-            this.conversationHistory.splice(0, 2);
-            totalLength = this.conversationHistory.join('\n').length;
+    // System prompt with the session's scenario, the running summary and, if enabled, what the other personalities said
+    getSystemPrompt() {
+        let prompt = this.systemPrompt;
+        if (this.scenario) {
+            prompt += `\n\nThe user is practising: ${this.scenario.name}. Their goal: ${this.scenario.goal}`;
+            if (this.scenario.context) {
+                prompt += `\nBackground: ${this.scenario.context}`;
+            }
+            if (this.scenario.personalities[this.id]) {
+                prompt += `\nIn this scenario: ${this.scenario.personalities[this.id]}`;
+            }
         }
+        if (this.memory.summary) {
+            prompt += `\n\nSummary of the earlier conversation: ${this.memory.summary}`;
+        }
+        if (this.shareTranscript && this.sharedTranscript) {
+            const others = this.sharedTranscript.getOtherReplies(this.id);
+            if (others.length > 0) {
+                prompt += '\n\nWhat the other voices said recently:\n' +
+                    others.map(entry => `- ${entry.speaker}: ${entry.content}`).join('\n');
+            }
+        }
+        return prompt;
     }
 
     getFullPrompt() {
-        return this.systemPrompt + '\n\nCurrent conversation:\n' + this.conversationHistory.join('\n');
+        return this.getSystemPrompt() + '\n\nCurrent conversation:\n' +
+            this.memory.turns.map(turn => `${turn.speaker}: ${turn.content}`).join('\n');
+    }
+
+    // System prompt and history as role-tagged chat messages
+    getMessages() {
+        return [
+            { role: 'system', content: this.getSystemPrompt() },
+            ...this.memory.turns.map(turn => ({ role: turn.role, content: turn.content }))
+        ];
     }
 
     addPendingTranscription(transcription) {
@@ -45,54 +122,217 @@ class Personality {
     }
 }
 
-// Define our personalities
-const personalities = {
-    advisor: new Personality({
-        id: 'advisor',
-        name: 'The Advisor',
-        voiceId: process.env.ELEVENLABS_VOICE_ID_1,
-        position: { x: 0, y: 0, z: 1 },
-        systemPrompt: `You are a wise advisor who guides the user through their conversation. Your responses are delivered while they are talking. You should:
-1. Keep responses VERY brief (maximum 5 words)
-2. Provide strategic suggestions for what to say next
-3. Maintain a calm, thoughtful demeanor
-4. Focus on helping the user achieve their conversational goals
-5. Your responses will be read out loud, so respond with only the words you want to say, and DO NOT include any special characters
-!!!DO NOT RESPOND WITH MORE THAN 5 WORDS!!!`
-    }),
-
-    critic: new Personality({
-        id: 'critic',
-        name: 'The Critic',
-        voiceId: process.env.ELEVENLABS_VOICE_ID_2,
-        position: { x: -1, y: 0, z: 0.5 },
-        systemPrompt: `You are a critical voice that challenges the user's thoughts. Your responses come while they are talking. You should:
-1. Keep responses VERY brief (maximum 5 words)
-2. Point out flaws in their reasoning
-3. Suggest alternative perspectives
-4. Be provocative but not hostile
-5. Help them think more deeply
-6. Your responses will be read out loud, so respond with only the words you want to say, and DO NOT include any special characters
-!!!DO NOT RESPOND WITH MORE THAN 5 WORDS!!!`
-    }),
-
-    supporter: new Personality({
-        id: 'supporter',
-        name: 'The Supporter',
-        voiceId: process.env.ELEVENLABS_VOICE_ID_3,
-        position: { x: 1, y: 0, z: 0.5 },
-        systemPrompt: `You are an encouraging supporter who boosts the user's confidence. Your responses come while they are talking. You should:
-1. Keep responses VERY brief (maximum 5 words)
-2. Offer positive reinforcement
-3. Highlight their good points
-4. Add enthusiastic energy
-5. Help them feel more confident
-6. Your responses will be read out loud, so respond with only the words you want to say, and DO NOT include any special characters
-!!!DO NOT RESPOND WITH MORE THAN 5 WORDS!!!`
-    })
-};
+const PERSONALITY_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Check a personality definition; returns a list of problems (empty when valid)
+function validatePersonalityConfig(config) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+    if (!isObject(config)) {
+        return ['definition must be an object'];
+    }
+    if (typeof config.id !== 'string' || !PERSONALITY_ID_PATTERN.test(config.id)) {
+        errors.push('id must be lowercase letters, digits, "-" or "_"');
+    }
+    if (typeof config.name !== 'string' || config.name.trim() === '') {
+        errors.push('name is required');
+    }
+    if (typeof config.systemPrompt !== 'string' || config.systemPrompt.trim() === '') {
+        errors.push('systemPrompt is required');
+    }
+    if (!isObject(config.position) || !['x', 'y', 'z'].every(axis => Number.isFinite(config.position[axis]))) {
+        errors.push('position must be {x, y, z} numbers');
+    }
+    if (config.voices !== undefined && (!isObject(config.voices) ||
+        !Object.values(config.voices).every(voice => voice === undefined || typeof voice === 'string'))) {
+        errors.push('voices must map TTS provider names to voice strings');
+    }
+    ['maxHistoryLength', 'maxTotalChars', 'maxHistoryTokens', 'maxSummaryTokens', 'numWords'].forEach(field => {
+        if (config[field] !== undefined && !isPositiveInteger(config[field])) {
+            errors.push(`${field} must be a positive integer`);
+        }
+    });
+    ['active', 'summarize', 'shareTranscript'].forEach(field => {
+        if (config[field] !== undefined && typeof config[field] !== 'boolean') {
+            errors.push(`${field} must be true or false`);
+        }
+    });
+    if (config.llm !== undefined && !isObject(config.llm)) {
+        errors.push('llm must be an object');
+    }
+    if (config.routing !== undefined && (!isObject(config.routing) ||
+        (config.routing.keywords !== undefined && !Array.isArray(config.routing.keywords)))) {
+        errors.push('routing must be {description, keywords: []}');
+    }
+    if (config.fillers !== undefined && (!isObject(config.fillers) ||
+        !Object.values(config.fillers).every(texts => Array.isArray(texts) && texts.every(text => typeof text === 'string' && text.trim())))) {
+        errors.push('fillers must map categories to lists of phrases');
+    }
+    if (config.fallbacks !== undefined && (!Array.isArray(config.fallbacks) || config.fallbacks.length === 0 ||
+        !config.fallbacks.every(text => typeof text === 'string' && text.trim()))) {
+        errors.push('fallbacks must be a list of phrases');
+    }
+    return errors;
+}
+
+// Environment variables a definition may read: the per-personality voice settings, nothing that could hold a secret
+const ENV_ALLOWLIST = /^(ELEVENLABS_VOICE_ID|OPENAI_VOICE|PIPER_VOICE|ESPEAK_VOICE)_\w+$/;
+
+// Expand ${VAR} and ${VAR:-default} in string values so files can reference .env settings.
+// Placeholders naming variables outside the allowlist stay as written.
+function expandEnv(value, env = process.env) {
+    if (typeof value === 'string') {
+        const expanded = value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) =>
+            ENV_ALLOWLIST.test(name) ? env[name] || fallback || '' : match);
+        return expanded === '' && value !== '' ? undefined : expanded;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => expandEnv(item, env));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+    }
+    return value;
+}
+
+// Fields of value holding "${" that stored (the definition being replaced, if any) does not hold at the same place.
+// Placeholders are only for the definition files; the API may keep existing ones but not add new ones.
+function findNewPlaceholders(value, stored, field = '') {
+    if (typeof value === 'string') {
+        return value.includes('${') && value !== stored ? [field] : [];
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => findNewPlaceholders(item, stored ? stored[key] : undefined,
+            Array.isArray(value) ? `${field}[${key}]` : field ? `${field}.${key}` : key));
+    }
+    return [];
+}
+
+class PersonalityValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid personality: ${errors.join('; ')}`);
+        this.name = 'PersonalityValidationError';
+        this.errors = errors;
+    }
+}
+
+// Personality definitions loaded from a directory of JSON/YAML files (one personality per file).
+// Emits 'change' after every reload so live sessions can pick up edits without a restart.
+class PersonalityRegistry extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.dir = config.dir || path.join(__dirname, 'config', 'personalities');
+        this.definitions = new Map();                  // id -> {raw, file}; raw keeps ${VAR} placeholders
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    // Read every definition file; invalid files are skipped with a log line
+    load() {
+        const definitions = new Map();
+        fs.readdirSync(this.dir)
+            .filter(file => CONFIG_EXTENSIONS.includes(path.extname(file)))
+            .sort()
+            .forEach(file => {
+                const filePath = path.join(this.dir, file);
+                try {
+                    const text = fs.readFileSync(filePath, 'utf8');
+                    const raw = path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+                    const errors = validatePersonalityConfig(raw);
+                    if (errors.length > 0) {
+                        throw new PersonalityValidationError(errors);
+                    }
+                    if (definitions.has(raw.id)) {
+                        throw new Error(`duplicate id ${raw.id}`);
+                    }
+                    definitions.set(raw.id, { raw, file: filePath });
+                } catch (error) {
+                    timeLog(`Skipping personality file ${file}: ${error.message}`);
+                }
+            });
+
+        this.definitions = definitions;
+        timeLog(`Loaded ${definitions.size} personalities from ${this.dir}`);
+        this.emit('change');
+        return this;
+    }
+
+    // Reload when files in the directory change (debounced; editors write in bursts)
+    watch() {
+        this.watcher = fs.watch(this.dir, () => {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.load(), 200);
+        });
+        this.watcher.unref();
+        return this;
+    }
+
+    // Definition with environment placeholders expanded, ready for new Personality()
+    getConfig(id) {
+        const definition = this.definitions.get(id);
+        return definition ? expandEnv(definition.raw) : null;
+    }
+
+    // Definition as stored in its file
+    getDefinition(id) {
+        const definition = this.definitions.get(id);
+        return definition ? definition.raw : null;
+    }
+
+    getAllDefinitions() {
+        return [...this.definitions.values()].map(definition => definition.raw);
+    }
+
+    getConfigs() {
+        return [...this.definitions.keys()].map(id => this.getConfig(id));
+    }
+
+    getActiveIds() {
+        return this.getAllDefinitions().filter(raw => raw.active !== false).map(raw => raw.id);
+    }
+
+    // Validate and write a definition to disk, then reload
+    save(raw) {
+        const errors = validatePersonalityConfig(raw);
+        if (errors.length > 0) {
+            throw new PersonalityValidationError(errors);
+        }
+
+        const existing = this.definitions.get(raw.id);
+        const file = existing ? existing.file : path.join(this.dir, `${raw.id}.yaml`);
+        const text = path.extname(file) === '.json'
+            ? JSON.stringify(raw, null, 2) + '\n'
+            : yaml.dump(raw, { lineWidth: -1 });
+        fs.writeFileSync(file, text);
+        this.load();
+        return this.getDefinition(raw.id);
+    }
+
+    remove(id) {
+        const definition = this.definitions.get(id);
+        if (!definition) {
+            return false;
+        }
+        fs.unlinkSync(definition.file);
+        this.load();
+        return true;
+    }
+}
+
+// Build a fresh set of Personality instances (each session gets its own history and state)
+function createPersonalities(configs, context = {}) {
+    return Object.fromEntries(configs.map(config => [config.id, new Personality(config, context)]));
+}
 
 module.exports = {
     Personality,
-    personalities
-}; 
\ No newline at end of file
+    PersonalityRegistry,
+    PersonalityValidationError,
+    validatePersonalityConfig,
+    expandEnv,
+    findNewPlaceholders,
+    createPersonalities
+};
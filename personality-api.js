@@ -0,0 +1,124 @@
+const express = require('express');
+const { PersonalityValidationError, findNewPlaceholders } = require('./personalities');
+const { timeLog } = require('./utils');
+
+// REST API over the personality registry. Every change is written to the definition files
+// and reloaded, so running sessions pick it up immediately.
+function createPersonalityRouter(registry) {
+    const router = express.Router();
+
+    const sendError = (res, error) => {
+        if (error instanceof PersonalityValidationError) {
+            return res.status(400).json({ error: error.message, details: error.errors });
+        }
+        timeLog('Error in personality API');
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    };
+
+    // Clients may keep a definition's placeholders but not add any: expanded, they would read the server's environment
+    const checkPlaceholders = (raw, stored) => {
+        const fields = findNewPlaceholders(raw, stored);
+        if (fields.length > 0) {
+            throw new PersonalityValidationError(fields.map(field => `${field} must not contain \${...} placeholders`));
+        }
+    };
+
+    const setActive = (active) => (req, res) => {
+        const definition = registry.getDefinition(req.params.id);
+        if (!definition) {
+            return res.status(404).json({ error: `Unknown personality: ${req.params.id}` });
+        }
+        try {
+            res.json(registry.save({ ...definition, active }));
+            timeLog(`${active ? 'Activated' : 'Deactivated'} personality ${req.params.id}`);
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+
+    router.get('/', (req, res) => {
+        res.json(registry.getAllDefinitions());
+    });
+
+    // Re-read the definition files, e.g. after editing them by hand
+    router.post('/reload', (req, res) => {
+        try {
+            registry.load();
+            res.json(registry.getAllDefinitions());
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        const definition = registry.getDefinition(req.params.id);
+        if (!definition) {
+            return res.status(404).json({ error: `Unknown personality: ${req.params.id}` });
+        }
+        res.json(definition);
+    });
+
+    router.post('/', (req, res) => {
+        if (req.body && registry.getDefinition(req.body.id)) {
+            return res.status(409).json({ error: `Personality already exists: ${req.body.id}` });
+        }
+        try {
+            checkPlaceholders(req.body);
+            res.status(201).json(registry.save({ active: true, ...req.body }));
+            timeLog(`Created personality ${req.body.id}`);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.put('/:id', (req, res) => {
+        const definition = registry.getDefinition(req.params.id);
+        if (!definition) {
+            return res.status(404).json({ error: `Unknown personality: ${req.params.id}` });
+        }
+        try {
+            checkPlaceholders(req.body, definition);
+            res.json(registry.save({ ...req.body, id: req.params.id }));
+            timeLog(`Updated personality ${req.params.id}`);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:id', (req, res) => {
+        try {
+            if (!registry.remove(req.params.id)) {
+                return res.status(404).json({ error: `Unknown personality: ${req.params.id}` });
+            }
+            timeLog(`Deleted personality ${req.params.id}`);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Move a personality around the listener: {x, y, z}. Used by the spatial editor in the browser.
+    router.put('/:id/position', (req, res) => {
+        const definition = registry.getDefinition(req.params.id);
+        if (!definition) {
+            return res.status(404).json({ error: `Unknown personality: ${req.params.id}` });
+        }
+        const { x, y, z } = req.body || {};
+        try {
+            res.json(registry.save({ ...definition, position: { x, y, z } }));
+            timeLog(`Moved personality ${req.params.id} to (${x}, ${y}, ${z})`);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/:id/activate', setActive(true));
+    router.post('/:id/deactivate', setActive(false));
+
+    return router;
+}
+
+module.exports = {
+    createPersonalityRouter
+};
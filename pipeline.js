@@ -0,0 +1,138 @@
+const { timeLog } = require('./utils');
+
+// Cuts streamed LLM tokens into phrases that are worth synthesizing on their own
+class PhraseChunker {
+    constructor(config = {}) {
+        this.minWords = config.minWords || 3;   // Soft breaks (commas) only after this many words
+        this.buffer = '';
+    }
+
+    // Add a token and return any phrases it completed
+    push(token) {
+        this.buffer += token;
+        const phrases = [];
+
+        let match;
+        while ((match = this.findBreak()) !== null) {
+            const phrase = this.buffer.slice(0, match).trim();
+            this.buffer = this.buffer.slice(match);
+            if (phrase) {
+                phrases.push(phrase);
+            }
+        }
+        return phrases;
+    }
+
+    // Return whatever is left once the stream has ended
+    flush() {
+        const phrase = this.buffer.trim();
+        this.buffer = '';
+        return phrase ? [phrase] : [];
+    }
+
+    // Index just past the first usable break in the buffer, or null
+    findBreak() {
+        const hardBreak = /[.!?;:\n]+(?=\s)/.exec(this.buffer);
+        if (hardBreak) {
+            return hardBreak.index + hardBreak[0].length;
+        }
+
+        const softBreak = /,(?=\s)/.exec(this.buffer);
+        if (softBreak) {
+            const words = this.buffer.slice(0, softBreak.index).trim().split(/\s+/).length;
+            if (words >= this.minWords) {
+                return softBreak.index + 1;
+            }
+        }
+        return null;
+    }
+}
+
+// Stream an LLM reply, synthesizing each phrase as soon as it is complete.
+// Synthesis runs in parallel with generation; audio events are emitted in phrase order.
+// onEvent receives {type: 'text', text} for every token and {type: 'audio', index, text, audio}
+// for every synthesized phrase. Pass presetText to speak an already generated reply instead.
+// With filterPhrase(phrase) -> {text, stop}, only the filtered phrases are spoken and sent as text events,
+// and the stream is abandoned once it asks to stop.
+// Once signal is aborted no more events are emitted, phrases still being synthesized are aborted and the returned
+// promise rejects with the abort reason.
+// Resolves with the full reply text (the spoken text when filtering).
+async function streamSpokenResponse({ llmClient, ttsProvider, messages, llmOptions, voice, onEvent, minPhraseWords, presetText, filterPhrase, signal }) {
+    const source = presetText ? 'preset text' : llmClient.name;
+    const startTime = timeLog(`Starting streamed ${source} → ${ttsProvider.name} response`);
+    const chunker = new PhraseChunker({ minWords: minPhraseWords });
+    let fullText = '';
+    let phraseCount = 0;
+    let emitChain = Promise.resolve();
+
+    const synthesizePhrase = (text) => {
+        const index = phraseCount++;
+        const audioPromise = ttsProvider.synthesize(text, voice, { signal });
+        emitChain = emitChain
+            .then(() => audioPromise)
+            .then(audio => {
+                signal?.throwIfAborted();
+                if (index === 0) {
+                    timeLog('First audio chunk ready', startTime);
+                }
+                return onEvent({ type: 'audio', index, text, audio });
+            });
+        // Errors surface through emitChain, not as unhandled rejections
+        audioPromise.catch(() => {});
+    };
+
+    let stopped = false;
+    const filterAndSynthesize = async (phrase) => {
+        if (stopped) {
+            return;
+        }
+        const { text, stop } = filterPhrase(phrase);
+        stopped = stop;
+        if (text) {
+            fullText += (fullText ? ' ' : '') + text;
+            await onEvent({ type: 'text', text: (phraseCount > 0 ? ' ' : '') + text });
+            synthesizePhrase(text);
+        }
+    };
+
+    try {
+        const tokens = presetText ? [presetText] : llmClient.chatStream(messages, { ...llmOptions, signal });
+        for await (const token of tokens) {
+            signal?.throwIfAborted();
+            if (!filterPhrase) {
+                fullText += token;
+                await onEvent({ type: 'text', text: token });
+                chunker.push(token).forEach(synthesizePhrase);
+                continue;
+            }
+            for (const phrase of chunker.push(token)) {
+                await filterAndSynthesize(phrase);
+            }
+            if (stopped) {
+                timeLog('Stream stopped by phrase filter', startTime);
+                break;
+            }
+        }
+        if (filterPhrase) {
+            for (const phrase of chunker.flush()) {
+                await filterAndSynthesize(phrase);
+            }
+        } else {
+            chunker.flush().forEach(synthesizePhrase);
+        }
+    } catch (error) {
+        // Phrases still being synthesized are abandoned with the stream
+        emitChain.catch(() => {});
+        throw error;
+    }
+
+    await emitChain;
+    signal?.throwIfAborted();
+    timeLog(`Streamed response complete (${phraseCount} phrases)`, startTime);
+    return fullText.trim();
+}
+
+module.exports = {
+    PhraseChunker,
+    streamSpokenResponse
+};
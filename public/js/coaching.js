@@ -0,0 +1,164 @@
+// Practice scenario picker and coaching report. The scenario (or a goal of the user's own) is set on the session
+// over HTTP; "End session" asks the server for the report, shows it and links its JSON and Markdown downloads.
+// getSessionId() is the current session id (null before the first), onSessionId(id) adopts one the server issued.
+const GOAL_STATUS_LABELS = {
+    achieved: 'Goal achieved',
+    partial: 'Partly there',
+    not_achieved: 'Not achieved yet',
+    unknown: 'Not assessed'
+};
+
+class CoachingPanel {
+    constructor(container, reportContainer, options = {}) {
+        this.container = container;
+        this.reportEl = reportContainer;
+        this.getSessionId = options.getSessionId || (() => null);
+        this.onSessionId = options.onSessionId || (() => {});
+        this.onEnd = options.onEnd || (() => {});
+        this.scenarios = [];
+        this.select = null;
+        this.goalInput = null;
+        this.contextInput = null;
+        this.status = null;
+    }
+
+    get headers() {
+        const sessionId = this.getSessionId();
+        return { 'Content-Type': 'application/json', ...(sessionId && { 'X-Session-Id': sessionId }) };
+    }
+
+    async load() {
+        const response = await fetch('/scenarios');
+        if (!response.ok) {
+            throw new Error(`Could not load scenarios (${response.status})`);
+        }
+        this.scenarios = await response.json();
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+        this.select = document.createElement('select');
+        [{ id: '', name: 'Free conversation' }, ...this.scenarios, { id: 'custom', name: 'My own goal' }].forEach(scenario => {
+            const option = document.createElement('option');
+            option.value = scenario.id;
+            option.textContent = scenario.name;
+            option.title = scenario.description || '';
+            this.select.appendChild(option);
+        });
+        this.goalInput = document.createElement('textarea');
+        this.goalInput.placeholder = 'Your goal';
+        this.contextInput = document.createElement('textarea');
+        this.contextInput.placeholder = 'Background (optional)';
+        this.select.addEventListener('change', () => {
+            const scenario = this.scenarios.find(item => item.id === this.select.value);
+            this.goalInput.value = scenario ? scenario.goal : '';
+            this.contextInput.value = scenario ? scenario.context || '' : '';
+        });
+
+        const apply = document.createElement('button');
+        apply.textContent = 'Practise';
+        apply.onclick = () => this.apply().catch(error => this.showStatus(error.message));
+        const end = document.createElement('button');
+        end.textContent = 'End session';
+        end.onclick = () => this.end().catch(error => this.showStatus(error.message));
+        this.status = document.createElement('p');
+        this.status.className = 'status';
+
+        this.container.append(this.select, this.goalInput, this.contextInput, apply, end, this.status);
+    }
+
+    showStatus(text) {
+        this.status.textContent = text;
+    }
+
+    // Requests create a session when there is none yet; the page keeps using the id the server issued
+    async request(route, options = {}) {
+        const response = await fetch(route, { ...options, headers: this.headers });
+        const sessionId = response.headers.get('X-Session-Id');
+        if (sessionId && sessionId !== this.getSessionId()) {
+            this.onSessionId(sessionId);
+        }
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.error || `Request failed (${response.status})`);
+        }
+        return body;
+    }
+
+    async apply() {
+        if (!this.select.value) {
+            await this.request('/session/scenario', { method: 'DELETE' });
+            return this.showStatus('Free conversation');
+        }
+        const scenarioId = this.select.value === 'custom' ? undefined : this.select.value;
+        const { scenario } = await this.request('/session/scenario', {
+            method: 'PUT',
+            body: JSON.stringify({ scenarioId, goal: this.goalInput.value, context: this.contextInput.value })
+        });
+        this.showStatus(`Practising: ${scenario.name}`);
+    }
+
+    async end() {
+        if (!this.getSessionId()) {
+            return this.showStatus('Nothing to report yet');
+        }
+        this.showStatus('Writing your report...');
+        const report = await this.request('/session/end', { method: 'POST' });
+        this.showStatus('');
+        this.showReport(report);
+        this.onEnd(report);
+    }
+
+    showReport(report) {
+        this.reportEl.innerHTML = '';
+        this.reportEl.hidden = false;
+        const add = (tag, text, parent = this.reportEl) => {
+            const element = document.createElement(tag);
+            if (text !== undefined) {
+                element.textContent = text;
+            }
+            parent.appendChild(element);
+            return element;
+        };
+        const list = (items, render, ordered = false) => {
+            const element = add(ordered ? 'ol' : 'ul');
+            items.forEach(item => add('li', render(item), element));
+        };
+
+        add('h2', `Coaching report${report.scenario ? `: ${report.scenario.name}` : ''}`);
+        const downloads = add('p');
+        ['json', 'md'].forEach(format => {
+            const link = add('a', `Download ${format === 'md' ? 'Markdown' : 'JSON'}`, downloads);
+            // Links cannot send X-Session-Id; the server also takes the session from the query
+            link.href = `/reports/${encodeURIComponent(report.id)}/report.${format}?sessionId=${encodeURIComponent(report.sessionId)}`;
+            link.download = '';
+            downloads.append(' ');
+        });
+        if (report.source !== 'llm') {
+            add('p', 'The coach could not review this session; here is what each personality said.').className = 'status';
+        }
+
+        add('h3', report.scenario ? report.scenario.goal : 'No goal was set');
+        add('p', `${GOAL_STATUS_LABELS[report.goalProgress.status]}. ${report.goalProgress.summary}`.trim());
+        list(report.goalProgress.checkpoints, item =>
+            `${item.met === true ? '✔' : item.met === false ? '✘' : '·'} ${item.checkpoint}${item.evidence ? ` (${item.evidence})` : ''}`);
+
+        if (report.keyMoments.length > 0) {
+            add('h3', 'Key moments');
+            list(report.keyMoments, moment => `${moment.speaker}: "${moment.quote}"${moment.note ? ` - ${moment.note}` : ''}`, true);
+        }
+
+        add('h3', 'What each personality flagged');
+        report.personalities.forEach(personality => {
+            add('h4', `${personality.name} (${personality.interjections})`);
+            list(personality.flags, flag => flag);
+        });
+
+        if (report.nextSteps.length > 0) {
+            add('h3', 'Next steps');
+            list(report.nextSteps, step => step);
+        }
+        this.reportEl.scrollIntoView({ block: 'start' });
+    }
+}
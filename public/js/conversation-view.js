@@ -0,0 +1,150 @@
+// Live view of the conversation: the transcript (user speech and each personality's replies as they stream),
+// a status per personality, the health of the backend services and what is waiting in the audio queue.
+const SERVICE_COLORS = {
+    closed: '#43a047',
+    half_open: '#ffb300',
+    open: '#e53935'
+};
+
+class ConversationView {
+    constructor({ transcript, personalities, queue, services }) {
+        this.transcriptEl = transcript;
+        this.personalitiesEl = personalities;
+        this.queueEl = queue;
+        this.servicesEl = services;
+        this.names = new Map();                        // personalityId -> display name
+        this.statusEls = new Map();                    // personalityId -> status element
+        this.partials = new Map();                     // utteranceId -> entry showing the partial transcript
+        this.replies = new Map();                      // reply key -> entry being streamed into
+    }
+
+    setPersonalities(personalities) {
+        this.personalitiesEl.innerHTML = '';
+        this.statusEls.clear();
+        personalities.forEach(personality => {
+            this.names.set(personality.id, personality.name);
+            const item = document.createElement('li');
+            const dot = document.createElement('span');
+            dot.className = 'status-dot';
+            const label = document.createElement('span');
+            label.textContent = `${personality.name} `;
+            const status = document.createElement('span');
+            status.className = 'status';
+            item.append(dot, label, status);
+            this.personalitiesEl.appendChild(item);
+            this.statusEls.set(personality.id, { dot, status });
+            this.setStatus(personality.id, 'idle');
+        });
+    }
+
+    setStatus(personalityId, status) {
+        const elements = this.statusEls.get(personalityId);
+        if (!elements) return;
+        elements.status.textContent = status;
+        elements.dot.style.backgroundColor = STATUS_COLORS[status] || STATUS_COLORS.idle;
+    }
+
+    addEntry(speaker, text, className) {
+        const entry = document.createElement('li');
+        entry.className = className;
+        const label = document.createElement('strong');
+        label.textContent = `${speaker}: `;
+        const body = document.createElement('span');
+        body.textContent = text;
+        entry.append(label, body);
+        this.transcriptEl.appendChild(entry);
+        entry.scrollIntoView({ block: 'end' });
+        return body;
+    }
+
+    // The utterance so far, replaced by the final transcript when the segment ends
+    showPartial(utteranceId, text) {
+        if (!this.partials.has(utteranceId)) {
+            this.partials.set(utteranceId, this.addEntry('You', '', 'user partial'));
+        }
+        this.partials.get(utteranceId).textContent = text;
+    }
+
+    addUserTurn({ utteranceId, text }) {
+        const partial = this.partials.get(utteranceId);
+        this.partials.delete(utteranceId);
+        if (partial) {
+            partial.textContent = text;
+            partial.parentElement.classList.remove('partial');
+        } else if (text) {
+            this.addEntry('You', text, 'user');
+        }
+    }
+
+    appendReply(key, personalityId, delta) {
+        if (!this.replies.has(key)) {
+            this.replies.set(key, this.addEntry(this.names.get(personalityId) || personalityId, '', 'reply partial'));
+        }
+        const body = this.replies.get(key);
+        body.textContent = body.textContent ? `${body.textContent} ${delta}` : delta;
+    }
+
+    // fallback marks a canned line said because a backend service was down
+    finishReply(key, personalityId, text, { fallback = false } = {}) {
+        const body = this.replies.get(key);
+        this.replies.delete(key);
+        if (body) {
+            body.textContent = text;
+            body.parentElement.classList.remove('partial');
+            body.parentElement.classList.toggle('fallback', fallback);
+        } else if (text) {
+            this.addEntry(this.names.get(personalityId) || personalityId, text, fallback ? 'reply fallback' : 'reply');
+        }
+    }
+
+    // A failed stage (transcription, response, ...) as a line in the transcript
+    showError(stage, message) {
+        this.addEntry('Error', `${stage}: ${message}`, 'error');
+    }
+
+    // Circuit state of each backend service from GET /health; null when the server could not be reached
+    showServices(health) {
+        this.servicesEl.innerHTML = '';
+        const services = health ? Object.entries(health.services) : [['server', { state: 'unreachable' }]];
+        services.forEach(([name, service]) => {
+            const item = document.createElement('li');
+            const dot = document.createElement('span');
+            dot.className = 'status-dot';
+            dot.style.backgroundColor = SERVICE_COLORS[service.state] || SERVICE_COLORS.open;
+            const label = document.createElement('span');
+            label.textContent = `${name}${service.provider ? ` (${service.provider})` : ''} `;
+            const status = document.createElement('span');
+            status.className = 'status';
+            status.textContent = service.state === 'closed' ? 'ok' : service.state.replace('_', ' ');
+            item.title = service.lastError || '';
+            item.append(dot, label, status);
+            this.servicesEl.appendChild(item);
+        });
+    }
+
+    // A reply the server withdrew (superseded or cancelled): strike out what was shown of it
+    discardReply(key) {
+        const body = this.replies.get(key);
+        this.replies.delete(key);
+        if (body) {
+            body.parentElement.classList.replace('partial', 'obsolete');
+        }
+    }
+
+    // current is the item playing (or paused) now; queue holds the chunks waiting behind it
+    showQueue(current, queue) {
+        this.queueEl.innerHTML = '';
+        const describe = (item) => `${this.names.get(item.voiceId) || item.voiceId}: ${item.text || (item.filler ? 'filler' : 'audio')}`;
+        if (current) {
+            const item = document.createElement('li');
+            item.className = 'current';
+            item.textContent = `▶ ${describe(current)}`;
+            this.queueEl.appendChild(item);
+        }
+        queue.forEach(data => {
+            const item = document.createElement('li');
+            item.textContent = describe(data);
+            this.queueEl.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,66 @@
+// Pre-synthesized backchannel clips ("mm-hmm", "go on") from GET /fillers.
+// All clips are fetched up front so one can start the instant speech begins and no fresh response is ready.
+class FillerPicker {
+    constructor() {
+        this.personalities = [];                       // [{id, name, position, clips: [{category, text, url, contentType}]}]
+        this.blobs = new Map();                        // Clip URL -> Blob
+        this.lastUrl = null;                           // Never play the same clip twice in a row
+    }
+
+    async load() {
+        const response = await fetch('/fillers');
+        if (!response.ok) {
+            throw new Error(`Could not load fillers (${response.status})`);
+        }
+        const { personalities } = await response.json();
+        this.personalities = personalities;
+
+        const clips = personalities.flatMap(personality => personality.clips);
+        await Promise.all(clips.map(async clip => {
+            try {
+                const clipResponse = await fetch(clip.url);
+                if (clipResponse.ok) {
+                    this.blobs.set(clip.url, await clipResponse.blob());
+                }
+            } catch (error) {
+                console.error(`Could not fetch filler ${clip.url}:`, error);
+            }
+        }));
+        return this.blobs.size;
+    }
+
+    get available() {
+        return this.blobs.size > 0;
+    }
+
+    // A clip from the given personality and category, falling back to any category and then any personality.
+    // Returns playable audio data for playAudio(), or null when no clips are loaded.
+    pick({ personalityId, category } = {}) {
+        const candidates = this.personalities.filter(personality =>
+            personality.clips.some(clip => this.blobs.has(clip.url)));
+        if (candidates.length === 0) {
+            return null;
+        }
+        const personality = candidates.find(candidate => candidate.id === personalityId) ||
+            candidates[Math.floor(Math.random() * candidates.length)];
+
+        const loaded = personality.clips.filter(clip => this.blobs.has(clip.url));
+        let clips = loaded.filter(clip => clip.category === category);
+        if (clips.length === 0) {
+            clips = loaded;
+        }
+        if (clips.length > 1) {
+            clips = clips.filter(clip => clip.url !== this.lastUrl);
+        }
+
+        const clip = clips[Math.floor(Math.random() * clips.length)];
+        this.lastUrl = clip.url;
+        return {
+            blob: this.blobs.get(clip.url),
+            voiceId: personality.id,
+            position: personality.position,
+            text: clip.text,
+            filler: true
+        };
+    }
+}
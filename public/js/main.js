@@ -7,17 +7,41 @@ function timeLog(message, startTime) {
 
 let vadInstance;
 let audioQueue = []; // Queue of audio data objects
-let currentAudioData = null; // Track current audio data including position
-let currentAudioElement = null;
+let currentAudioData = null; // Track current audio data including position and playbackOffset
 let isCurrentlySpeaking = false;
-let currentAudioBlob = null; // Keep track of the current audio blob
-let currentPlaybackTime = 0; // Track current playback position
-let isProcessing = false; // Flag to track if we're processing a response
-let pendingTranscriptions = []; // Store transcriptions while processing
-let processingPromise = null; // Store the current processing promise
+let sessionSocket = null; // WebSocket session with the backend
+let sessionReady = null; // Promise for the session while it connects
+let sessionId = sessionStorage.getItem('sessionId'); // Server-issued id, reused to resume after reconnects
 let audioContext;
 let pannerNodes = new Map(); // Store panner nodes for each voice
 let isFirstSpeech = true;
+let playbackEngine = null; // Pauses and resumes responses at the exact offset
+let masterGain = null; // Volume for all personalities
+// Client settings from GET /settings; these match the server defaults and apply until it answers
+let settings = {
+    vad: { positiveSpeechThreshold: 0.5, negativeSpeechThreshold: 0.35, minSpeechFrames: 3, redemptionFrames: 8, preSpeechPadFrames: 1, model: 'v5' },
+    playback: { policy: 'during_speech', queueOrder: 'arrival', volume: 1, fadeMs: 30, staleAfterMs: 30000, staleAfterTurns: 2 }
+};
+let settingsPanel = null;
+let isListening = false; // Started and not stopped by the user
+let vadRestart = Promise.resolve(); // Serializes VAD re-creation after settings changes
+let utteranceId = 0; // Increments on every speech start
+let utteranceFrames = []; // 16 kHz frames of the utterance so far
+let utteranceSamples = 0;
+let lastPartialSamples = 0;
+const PARTIAL_INTERVAL_SAMPLES = 16000 * 1.5; // Send a partial window every 1.5s of speech
+const HEALTH_POLL_INTERVAL_MS = 10000; // How often the service status panel refreshes
+const fillerPicker = new FillerPicker(); // Backchannel clips played when no fresh response is ready
+let lastSpeakerId = null; // Personality whose audio arrived last
+let pendingReplyId = null; // Personality currently generating a reply
+let lastTranscription = ''; // Most recent final transcript
+let latestTurn = 0; // Newest transcript turn the server has started answering or queued
+const clientTraces = new Map(); // traceId -> {speechEndAt, reported} for segments sent from this page
+let conversationView = null; // Transcript, personality panel and audio queue
+let spatialEditor = null; // Drag personalities around the listener
+let coachingPanel = null; // Practice scenario and the coaching report
+const replyStates = new Map(); // personalityId -> 'thinking' or 'queued' while a reply is on its way
+const editedPositions = new Map(); // personalityId -> position moved in the editor, ahead of the server
 
 function initializeAudioContext() {
     try {
@@ -34,6 +58,15 @@ function initializeAudioContext() {
         listener.upX.value = 0;
         listener.upY.value = 1;
         listener.upZ.value = 0;
+
+        masterGain = audioContext.createGain();
+        masterGain.gain.value = settings.playback.volume;
+        masterGain.connect(audioContext.destination);
+
+        playbackEngine = new PlaybackEngine(audioContext, {
+            fadeTime: settings.playback.fadeMs / 1000,
+            onEnded: handlePlaybackEnded
+        });
         
         timeLog('Audio context initialized');
     } catch (error) {
@@ -48,25 +81,161 @@ function getPersonalityPanner(personalityId, position) {
         panner.panningModel = 'HRTF';
         panner.distanceModel = 'inverse';
         
-        // Set position from backend
+        // Set position from backend, unless it was just moved in the editor
+        position = editedPositions.get(personalityId) || position;
         panner.positionX.value = position.x;
         panner.positionY.value = position.y;
         panner.positionZ.value = position.z;
         
-        panner.connect(audioContext.destination);
+        panner.connect(masterGain);
         pannerNodes.set(personalityId, panner);
         timeLog(`Created new panner for ${personalityId} at position (${position.x}, ${position.y}, ${position.z})`);
     }
     return pannerNodes.get(personalityId);
 }
 
+// Move a personality's panner right away, including audio that is playing now
+function setPersonalityPosition(personalityId, position) {
+    editedPositions.set(personalityId, position);
+    const panner = pannerNodes.get(personalityId);
+    if (panner) {
+        panner.positionX.value = position.x;
+        panner.positionY.value = position.y;
+        panner.positionZ.value = position.z;
+    }
+}
+
+// Store an edited position in the personality's definition, so every session uses it
+async function savePersonalityPosition(personalityId, position) {
+    const response = await fetch(`/personalities/${encodeURIComponent(personalityId)}/position`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(position)
+    });
+    if (!response.ok) {
+        throw new Error(`Could not save position of ${personalityId} (${response.status})`);
+    }
+    timeLog(`Saved position of ${personalityId}: (${position.x}, ${position.y}, ${position.z})`);
+}
+
+async function loadPersonalities() {
+    const response = await fetch('/personalities');
+    if (!response.ok) {
+        throw new Error(`Could not load personalities (${response.status})`);
+    }
+    const personalities = (await response.json()).filter(personality => personality.active !== false);
+    conversationView.setPersonalities(personalities);
+    spatialEditor.setPersonalities(personalities);
+    refreshUi();
+}
+
+// Status per personality (speaking beats thinking and queued) and the audio queue
+function refreshUi() {
+    if (!conversationView) return;
+    const playing = playbackEngine && playbackEngine.isPlaying ? playbackEngine.currentItem : null;
+    spatialEditor.personalities.forEach((personality, personalityId) => {
+        const status = playing && playing.voiceId === personalityId ? 'speaking' : replyStates.get(personalityId) || 'idle';
+        conversationView.setStatus(personalityId, status);
+        spatialEditor.setStatus(personalityId, status);
+    });
+    conversationView.showQueue(playing, audioQueue);
+}
+
+// Whether audio may play right now: only while the user speaks, regardless, or only once they have stopped
+function canPlayNow() {
+    switch (settings.playback.policy) {
+        case 'always':
+            return true;
+        case 'after_speech':
+            return !isCurrentlySpeaking;
+        default:
+            return isCurrentlySpeaking;
+    }
+}
+
+// A reply is stale once it has waited longer than staleAfterMs or newer turns have moved the conversation on
+function isStale(item) {
+    if (!item || item.filler) return false;
+    const { staleAfterMs, staleAfterTurns } = settings.playback;
+    const tooOld = staleAfterMs > 0 && Date.now() - item.timestamp > staleAfterMs;
+    const overtaken = staleAfterTurns > 0 && item.turn > 0 && latestTurn - item.turn >= staleAfterTurns;
+    return tooOld || overtaken;
+}
+
+// Forget stale queued chunks and a stale paused response before anything else is played
+function dropStaleAudio() {
+    const fresh = audioQueue.filter(item => !isStale(item));
+    if (fresh.length < audioQueue.length) {
+        timeLog(`Dropping ${audioQueue.length - fresh.length} stale audio chunk(s)`);
+        audioQueue = fresh;
+    }
+    if (currentAudioData && !(playbackEngine && playbackEngine.isPlaying) && isStale(currentAudioData)) {
+        timeLog('Dropping stale paused response');
+        currentAudioData = null;
+    }
+}
+
+// Next queued chunk: in arrival order, or the newest reply first (its phrases still in order)
+function nextQueuedAudio() {
+    if (settings.playback.queueOrder === 'newest_reply' && audioQueue.length > 1) {
+        const newestKey = audioQueue[audioQueue.length - 1].replyKey;
+        return audioQueue.splice(audioQueue.findIndex(item => item.replyKey === newestKey), 1)[0];
+    }
+    return audioQueue.shift();
+}
+
+// Play queued audio, or continue a response paused mid-way
+function resumePlayback() {
+    dropStaleAudio();
+    if (audioQueue.length > 0) {
+        playAudio(nextQueuedAudio());
+    } else if (currentAudioData && currentAudioData.playbackOffset > 0) {
+        playAudio(currentAudioData);
+    }
+}
+
+// Apply settings from the panel; VAD changes re-create the microphone VAD
+function applySettings(next) {
+    const vadChanged = JSON.stringify(next.vad) !== JSON.stringify(settings.vad);
+    settings = next;
+    if (playbackEngine) {
+        playbackEngine.fadeTime = settings.playback.fadeMs / 1000;
+    }
+    if (masterGain) {
+        masterGain.gain.value = settings.playback.volume;
+    }
+    if (vadChanged && vadInstance) {
+        vadRestart = vadRestart.then(restartVAD).catch(error => console.error('Could not restart VAD:', error));
+    }
+    // A new policy may allow or forbid what is happening now
+    if (playbackEngine) {
+        if (!canPlayNow() && playbackEngine.isPlaying) {
+            playbackEngine.pause();
+        } else if (canPlayNow() && !playbackEngine.isPlaying) {
+            resumePlayback();
+        }
+    }
+    refreshUi();
+}
+
+async function restartVAD() {
+    timeLog('Restarting VAD with new settings');
+    vadInstance.pause();
+    vadInstance.destroy();
+    vadInstance = null;
+    await initializeVAD();
+    if (!isListening) {
+        vadInstance.pause();
+    }
+}
+
 async function playAudio(data) {
     if (!data || !data.blob) {
         console.error('Invalid audio data received');
         return;
     }
 
-    const { blob, voiceId: personalityId, position, timestamp } = data;
+    const { blob, voiceId: personalityId, position } = data;
     if (!position) {
         console.error('No position data for personality:', personalityId);
         return;
@@ -81,60 +250,46 @@ async function playAudio(data) {
         await audioContext.resume();
     }
 
-    // Store current audio data with timestamp
-    currentAudioData = {
-        ...data,
-        timestamp: timestamp || Date.now()
-    };
+    // Store current audio data with timestamp; the same object keeps its playbackOffset across pauses
+    if (!data.timestamp) {
+        data.timestamp = Date.now();
+    }
+    currentAudioData = data;
 
     // Get or create panner for this personality
     const panner = getPersonalityPanner(personalityId, position);
 
-    if (currentAudioElement) {
-        try {
-            currentAudioElement.stop();
-        } catch (error) {
-            console.error('Error stopping previous audio:', error);
-        }
-        currentAudioElement = null;
-    }
-
-    // Reset playback time for new audio
-    if (currentAudioData !== data) {
-        currentPlaybackTime = 0;
-    }
-
     try {
-        const arrayBuffer = await blob.arrayBuffer();
-        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-        
-        const source = audioContext.createBufferSource();
-        source.buffer = audioBuffer;
-        source.connect(panner);
-        
-        source.onended = () => {
-            timeLog('Audio playback ended');
-            if (isCurrentlySpeaking && audioQueue.length > 0) {
-                timeLog('Playing next queued audio');
-                currentPlaybackTime = 0;
-                playAudio(audioQueue.shift());
-            }
-        };
-
-        if (isCurrentlySpeaking) {
-            source.start(0, currentPlaybackTime);
-            timeLog('Audio playback started', startTime);
+        // Decoding is cached, so resuming the same response later starts immediately
+        await playbackEngine.decode(blob);
+
+        // Speech may have started or ended while decoding
+        if (canPlayNow()) {
+            await playbackEngine.play(data, panner);
+            timeLog(`Audio playback started at ${(data.playbackOffset || 0).toFixed(2)}s`, startTime);
+            reportClientStage(data.traceId, 'client_playback_start');
+            refreshUi();
         }
-
-        currentAudioElement = source;
     } catch (error) {
         console.error(`Error playing spatial audio for personality ${personalityId}:`, error);
     }
 }
 
+function handlePlaybackEnded() {
+    timeLog('Audio playback ended');
+    dropStaleAudio();
+    if (canPlayNow() && audioQueue.length > 0) {
+        timeLog('Playing next queued audio');
+        playAudio(nextQueuedAudio());
+    }
+    refreshUi();
+}
+
 async function fetchLastAudio() {
     const startTime = timeLog('Fetching last audio...');
-    const response = await fetch('/last-audio');
+    const response = await fetch('/last-audio', {
+        headers: sessionId ? { 'X-Session-Id': sessionId } : {}
+    });
     if (response.ok) {
         timeLog('Successfully fetched last audio', startTime);
         return await response.blob();
@@ -146,20 +301,56 @@ async function fetchLastAudio() {
 async function initializeVAD() {
     const startTime = timeLog('Initializing VAD...');
     vadInstance = await vad.MicVAD.new({
-
-        //TODO: Adjust thresholds and model
-        positiveSpeechThreshold: 0.5,
-        negativeSpeechThreshold: 0.35,
-        model: "v5",
+        // Thresholds, frame counts and model from the settings panel
+        ...settings.vad,
+
+        // Collect frames while speaking and send the utterance so far for partial transcription
+        onFrameProcessed: (probabilities, frame) => {
+            if (!isCurrentlySpeaking || !frame) return;
+            utteranceFrames.push(frame);
+            utteranceSamples += frame.length;
+            if (utteranceSamples - lastPartialSamples >= PARTIAL_INTERVAL_SAMPLES) {
+                lastPartialSamples = utteranceSamples;
+                sendPartialAudio();
+            }
+        },
 
         onSpeechStart: async () => {
             timeLog('🎤 Speech detected');
             isCurrentlySpeaking = true;
-
-            // If this is the first speech, play initial response
-            if (isFirstSpeech) {
+            utteranceId++;
+            utteranceFrames = [];
+            utteranceSamples = 0;
+            lastPartialSamples = 0;
+            dropStaleAudio();
+
+            // Fresh audio first, then a response paused mid-way, then a filler clip.
+            // With after_speech, speaking interrupts playback instead; with always, what plays keeps playing.
+            if (settings.playback.policy === 'after_speech') {
+                const pausedItem = playbackEngine && playbackEngine.pause();
+                if (pausedItem) {
+                    timeLog(`Paused for speech at ${pausedItem.playbackOffset.toFixed(2)}s`);
+                }
+                refreshUi();
+            } else if (playbackEngine && playbackEngine.isPlaying) {
+                timeLog('Audio already playing');
+            } else if (audioQueue.length > 0) {
+                timeLog('Playing new queued audio');
+                playAudio(nextQueuedAudio());
+            } else if (currentAudioData && currentAudioData.playbackOffset > 0 && !currentAudioData.filler) {
+                timeLog(`Resuming current audio at ${(currentAudioData.playbackOffset || 0).toFixed(2)}s`);
+                playAudio(currentAudioData);
+            } else if (fillerPicker.available) {
+                const filler = fillerPicker.pick(chooseFillerContext());
+                timeLog(`Playing filler "${filler.text}" from ${filler.voiceId}`);
+                playAudio(filler);
+            }
+            // Without generated fillers: the initial response on first speech, otherwise replay the last one
+            else if (isFirstSpeech) {
                 timeLog('Playing initial response');
-                const initialResponse = await fetch('/last-audio');
+                const initialResponse = await fetch('/last-audio', {
+                    headers: sessionId ? { 'X-Session-Id': sessionId } : {}
+                });
                 if (initialResponse.ok) {
                     const blob = await initialResponse.blob();
                     // Use advisor's position for initial response
@@ -170,77 +361,45 @@ async function initializeVAD() {
                         position: advisorPosition
                     });
                 }
-                isFirstSpeech = false;
-            }
-            // If there's queued audio, always prefer that over current audio
-            else if (audioQueue.length > 0) {
-                timeLog('Playing new queued audio');
-                currentAudioData = null;  // Clear current audio
-                playAudio(audioQueue.shift());
             } else if (currentAudioData) {
-                timeLog('Resuming current audio');
+                timeLog('Replaying last audio');
                 playAudio(currentAudioData);
             }
+            isFirstSpeech = false;
         },
         onSpeechEnd: async (audio) => {
             const startTime = timeLog('🎤 Speech ended, processing...');
             isCurrentlySpeaking = false;
+            utteranceFrames = [];
 
-            // Save current position before stopping
-            if (currentAudioElement) {
-                try {
-                    // AudioBufferSourceNode doesn't have currentTime, we need to track it differently
-                    timeLog(`Saving playback position: ${currentPlaybackTime.toFixed(2)}s`);
-                    currentAudioElement.stop();
-                    currentAudioElement = null;
-                } catch (error) {
-                    console.error('Error stopping audio:', error);
+            if (settings.playback.policy === 'during_speech') {
+                // Pause at the current position so the next speech start resumes from there
+                const pausedItem = playbackEngine && playbackEngine.pause();
+                if (pausedItem) {
+                    timeLog(`Saving playback position: ${pausedItem.playbackOffset.toFixed(2)}s`);
                 }
+            } else if (settings.playback.policy === 'after_speech') {
+                resumePlayback();
             }
+            refreshUi();
 
             try {
-                // Encode and transcribe the audio
-                const encodeStart = Date.now();
-                const wavBuffer = vad.utils.encodeWAV(audio);
-                const base64Audio = vad.utils.arrayBufferToBase64(wavBuffer);
-                
-                const response = await fetch('/transcribe', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ audio: base64Audio })
-                });
-
-                if (!response.ok) {
-                    throw new Error(`Transcription failed with ${response.status}`);
+                // Send the segment to the session as a binary WAV frame, announced by its trace id
+                const traceId = newTraceId();
+                clientTraces.set(traceId, { speechEndAt: startTime, reported: new Set() });
+                if (clientTraces.size > 50) {
+                    clientTraces.delete(clientTraces.keys().next().value);
                 }
-
-                const { transcription } = await response.json();
-                timeLog(`Transcribed: "${transcription}"`, encodeStart);
-
-                // Add to pending transcriptions
-                pendingTranscriptions.push(transcription);
-
-                // If we're not currently processing, start a new processing cycle
-                if (!isProcessing) {
-                    isProcessing = true;
-                    
-                    while (pendingTranscriptions.length > 0) {
-                        // Combine all pending transcriptions
-                        const fullTranscription = pendingTranscriptions.join(" ");
-                        pendingTranscriptions = []; // Clear pending transcriptions
-                        
-                        timeLog(`Processing combined transcription: "${fullTranscription}"`);
-                        await processUserSpeech(fullTranscription);
-                    }
-                    
-                    isProcessing = false;
-                }
-
-                timeLog('Speech handling complete', startTime);
+                const wavBuffer = vad.utils.encodeWAV(audio);
+                const encodeMs = Date.now() - startTime;
+                await ensureSession();
+                sessionSocket.send(JSON.stringify({ type: 'trace', traceId }));
+                sessionSocket.send(wavBuffer);
+                reportClientStage(traceId, 'client_encode', encodeMs);
+                timeLog(`Speech segment sent (trace ${traceId})`, startTime);
             } catch (error) {
                 console.error("Error processing speech:", error);
+                conversationView.showError('speech', error.message);
             }
         }
     });
@@ -248,76 +407,291 @@ async function initializeVAD() {
     timeLog('VAD initialization complete', startTime);
 }
 
-async function processUserSpeech(transcription) {
-    const startTime = timeLog('Starting end-to-end processing');
-    try {
-        // Send to backend without specifying personality
-        timeLog('Sending to Llama...');
-        const llamaResponse = await fetch('/query-llama', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ transcription })
-        });
+function newTraceId() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
 
-        if (!llamaResponse.ok) {
-            throw new Error(`Llama query failed with ${llamaResponse.status}`);
-        }
+// Report a client-side stage of a segment once, measured from its speech end unless given
+function reportClientStage(traceId, stage, durationMs) {
+    const trace = traceId && clientTraces.get(traceId);
+    if (!trace || trace.reported.has(stage)) return;
+    trace.reported.add(stage);
+    if (trace.reported.size === 3) {
+        clientTraces.delete(traceId);
+    }
+    if (!sessionSocket || sessionSocket.readyState !== WebSocket.OPEN) return;
+    sessionSocket.send(JSON.stringify({
+        type: 'client_metrics',
+        traceId,
+        stages: { [stage]: durationMs ?? Date.now() - trace.speechEndAt }
+    }));
+}
 
-        const responseData = await llamaResponse.json();
-        
-        if (responseData.queued) {
-            timeLog(`Transcription queued for later processing`);
-            return true;
-        }
+// Which filler fits: the pending replier "thinking", a reaction to a question, or a nudge to keep talking
+function chooseFillerContext() {
+    if (pendingReplyId) {
+        return { personalityId: pendingReplyId, category: 'thinking' };
+    }
+    if (lastTranscription.trim().endsWith('?')) {
+        return { personalityId: lastSpeakerId, category: 'thinking' };
+    }
+    const wordCount = lastTranscription.trim().split(/\s+/).filter(Boolean).length;
+    if (isFirstSpeech || wordCount < 4) {
+        return { personalityId: lastSpeakerId || 'advisor', category: 'encourage' };
+    }
+    return { personalityId: lastSpeakerId, category: 'acknowledge' };
+}
 
-        const { response: llamaResult, personalityId, position } = responseData;
-        
-        timeLog(`Generating speech for ${personalityId}...`);
-        const response = await fetch('/process-text', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ 
-                text: llamaResult,
-                personalityId
-            })
-        });
+// Send the current utterance so far as a partial window; skipped while the session is not connected
+function sendPartialAudio() {
+    if (!sessionSocket || sessionSocket.readyState !== WebSocket.OPEN) return;
 
-        if (!response.ok) {
-            throw new Error(`Server responded with ${response.status}`);
-        }
+    const samples = new Float32Array(utteranceSamples);
+    let offset = 0;
+    utteranceFrames.forEach(frame => {
+        samples.set(frame, offset);
+        offset += frame.length;
+    });
 
-        const audioBlob = await response.blob();
-        // Add timestamp when adding to queue
-        audioQueue.push({ 
-            blob: audioBlob, 
-            voiceId: personalityId,
-            position: position,
-            timestamp: Date.now()
-        });
-        timeLog('Full end-to-end processing complete', startTime);
-        
-        return true;
+    // Announced, then sent as a binary frame
+    sessionSocket.send(JSON.stringify({ type: 'audio_partial', utteranceId }));
+    sessionSocket.send(vad.utils.encodeWAV(samples));
+    timeLog(`Sent partial window for utterance ${utteranceId} (${(utteranceSamples / 16000).toFixed(1)}s)`);
+}
+
+function base64ToBlob(base64, contentType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: contentType });
+}
+
+// Queue a streamed audio chunk, starting it right away if the user is talking and nothing is playing
+function enqueueAudioChunk(data) {
+    audioQueue.push(data);
+    dropStaleAudio();
+    if (canPlayNow() && !playbackEngine.isPlaying) {
+        timeLog('Playing streamed audio chunk immediately');
+        playAudio(nextQueuedAudio());
+    }
+    refreshUi();
+}
+
+// Reply events of one generation share their jobIds; early replies and plain HTTP events fall back to their ids
+function replyKey(event) {
+    return `${event.personalityId}:${(event.jobIds || []).join(',') || event.segmentId || event.utteranceId}`;
+}
+
+// Open the WebSocket session (see PROTOCOL.md), reusing it if already connected
+function ensureSession() {
+    if (sessionSocket && sessionSocket.readyState === WebSocket.OPEN) {
+        return Promise.resolve(sessionSocket);
+    }
+    if (sessionReady) {
+        return sessionReady;
+    }
+
+    sessionReady = new Promise((resolve, reject) => {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+        const socket = new WebSocket(`${protocol}//${window.location.host}/session${query}`);
+        socket.binaryType = 'arraybuffer';
+
+        socket.onopen = () => {
+            sessionSocket = socket;
+            timeLog('Session connected');
+            resolve(socket);
+        };
+        socket.onerror = (error) => {
+            console.error('Session error:', error);
+            reject(new Error('Session connection failed'));
+        };
+        socket.onclose = () => {
+            timeLog('Session closed');
+            sessionSocket = null;
+            sessionReady = null;
+        };
+        socket.onmessage = (message) => handleSessionEvent(JSON.parse(message.data));
+    });
+    sessionReady.catch(() => { sessionReady = null; });
+    return sessionReady;
+}
+
+// Keep a session id the server issued, so the socket resumes the same session
+function adoptSessionId(id) {
+    sessionId = id;
+    sessionStorage.setItem('sessionId', sessionId);
+}
+
+// After the coaching report: stop listening and start the next conversation as a new session
+function endConversation() {
+    isListening = false;
+    if (vadInstance) {
+        vadInstance.pause();
+    }
+    if (sessionSocket) {
+        sessionSocket.close();
+    }
+    sessionId = null;
+    sessionStorage.removeItem('sessionId');
+    timeLog('Conversation ended');
+}
+
+// Show the STT, LLM and TTS circuit states; /health answers 503 with the same body while a service is down
+async function pollServiceHealth() {
+    try {
+        const response = await fetch('/health');
+        conversationView.showServices(await response.json());
     } catch (error) {
-        console.error("Error in end-to-end processing:", error);
-        return false;
+        conversationView.showServices(null);
+    }
+}
+
+function handleSessionEvent(event) {
+    // Reply events carry the transcript turn they answer
+    if (event.turn > latestTurn) {
+        latestTurn = event.turn;
+    }
+    switch (event.type) {
+        case 'session_ready':
+            adoptSessionId(event.sessionId);
+            timeLog(`Session ${sessionId} ${event.resumed ? 'resumed' : 'started'} (protocol ${event.protocol})`);
+            break;
+        case 'partial_transcription':
+            timeLog(`Partial transcript (utterance ${event.utteranceId}): "${event.text}"`);
+            conversationView.showPartial(event.utteranceId, event.text);
+            break;
+        case 'transcription':
+            timeLog(`Transcribed: "${event.text}"`);
+            lastTranscription = event.text || '';
+            conversationView.addUserTurn(event);
+            break;
+        case 'personality_selected':
+            timeLog(`Generating speech for ${event.personalityId}...`);
+            pendingReplyId = event.personalityId;
+            replyStates.set(event.personalityId, 'thinking');
+            // Positions edited elsewhere arrive with the next reply
+            if (event.position && spatialEditor.dragging !== event.personalityId) {
+                setPersonalityPosition(event.personalityId, event.position);
+                spatialEditor.setPosition(event.personalityId, event.position);
+            }
+            break;
+        case 'queued':
+            timeLog(`Transcription queued for later processing by ${event.personalityId}`);
+            replyStates.set(event.personalityId, 'queued');
+            break;
+        case 'job_state':
+            timeLog(`Job ${event.jobId} for ${event.personalityId}: ${event.state}`);
+            if (event.state === 'failed' && pendingReplyId === event.personalityId) {
+                pendingReplyId = null;
+            }
+            if (event.state === 'running') {
+                replyStates.set(event.personalityId, 'thinking');
+            } else if (event.state === 'failed') {
+                replyStates.delete(event.personalityId);
+            }
+            break;
+        case 'response_text':
+            conversationView.appendReply(replyKey(event), event.personalityId, event.delta);
+            break;
+        case 'audio_chunk':
+            timeLog(`Audio chunk ${event.index} received for ${event.personalityId}`);
+            lastSpeakerId = event.personalityId;
+            reportClientStage(event.traceId, 'client_time_to_first_audio');
+            // Arrival time and turn decide when the chunk goes stale
+            enqueueAudioChunk({
+                blob: base64ToBlob(event.audio, event.contentType),
+                voiceId: event.personalityId,
+                position: event.position,
+                text: event.text,
+                replyKey: replyKey(event),
+                traceId: event.traceId,
+                turn: event.turn,
+                timestamp: Date.now()
+            });
+            break;
+        case 'reply_obsolete': {
+            // Superseded by a newer utterance or cancelled: unplayed chunks go, a chunk already playing finishes
+            const key = replyKey(event);
+            timeLog(`Reply from ${event.personalityId} is obsolete (${event.reason})`);
+            audioQueue = audioQueue.filter(item => item.replyKey !== key);
+            if (currentAudioData && currentAudioData.replyKey === key && !playbackEngine.isPlaying) {
+                currentAudioData = null;
+            }
+            conversationView.discardReply(key);
+            break;
+        }
+        case 'response_done':
+            timeLog(`Response complete: "${event.text}"`);
+            if (pendingReplyId === event.personalityId) {
+                pendingReplyId = null;
+            }
+            replyStates.delete(event.personalityId);
+            conversationView.finishReply(replyKey(event), event.personalityId, event.text, { fallback: event.fallback });
+            break;
+        case 'error':
+            console.error(`Session error during ${event.stage}:`, event.message);
+            conversationView.showError(event.stage, event.message);
+            break;
     }
+    refreshUi();
 }
 
 // Initialize event listeners when the DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
+    conversationView = new ConversationView({
+        transcript: document.getElementById('transcript'),
+        personalities: document.getElementById('personalityList'),
+        queue: document.getElementById('audioQueue'),
+        services: document.getElementById('serviceStatus')
+    });
+    pollServiceHealth();
+    setInterval(pollServiceHealth, HEALTH_POLL_INTERVAL_MS);
+    spatialEditor = new SpatialEditor(document.getElementById('spatialEditor'), {
+        heightInput: document.getElementById('heightInput'),
+        onMove: setPersonalityPosition,
+        onMoveEnd: (personalityId, position) => {
+            setPersonalityPosition(personalityId, position);
+            savePersonalityPosition(personalityId, position).catch(error => console.error(error));
+        }
+    });
+    loadPersonalities().catch(error => console.error(error));
+    coachingPanel = new CoachingPanel(document.getElementById('scenarioPanel'), document.getElementById('reportPanel'), {
+        getSessionId: () => sessionId,
+        onSessionId: adoptSessionId,
+        onEnd: endConversation
+    });
+    coachingPanel.load().catch(error => console.error(error));
+    settingsPanel = new SettingsPanel(document.getElementById('settingsPanel'), { onChange: applySettings });
+    const settingsLoaded = settingsPanel.load().catch(error => console.error(error));
+
     document.getElementById('startBtn').onclick = async () => {
         // Initialize audio context on user gesture
         if (!audioContext) {
             initializeAudioContext();
         }
-        await initializeVAD();
+        ensureSession().catch(error => console.error(error));
+        fillerPicker.load()
+            .then(count => timeLog(`Loaded ${count} filler clips`))
+            .catch(error => console.error(error));
+        isListening = true;
+        // The VAD is created with the saved settings, and only once; later starts resume it
+        await settingsLoaded;
+        await vadRestart;
+        if (vadInstance) {
+            vadInstance.start();
+        } else {
+            await initializeVAD();
+        }
     };
     
     document.getElementById('stopBtn').onclick = () => {
+        isListening = false;
         if (vadInstance) {
             vadInstance.pause();
             console.log("Listening stopped.");
@@ -0,0 +1,118 @@
+// Speech-gated playback engine.
+// Tracks elapsed playback against audioContext.currentTime so a clip paused when the user stops talking
+// resumes at the exact offset, caches decoded AudioBuffers per blob, and fades in/out to avoid clicks.
+class PlaybackEngine {
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.fadeTime = options.fadeTime ?? 0.03;      // Seconds; 0 disables fades
+        this.onEnded = options.onEnded || (() => {});  // Called with the item when it plays to the end
+        this.bufferCache = new WeakMap();              // Blob -> Promise<AudioBuffer>
+        this.current = null;                           // { item, buffer, source, gain, startedAt, offset, stopped }
+    }
+
+    // Decode once per blob, however many times it is paused and resumed
+    decode(blob) {
+        if (!this.bufferCache.has(blob)) {
+            const decoded = blob.arrayBuffer().then(data => this.audioContext.decodeAudioData(data));
+            decoded.catch(() => this.bufferCache.delete(blob));
+            this.bufferCache.set(blob, decoded);
+        }
+        return this.bufferCache.get(blob);
+    }
+
+    get isPlaying() {
+        return Boolean(this.current && this.current.source);
+    }
+
+    get currentItem() {
+        return this.current ? this.current.item : null;
+    }
+
+    // Seconds into the current item
+    getPosition() {
+        const playback = this.current;
+        if (!playback) return 0;
+        if (!playback.source) return playback.offset;
+        const elapsed = this.audioContext.currentTime - playback.startedAt;
+        return Math.min(playback.offset + elapsed, playback.buffer.duration);
+    }
+
+    // Play an item through the destination node, from its saved playbackOffset (0 for new items)
+    async play(item, destination) {
+        const buffer = await this.decode(item.blob);
+        this.stop();
+
+        const offset = item.playbackOffset || 0;
+        if (offset >= buffer.duration) {
+            item.playbackOffset = 0;
+            this.onEnded(item);
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        const gain = this.audioContext.createGain();
+        gain.connect(destination);
+        if (this.fadeTime > 0) {
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(1, now + this.fadeTime);
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(gain);
+
+        const playback = { item, buffer, source, gain, startedAt: now, offset, stopped: false };
+        source.onended = () => {
+            gain.disconnect();
+            // Pauses and stops end the source too; only natural completion counts
+            if (playback.stopped) return;
+            playback.source = null;
+            item.playbackOffset = 0;
+            this.onEnded(item);
+        };
+
+        source.start(0, offset);
+        this.current = playback;
+    }
+
+    // Pause at the current offset and keep the item so it can be resumed
+    pause() {
+        const playback = this.current;
+        if (!playback || !playback.source) return null;
+
+        const position = this.getPosition();
+        playback.offset = position;
+        playback.item.playbackOffset = position;
+        this.release(playback);
+        return playback.item;
+    }
+
+    // Stop and forget the current item
+    stop() {
+        if (this.current && this.current.source) {
+            this.release(this.current);
+        }
+        this.current = null;
+    }
+
+    // Fade out and stop a playback's source
+    release(playback) {
+        const { source, gain } = playback;
+        playback.stopped = true;
+        playback.source = null;
+
+        const now = this.audioContext.currentTime;
+        try {
+            if (this.fadeTime > 0) {
+                gain.gain.cancelScheduledValues(now);
+                gain.gain.setValueAtTime(gain.gain.value, now);
+                gain.gain.linearRampToValueAtTime(0, now + this.fadeTime);
+                source.stop(now + this.fadeTime);
+            } else {
+                source.stop();
+            }
+        } catch (error) {
+            console.error('Error stopping audio:', error);
+        }
+    }
+}
@@ -0,0 +1,107 @@
+// Browser playback of a recorded session: the user's segments and every personality's audio,
+// scheduled at their recorded times and positioned where the personality sits.
+let audioContext = null;
+let scheduledSources = [];
+let currentRecording = null;
+
+function timeLog(message) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${message}`);
+}
+
+async function loadRecordingList() {
+    const recordings = await (await fetch('/recordings')).json();
+    const select = document.getElementById('recordingSelect');
+    select.innerHTML = '';
+    recordings.forEach(recording => {
+        const option = document.createElement('option');
+        option.value = recording.id;
+        option.textContent = `${recording.startedAt} (${recording.personalityMode})${recording.replayOf ? ' replay' : ''}`;
+        select.appendChild(option);
+    });
+    if (recordings.length > 0) {
+        await selectRecording(recordings[0].id);
+    }
+}
+
+async function selectRecording(id) {
+    currentRecording = await (await fetch(`/recordings/${id}`)).json();
+    document.getElementById('vttLink').href = `/recordings/${id}/transcript.vtt`;
+    document.getElementById('srtLink').href = `/recordings/${id}/transcript.srt`;
+
+    const names = Object.fromEntries(currentRecording.personalities.map(personality => [personality.id, personality.name]));
+    const list = document.getElementById('transcript');
+    list.innerHTML = '';
+    currentRecording.events
+        .filter(event => (event.type === 'transcription' || event.type === 'reply') && event.text)
+        .forEach(event => {
+            const item = document.createElement('li');
+            const speaker = event.type === 'transcription' ? 'User' : names[event.personalityId] || event.personalityId;
+            item.textContent = `${(event.t / 1000).toFixed(1)}s ${speaker}: ${event.text}`;
+            list.appendChild(item);
+        });
+}
+
+function createPanner(position) {
+    const panner = audioContext.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.positionX.value = position.x;
+    panner.positionY.value = position.y;
+    panner.positionZ.value = position.z;
+    panner.connect(audioContext.destination);
+    return panner;
+}
+
+// Decode every clip first, then start them all against one clock so the original timing is kept
+async function playRecording() {
+    stopPlayback();
+    if (!currentRecording) return;
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    await audioContext.resume();
+
+    const clips = await Promise.all(currentRecording.events
+        .filter(event => event.url)
+        .map(async event => {
+            const data = await (await fetch(event.url)).arrayBuffer();
+            return { event, buffer: await audioContext.decodeAudioData(data) };
+        }));
+
+    const startAt = audioContext.currentTime + 0.2;
+    const firstT = Math.min(...clips.map(({ event }) => clipStart(event)));
+    clips.forEach(({ event, buffer }) => {
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(event.position ? createPanner(event.position) : audioContext.destination);
+        source.start(startAt + Math.max(0, clipStart(event) - firstT) / 1000);
+        scheduledSources.push(source);
+    });
+    timeLog(`Replaying ${clips.length} clips from ${currentRecording.id}`);
+}
+
+// User segments are recorded when they end; they started their duration earlier
+function clipStart(event) {
+    if (event.type === 'transcription') {
+        return (event.speechEndT ?? event.t) - (event.speechDurationMs || 0);
+    }
+    return event.t;
+}
+
+function stopPlayback() {
+    scheduledSources.forEach(source => {
+        try {
+            source.stop();
+        } catch (error) {
+            // Already finished
+        }
+    });
+    scheduledSources = [];
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('recordingSelect').onchange = (event) => selectRecording(event.target.value);
+    document.getElementById('playBtn').onclick = () => playRecording().catch(error => console.error(error));
+    document.getElementById('stopBtn').onclick = stopPlayback;
+    loadRecordingList().catch(error => console.error(error));
+});
@@ -0,0 +1,138 @@
+// Settings form built from GET /settings/schema. Changes are applied at once through onChange and saved
+// for this browser's user id (kept in localStorage) shortly after, so they survive reloads.
+class SettingsPanel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onChange = options.onChange || (() => {});
+        this.saveDelayMs = options.saveDelayMs ?? 500;
+        this.userId = localStorage.getItem('userId');
+        if (!this.userId) {
+            this.userId = window.crypto && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            localStorage.setItem('userId', this.userId);
+        }
+        this.schema = null;
+        this.settings = null;
+        this.inputs = new Map();                       // "section.key" -> input element
+        this.pending = {};                             // Unsaved changes, {section: {key: value}}
+        this.saveTimer = null;
+    }
+
+    get headers() {
+        return { 'Content-Type': 'application/json', 'X-User-Id': this.userId };
+    }
+
+    async load() {
+        const [schemaResponse, settingsResponse] = await Promise.all([
+            fetch('/settings/schema'),
+            fetch('/settings', { headers: this.headers })
+        ]);
+        if (!schemaResponse.ok || !settingsResponse.ok) {
+            throw new Error(`Could not load settings (${schemaResponse.status}/${settingsResponse.status})`);
+        }
+        this.schema = await schemaResponse.json();
+        this.settings = await settingsResponse.json();
+        this.render();
+        this.onChange(this.settings);
+        return this.settings;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+        this.inputs.clear();
+        Object.entries(this.schema).forEach(([section, fields]) => {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = section === 'vad' ? 'Voice detection' : 'Playback';
+            fieldset.appendChild(legend);
+
+            Object.entries(fields).forEach(([key, field]) => {
+                const label = document.createElement('label');
+                label.textContent = `${humanize(key)} `;
+                const input = field.type === 'enum' ? createSelect(field.values) : createRange(field);
+                const value = document.createElement('output');
+                input.value = this.settings[section][key];
+                value.textContent = input.value;
+
+                // Volume follows the slider; everything else (a VAD change restarts the microphone) applies on release
+                input.addEventListener(key === 'volume' ? 'input' : 'change', () => {
+                    const parsed = field.type === 'enum' ? input.value : Number(input.value);
+                    value.textContent = input.value;
+                    this.set(section, key, parsed);
+                });
+                input.addEventListener('input', () => { value.textContent = input.value; });
+
+                label.append(input, ' ', value);
+                fieldset.appendChild(label);
+                fieldset.appendChild(document.createElement('br'));
+                this.inputs.set(`${section}.${key}`, input);
+            });
+            this.container.appendChild(fieldset);
+        });
+
+        const reset = document.createElement('button');
+        reset.textContent = 'Reset to defaults';
+        reset.onclick = () => this.reset().catch(error => console.error(error));
+        this.container.appendChild(reset);
+    }
+
+    set(section, key, value) {
+        this.settings = { ...this.settings, [section]: { ...this.settings[section], [key]: value } };
+        this.pending[section] = { ...this.pending[section], [key]: value };
+        this.onChange(this.settings);
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save().catch(error => console.error(error)), this.saveDelayMs);
+    }
+
+    async save() {
+        const update = this.pending;
+        this.pending = {};
+        const response = await fetch('/settings', { method: 'PUT', headers: this.headers, body: JSON.stringify(update) });
+        const body = await response.json();
+        if (!response.ok) {
+            // Rejected (e.g. the end threshold above the start threshold): go back to what the server has
+            console.error('Settings rejected:', body.error);
+            await this.load();
+            return;
+        }
+        timeLog('Settings saved');
+    }
+
+    async reset() {
+        clearTimeout(this.saveTimer);
+        this.pending = {};
+        const response = await fetch('/settings', { method: 'DELETE', headers: this.headers });
+        if (!response.ok) {
+            throw new Error(`Could not reset settings (${response.status})`);
+        }
+        this.settings = await response.json();
+        this.render();
+        this.onChange(this.settings);
+    }
+}
+
+function humanize(key) {
+    const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function createSelect(values) {
+    const select = document.createElement('select');
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value.replace(/_/g, ' ');
+        select.appendChild(option);
+    });
+    return select;
+}
+
+function createRange(field) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.type === 'integer' ? 1 : 0.01;
+    return input;
+}
@@ -0,0 +1,164 @@
+// Personality status colours, shared with the personality panel
+const STATUS_COLORS = {
+    idle: '#9e9e9e',
+    thinking: '#ffb300',
+    queued: '#8e24aa',
+    speaking: '#43a047'
+};
+
+// Top-down view of the personalities around the listener. The listener sits in the centre facing up the screen
+// (-z, like the AudioContext listener); x runs left to right and z towards the bottom. Drag a personality to move it,
+// and use the height slider for y. onMove fires while dragging, onMoveEnd once the personality is dropped.
+class SpatialEditor {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.range = options.range || 3;               // World units from the centre to the edge
+        this.heightInput = options.heightInput || null;
+        this.onMove = options.onMove || (() => {});
+        this.onMoveEnd = options.onMoveEnd || (() => {});
+        this.personalities = new Map();                // id -> {id, name, position, status}
+        this.selectedId = null;
+        this.dragging = null;                          // id being dragged
+
+        canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        canvas.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        canvas.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+        if (this.heightInput) {
+            this.heightInput.min = -this.range;
+            this.heightInput.max = this.range;
+            this.heightInput.step = 0.1;
+            this.heightInput.disabled = true;
+            this.heightInput.addEventListener('input', () => this.moveSelected({ y: Number(this.heightInput.value) }, false));
+            this.heightInput.addEventListener('change', () => this.moveSelected({ y: Number(this.heightInput.value) }, true));
+        }
+    }
+
+    setPersonalities(personalities) {
+        this.personalities = new Map(personalities.map(personality => [personality.id, { ...personality, position: { ...personality.position } }]));
+        this.draw();
+    }
+
+    // Position changes from the server; ignored for the personality being dragged
+    setPosition(id, position) {
+        const personality = this.personalities.get(id);
+        if (!personality || this.dragging === id) return;
+        personality.position = { ...position };
+        this.draw();
+    }
+
+    setStatus(id, status) {
+        const personality = this.personalities.get(id);
+        if (personality && personality.status !== status) {
+            personality.status = status;
+            this.draw();
+        }
+    }
+
+    toScreen({ x, z }) {
+        const scale = this.canvas.width / (2 * this.range);
+        return { left: this.canvas.width / 2 + x * scale, top: this.canvas.height / 2 + z * scale };
+    }
+
+    toWorld(left, top) {
+        const scale = this.canvas.width / (2 * this.range);
+        const clamp = (value) => Math.max(-this.range, Math.min(this.range, Math.round(value * 10) / 10));
+        return { x: clamp((left - this.canvas.width / 2) / scale), z: clamp((top - this.canvas.height / 2) / scale) };
+    }
+
+    pointerPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            left: (event.clientX - rect.left) * this.canvas.width / rect.width,
+            top: (event.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    handlePointerDown(event) {
+        const { left, top } = this.pointerPosition(event);
+        const hit = [...this.personalities.values()].find(personality => {
+            const screen = this.toScreen(personality.position);
+            return Math.hypot(screen.left - left, screen.top - top) <= 14;
+        });
+        this.select(hit ? hit.id : null);
+        if (hit) {
+            this.dragging = hit.id;
+            this.canvas.setPointerCapture(event.pointerId);
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragging) return;
+        const { left, top } = this.pointerPosition(event);
+        this.moveSelected(this.toWorld(left, top), false);
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragging) return;
+        this.canvas.releasePointerCapture(event.pointerId);
+        this.dragging = null;
+        this.moveSelected({}, true);
+    }
+
+    select(id) {
+        this.selectedId = id;
+        if (this.heightInput) {
+            const personality = this.personalities.get(id);
+            this.heightInput.disabled = !personality;
+            if (personality) {
+                this.heightInput.value = personality.position.y;
+            }
+        }
+        this.draw();
+    }
+
+    moveSelected(change, done) {
+        const personality = this.personalities.get(this.selectedId);
+        if (!personality) return;
+        personality.position = { ...personality.position, ...change };
+        this.draw();
+        (done ? this.onMoveEnd : this.onMove)(personality.id, { ...personality.position });
+    }
+
+    draw() {
+        const { context, canvas } = this;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Distance rings, one per world unit
+        const scale = canvas.width / (2 * this.range);
+        context.strokeStyle = '#ddd';
+        for (let radius = 1; radius <= this.range; radius++) {
+            context.beginPath();
+            context.arc(canvas.width / 2, canvas.height / 2, radius * scale, 0, 2 * Math.PI);
+            context.stroke();
+        }
+
+        // The listener, facing up the screen
+        context.fillStyle = '#333';
+        context.beginPath();
+        context.moveTo(canvas.width / 2, canvas.height / 2 - 10);
+        context.lineTo(canvas.width / 2 - 7, canvas.height / 2 + 7);
+        context.lineTo(canvas.width / 2 + 7, canvas.height / 2 + 7);
+        context.closePath();
+        context.fill();
+
+        context.font = '12px sans-serif';
+        context.textAlign = 'center';
+        this.personalities.forEach(personality => {
+            const { left, top } = this.toScreen(personality.position);
+            context.fillStyle = STATUS_COLORS[personality.status] || STATUS_COLORS.idle;
+            context.beginPath();
+            context.arc(left, top, 10, 0, 2 * Math.PI);
+            context.fill();
+            if (personality.id === this.selectedId) {
+                context.strokeStyle = '#000';
+                context.lineWidth = 2;
+                context.stroke();
+                context.lineWidth = 1;
+            }
+            context.fillStyle = '#000';
+            context.fillText(personality.name || personality.id, left, top - 14);
+        });
+    }
+}
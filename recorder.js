@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { timeLog } = require('./utils');
+
+const ID_PATTERN = /^[\w-]+$/;
+
+// One session on disk: recording.json (metadata), events.ndjson (one event per line) and audio/.
+// Every event carries t, milliseconds since the recording started. Writes are queued, never blocking a request.
+class Recording {
+    constructor({ dir, id, meta }) {
+        this.id = id;
+        this.dir = dir;
+        this.audioDir = path.join(dir, 'audio');
+        this.startedAt = Date.now();
+        this.meta = { id, startedAt: new Date(this.startedAt).toISOString(), ...meta };
+        this.replyCount = 0;
+        this.audioCount = 0;
+        this.writeChain = fs.promises.mkdir(this.audioDir, { recursive: true })
+            .then(() => fs.promises.writeFile(path.join(dir, 'recording.json'), JSON.stringify(this.meta, null, 2)));
+        this.writeChain.catch(error => console.error(`Recording ${id} could not be created:`, error.message));
+    }
+
+    nextReplyId() {
+        return ++this.replyCount;
+    }
+
+    // Append an event; audio ({buffer} or {sourcePath}) is stored first and referenced by file name
+    record(type, data = {}, audio = null) {
+        const event = { t: Date.now() - this.startedAt, type, ...data };
+        const file = audio ? `${String(++this.audioCount).padStart(4, '0')}_${audio.name}` : null;
+        if (file) {
+            event.file = file;
+        }
+
+        this.writeChain = this.writeChain
+            .then(async () => {
+                if (audio && audio.buffer) {
+                    await fs.promises.writeFile(path.join(this.audioDir, file), audio.buffer);
+                } else if (audio) {
+                    await fs.promises.copyFile(audio.sourcePath, path.join(this.audioDir, file));
+                }
+                await fs.promises.appendFile(path.join(this.dir, 'events.ndjson'), JSON.stringify(event) + '\n');
+            })
+            .catch(error => {
+                timeLog(`Recording ${this.id}: could not save ${type}`);
+                console.error(error.message);
+            });
+        return event;
+    }
+
+    flush() {
+        return this.writeChain;
+    }
+}
+
+// Opt-in session recorder. With enabled, every session is recorded; otherwise only sessions flagged with record.
+class SessionRecorder {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(__dirname, 'recordings');
+        this.enabled = Boolean(config.enabled);
+        this.recordings = new Map();                   // sessionId -> Recording
+    }
+
+    // The session's recording, started on first use; null when the session is not being recorded
+    forSession(session, meta = {}) {
+        if (!this.enabled && !session.record) {
+            return null;
+        }
+        if (!this.recordings.has(session.id)) {
+            const personalities = Object.values(session.personalities).map(personality => ({
+                id: personality.id,
+                name: personality.name,
+                position: personality.position,
+                systemPrompt: personality.systemPrompt,
+                llm: personality.llm,
+                numWords: personality.numWords
+            }));
+            this.recordings.set(session.id, new Recording({
+                dir: path.join(this.dir, session.id),
+                id: session.id,
+                meta: { sessionId: session.id, personalityMode: session.manager.mode, personalities, ...meta }
+            }));
+            timeLog(`Recording session ${session.id}`);
+        }
+        return this.recordings.get(session.id);
+    }
+
+    // Stop tracking a session's recording once its pending writes are done (the files stay); called when it expires
+    async release(sessionId) {
+        const recording = this.recordings.get(sessionId);
+        if (!recording) {
+            return;
+        }
+        await recording.flush();
+        if (this.recordings.get(sessionId) === recording) {
+            this.recordings.delete(sessionId);
+        }
+    }
+
+    async list() {
+        let ids;
+        try {
+            ids = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            return [];
+        }
+        const recordings = await Promise.all(ids.map(async id => {
+            try {
+                const meta = JSON.parse(await fs.promises.readFile(path.join(this.dir, id, 'recording.json'), 'utf8'));
+                return { id: meta.id, startedAt: meta.startedAt, personalityMode: meta.personalityMode, replayOf: meta.replayOf };
+            } catch (error) {
+                return null;
+            }
+        }));
+        return recordings.filter(Boolean).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    // Metadata and events of a stored recording, or null
+    async load(id) {
+        if (!ID_PATTERN.test(id)) {
+            return null;
+        }
+        await this.recordings.get(id)?.flush();
+        const dir = path.join(this.dir, id);
+        try {
+            const meta = JSON.parse(await fs.promises.readFile(path.join(dir, 'recording.json'), 'utf8'));
+            const lines = await fs.promises.readFile(path.join(dir, 'events.ndjson'), 'utf8').catch(() => '');
+            const events = lines.split('\n').filter(Boolean).map(line => JSON.parse(line));
+            return { ...meta, events };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    audioPath(id, file) {
+        if (!ID_PATTERN.test(id) || !/^[\w.-]+$/.test(file)) {
+            return null;
+        }
+        return path.join(this.dir, id, 'audio', file);
+    }
+}
+
+// Transcript cues with speaker labels. User cues span the recorded speech; personality cues start when
+// their first audio was ready and last as long as the reply would take to say (estimated from its words).
+function buildCues(recording) {
+    const names = Object.fromEntries(recording.personalities.map(personality => [personality.id, personality.name]));
+    const firstAudio = new Map();
+    recording.events
+        .filter(event => event.type === 'tts_audio' && !firstAudio.has(event.replyId))
+        .forEach(event => firstAudio.set(event.replyId, event.t));
+
+    const cues = [];
+    recording.events.forEach(event => {
+        if (event.type === 'transcription' && event.text) {
+            const end = event.speechEndT ?? event.t;
+            cues.push({ start: end - (event.speechDurationMs || 1000), end, speaker: 'User', text: event.text });
+        }
+        if (event.type === 'reply' && event.text) {
+            const start = firstAudio.get(event.replyId) ?? event.t;
+            const words = event.text.split(/\s+/).length;
+            cues.push({ start, end: start + Math.max(1000, words * 400), speaker: names[event.personalityId] || event.personalityId, text: event.text });
+        }
+    });
+    // Speech that began before the recording did shifts the whole timeline instead of being cut off
+    const shift = Math.max(0, ...cues.map(cue => -cue.start));
+    return cues
+        .map(cue => ({ ...cue, start: cue.start + shift, end: cue.end + shift }))
+        .sort((a, b) => a.start - b.start);
+}
+
+function formatTimestamp(ms, separator) {
+    const pad = (value, length = 2) => String(Math.floor(value)).padStart(length, '0');
+    return `${pad(ms / 3600000)}:${pad(ms / 60000 % 60)}:${pad(ms / 1000 % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toWebVtt(recording) {
+    const cues = buildCues(recording).map(cue =>
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n<v ${cue.speaker}>${cue.text}`);
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function toSrt(recording) {
+    return buildCues(recording).map((cue, index) =>
+        `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.speaker}: ${cue.text}`
+    ).join('\n\n') + '\n';
+}
+
+// The recording as turns: each user transcription with the replies that followed it
+function groupTurns(recording) {
+    const turns = [];
+    recording.events.forEach(event => {
+        if (event.type === 'transcription' && event.text) {
+            turns.push({ text: event.text, file: event.file, replies: [] });
+        } else if (event.type === 'reply' && turns.length > 0) {
+            turns[turns.length - 1].replies.push({ personalityId: event.personalityId, text: event.text });
+        }
+    });
+    return turns;
+}
+
+module.exports = {
+    SessionRecorder,
+    Recording,
+    buildCues,
+    toWebVtt,
+    toSrt,
+    groupTurns
+};
@@ -0,0 +1,84 @@
+const express = require('express');
+const path = require('path');
+const { toWebVtt, toSrt } = require('./recorder');
+const { sendAudioFile } = require('./audio-store');
+const { timeLog } = require('./utils');
+
+const AUDIO_CONTENT_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.webm': 'audio/webm',
+    '.ogg': 'audio/ogg',
+    '.flac': 'audio/flac',
+    '.m4a': 'audio/mp4'
+};
+
+// REST API over the session recorder, mounted at /recordings.
+// replay(recording, options) runs a recording back through the pipeline and resolves with the comparison.
+function createRecordingRouter({ recorder, replay }) {
+    const router = express.Router();
+
+    const loadRecording = async (req, res) => {
+        const recording = await recorder.load(req.params.id);
+        if (!recording) {
+            res.status(404).json({ error: `Unknown recording: ${req.params.id}` });
+        }
+        return recording;
+    };
+
+    router.get('/', async (req, res) => {
+        res.json(await recorder.list());
+    });
+
+    // Full export: metadata, personality snapshot and every event, with audio URLs
+    router.get('/:id', async (req, res) => {
+        const recording = await loadRecording(req, res);
+        if (!recording) return;
+        recording.events.forEach(event => {
+            if (event.file) {
+                event.url = `/recordings/${recording.id}/audio/${event.file}`;
+            }
+        });
+        res.json(recording);
+    });
+
+    router.get('/:id/transcript.vtt', async (req, res) => {
+        const recording = await loadRecording(req, res);
+        if (!recording) return;
+        res.type('text/vtt').send(toWebVtt(recording));
+    });
+
+    router.get('/:id/transcript.srt', async (req, res) => {
+        const recording = await loadRecording(req, res);
+        if (!recording) return;
+        res.type('application/x-subrip').send(toSrt(recording));
+    });
+
+    router.get('/:id/audio/:file', (req, res) => {
+        const filePath = recorder.audioPath(req.params.id, req.params.file);
+        if (!filePath) {
+            return res.status(404).json({ error: 'Unknown audio file' });
+        }
+        sendAudioFile(res, filePath, AUDIO_CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream', { immutable: true });
+    });
+
+    // Run the recorded utterances through the current personalities; the replay is recorded as a new session
+    router.post('/:id/replay', async (req, res) => {
+        const recording = await loadRecording(req, res);
+        if (!recording) return;
+        try {
+            const { wantsAudio = false, retranscribe = false } = req.body || {};
+            res.json(await replay(recording, { wantsAudio: Boolean(wantsAudio), retranscribe: Boolean(retranscribe) }));
+        } catch (error) {
+            timeLog(`Replay of ${recording.id} failed`);
+            console.error(error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createRecordingRouter
+};
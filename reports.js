@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { timeLog } = require('./utils');
+const { estimateTokens } = require('./memory');
+
+const ID_PATTERN = /^[\w-]+$/;
+const GOAL_STATUSES = ['achieved', 'partial', 'not_achieved', 'unknown'];
+const MAX_KEY_MOMENTS = 5;
+const MAX_FLAGS = 5;
+
+// The session transcript as numbered lines; the numbers are how the LLM points at key moments
+function numberTranscript(session) {
+    const startedAt = session.createdAt;
+    return session.transcript.entries.map((entry, index) => ({
+        line: index + 1,
+        role: entry.role,
+        personalityId: entry.personalityId,
+        speaker: entry.speaker,
+        content: entry.content,
+        t: entry.timestamp - startedAt
+    }));
+}
+
+// The latest lines that fit in maxTokens, oldest first
+function recentLines(lines, maxTokens) {
+    const kept = [];
+    let tokens = 0;
+    for (let i = lines.length - 1; i >= 0; i--) {
+        tokens += estimateTokens(lines[i].content) + 4;
+        if (tokens > maxTokens) {
+            break;
+        }
+        kept.unshift(lines[i]);
+    }
+    return kept;
+}
+
+// The first JSON object in an LLM answer (models like to wrap it in prose or code fences), or null
+function parseJsonObject(text) {
+    const start = (text || '').indexOf('{');
+    const end = (text || '').lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        return null;
+    }
+    try {
+        const parsed = JSON.parse(text.slice(start, end + 1));
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+// Structured review of a finished session: progress toward the scenario's goal, key moments of the transcript and
+// what each personality flagged. The chat LLM writes the review; without it (service down, unusable answer) the
+// report still lists the transcript, each personality's interjections and the user turns that drew the most of them.
+class CoachingReporter {
+    constructor(config = {}) {
+        this.llmClient = config.llmClient || null;
+        this.model = config.model;                     // REPORT_MODEL; the LLM's default model when unset
+        this.maxTranscriptTokens = config.maxTranscriptTokens || 3000;   // Older lines are left out of the prompt
+        this.maxTokens = config.maxTokens || 800;
+    }
+
+    async generate(session) {
+        const startTime = timeLog(`Generating coaching report for session ${session.id}`);
+        const transcript = numberTranscript(session);
+        const personalities = Object.values(session.personalities)
+            .map(personality => ({ id: personality.id, name: personality.name }));
+        const report = {
+            id: session.id,
+            sessionId: session.id,
+            generatedAt: new Date().toISOString(),
+            startedAt: new Date(session.createdAt).toISOString(),
+            durationMs: Date.now() - session.createdAt,
+            turns: transcript.filter(line => line.role === 'user').length,
+            scenario: session.scenario && {
+                id: session.scenario.id,
+                name: session.scenario.name,
+                goal: session.scenario.goal,
+                context: session.scenario.context
+            },
+            source: 'transcript',                      // 'llm' once the review below succeeds
+            error: null,
+            ...this.transcriptReview(session.scenario, transcript, personalities),
+            transcript
+        };
+
+        if (!this.llmClient || report.turns === 0) {
+            return report;
+        }
+        try {
+            const answer = await this.llmClient.chat(this.buildMessages(session.scenario, transcript, personalities),
+                { model: this.model, temperature: 0.2, maxTokens: this.maxTokens });
+            const review = parseJsonObject(answer);
+            if (!review) {
+                throw new Error('the answer was not a JSON object');
+            }
+            Object.assign(report, this.applyReview(review, report, transcript), { source: 'llm' });
+            timeLog('Coaching report complete', startTime);
+        } catch (error) {
+            timeLog(`Coaching review failed (${error.message}), reporting from the transcript only`);
+            report.error = error.message;
+        }
+        return report;
+    }
+
+    buildMessages(scenario, transcript, personalities) {
+        const shown = recentLines(transcript, this.maxTranscriptTokens);
+        const setting = scenario
+            ? [
+                `Scenario: ${scenario.name}`,
+                `The user's goal: ${scenario.goal}`,
+                scenario.context && `Background: ${scenario.context}`,
+                scenario.checkpoints.length > 0 && `Checkpoints:\n${scenario.checkpoints.map(checkpoint => `- ${checkpoint}`).join('\n')}`
+            ].filter(Boolean).join('\n')
+            : 'The user did not state a goal for this conversation.';
+
+        return [
+            {
+                role: 'system',
+                content: 'You are a conversation coach reviewing a practice session. The user spoke; short interjections came from ' +
+                    `voices that coached them live (${personalities.map(personality => `${personality.id}: ${personality.name}`).join(', ')}). ` +
+                    'Answer with one JSON object only, in this shape:\n' +
+                    '{"goalProgress": {"status": "achieved" | "partial" | "not_achieved" | "unknown", "summary": "two sentences", ' +
+                    '"checkpoints": [{"checkpoint": "...", "met": true, "evidence": "..."}]}, ' +
+                    `"keyMoments": [{"line": 12, "note": "why it mattered"}], ` +
+                    '"personalityFlags": {"<voice id>": ["what that voice kept pointing out"]}, ' +
+                    '"nextSteps": ["what to practise next"]}\n' +
+                    `Use the transcript line numbers for keyMoments (at most ${MAX_KEY_MOMENTS}) and list every checkpoint given.`
+            },
+            {
+                role: 'user',
+                content: `${setting}\n\nTranscript${shown.length < transcript.length ? ' (latest lines)' : ''}:\n` +
+                    shown.map(line => `[${line.line}] ${line.speaker}: ${line.content}`).join('\n')
+            }
+        ];
+    }
+
+    // Report fields from the transcript alone
+    transcriptReview(scenario, transcript, personalities) {
+        const turns = [];
+        transcript.forEach(line => {
+            if (line.role === 'user') {
+                turns.push({ line, replies: [] });
+            } else if (turns.length > 0) {
+                turns[turns.length - 1].replies.push(line);
+            }
+        });
+        const keyMoments = turns
+            .filter(turn => turn.replies.length > 0)
+            .sort((a, b) => new Set(b.replies.map(reply => reply.personalityId)).size - new Set(a.replies.map(reply => reply.personalityId)).size)
+            .slice(0, MAX_KEY_MOMENTS)
+            .sort((a, b) => a.line.line - b.line.line)
+            .map(turn => this.keyMoment(turn.line, `Drew replies from ${[...new Set(turn.replies.map(reply => reply.speaker))].join(', ')}`));
+
+        return {
+            goalProgress: {
+                status: 'unknown',
+                summary: '',
+                checkpoints: (scenario ? scenario.checkpoints : []).map(checkpoint => ({ checkpoint, met: null, evidence: '' }))
+            },
+            keyMoments,
+            personalities: personalities.map(personality => {
+                const lines = transcript.filter(line => line.role === 'assistant' && line.personalityId === personality.id);
+                return {
+                    ...personality,
+                    interjections: lines.length,
+                    flags: [...new Set(lines.map(line => line.content))].slice(-MAX_FLAGS)
+                };
+            }),
+            nextSteps: []
+        };
+    }
+
+    // Merge the LLM's review into the transcript-only fields, dropping anything that does not fit the report
+    applyReview(review, report, transcript) {
+        const progress = review.goalProgress || {};
+        const byLine = new Map(transcript.map(line => [line.line, line]));
+        const flags = review.personalityFlags && typeof review.personalityFlags === 'object' ? review.personalityFlags : {};
+        const checkpoints = asList(progress.checkpoints)
+            .filter(item => item && asText(item.checkpoint))
+            .map(item => ({ checkpoint: asText(item.checkpoint), met: typeof item.met === 'boolean' ? item.met : null, evidence: asText(item.evidence) }));
+
+        const keyMoments = asList(review.keyMoments)
+            .filter(moment => moment && byLine.has(Number(moment.line)))
+            .slice(0, MAX_KEY_MOMENTS)
+            .map(moment => this.keyMoment(byLine.get(Number(moment.line)), asText(moment.note)));
+
+        return {
+            goalProgress: {
+                status: GOAL_STATUSES.includes(progress.status) ? progress.status : 'unknown',
+                summary: asText(progress.summary),
+                checkpoints: checkpoints.length > 0 ? checkpoints : report.goalProgress.checkpoints
+            },
+            keyMoments: keyMoments.length > 0 ? keyMoments : report.keyMoments,
+            personalities: report.personalities.map(personality => {
+                const reviewed = asList(flags[personality.id]).map(asText).filter(Boolean).slice(0, MAX_FLAGS);
+                return reviewed.length > 0 ? { ...personality, flags: reviewed } : personality;
+            }),
+            nextSteps: asList(review.nextSteps).map(asText).filter(Boolean)
+        };
+    }
+
+    keyMoment(line, note) {
+        return { line: line.line, t: line.t, speaker: line.speaker, personalityId: line.personalityId, quote: line.content, note };
+    }
+}
+
+// Reports on disk, one <sessionId>.json each, so they outlive the session
+class ReportStore {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(__dirname, 'reports');
+    }
+
+    async save(report) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.dir, `${report.id}.json`), JSON.stringify(report, null, 2) + '\n');
+        return report;
+    }
+
+    async load(id) {
+        if (!ID_PATTERN.test(id)) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor(ms / 1000 % 60);
+    return minutes > 0 ? `${minutes} min ${seconds} s` : `${seconds} s`;
+}
+
+// The report as a Markdown document for download
+function toMarkdown(report) {
+    const lines = [
+        `# Coaching report${report.scenario ? `: ${report.scenario.name}` : ''}`,
+        '',
+        `Session ${report.sessionId}, ${report.startedAt}, ${report.turns} turns in ${formatDuration(report.durationMs)}`
+    ];
+    if (report.source !== 'llm') {
+        lines.push('', `_The coach could not review this session${report.error ? ` (${report.error})` : ''}; the interjections and transcript are below._`);
+    }
+
+    lines.push('', '## Goal', '', report.scenario ? report.scenario.goal : 'No goal was set for this session.');
+    if (report.goalProgress.status !== 'unknown' || report.goalProgress.summary) {
+        lines.push('', `**Progress:** ${report.goalProgress.status.replace('_', ' ')}. ${report.goalProgress.summary}`.trim());
+    }
+    if (report.goalProgress.checkpoints.length > 0) {
+        lines.push('');
+        report.goalProgress.checkpoints.forEach(item => {
+            const box = item.met === true ? '[x]' : '[ ]';
+            lines.push(`- ${box} ${item.checkpoint}${item.evidence ? ` (${item.evidence})` : ''}`);
+        });
+    }
+
+    if (report.keyMoments.length > 0) {
+        lines.push('', '## Key moments', '');
+        report.keyMoments.forEach((moment, index) => {
+            lines.push(`${index + 1}. **${moment.speaker}:** "${moment.quote}"${moment.note ? ` - ${moment.note}` : ''}`);
+        });
+    }
+
+    lines.push('', '## What each personality flagged');
+    report.personalities.forEach(personality => {
+        lines.push('', `### ${personality.name} (${personality.interjections} interjections)`, '');
+        lines.push(...(personality.flags.length > 0 ? personality.flags.map(flag => `- ${flag}`) : ['Nothing this session.']));
+    });
+
+    if (report.nextSteps.length > 0) {
+        lines.push('', '## Next steps', '', ...report.nextSteps.map(step => `- ${step}`));
+    }
+
+    lines.push('', '## Transcript', '', ...report.transcript.map(line => `${line.line}. **${line.speaker}:** ${line.content}`));
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CoachingReporter,
+    ReportStore,
+    GOAL_STATUSES,
+    parseJsonObject,
+    toMarkdown
+};
@@ -0,0 +1,334 @@
+const { timeLog } = require('./utils');
+
+// Network failures worth retrying; anything else (bad request, missing binary, ...) fails right away
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH']);
+
+// A call that did not finish within the service's timeout
+class ServiceTimeoutError extends Error {
+    constructor(service, timeoutMs) {
+        super(`${service} did not respond within ${timeoutMs}ms`);
+        this.name = 'ServiceTimeoutError';
+        this.service = service;
+    }
+}
+
+// Rejected without calling the service because its circuit is open
+class ServiceUnavailableError extends Error {
+    constructor(service, retryAfterMs) {
+        super(`${service} is unavailable`);
+        this.name = 'ServiceUnavailableError';
+        this.service = service;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Timeouts, connection failures, 408, 429 and 5xx responses
+function isTransientError(error) {
+    if (error instanceof ServiceTimeoutError) {
+        return true;
+    }
+    const status = error && error.response && error.response.status;
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+    return Boolean(error) && TRANSIENT_ERROR_CODES.has(error.code);
+}
+
+// Whether a failure means the service is down (as opposed to a bad request): worth a fallback instead of an error
+function isServiceFailure(error) {
+    return error instanceof ServiceUnavailableError || isTransientError(error);
+}
+
+// Resolve after ms, or reject with the signal's reason once it aborts
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(signal.reason);
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Health of one service: closed (healthy), open (failing; calls are rejected until resetTimeoutMs has passed)
+// or half_open (trying again; the next success closes it, the next failure opens it again)
+class CircuitBreaker {
+    constructor(config = {}) {
+        this.failureThreshold = config.failureThreshold || 5;   // Consecutive failures that open the circuit
+        this.resetTimeoutMs = config.resetTimeoutMs || 30000;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.lastFailureAt = null;
+        this.lastSuccessAt = null;
+    }
+
+    // Milliseconds until an open circuit lets calls through again; 0 when calls may go ahead
+    get retryAfterMs() {
+        if (this.state !== 'open') {
+            return 0;
+        }
+        return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+    }
+
+    allowRequest() {
+        if (this.state === 'open' && this.retryAfterMs === 0) {
+            this.state = 'half_open';
+        }
+        return this.state !== 'open';
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastSuccessAt = Date.now();
+    }
+
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.lastError = error.message;
+        this.lastFailureAt = Date.now();
+        if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+// One external dependency (STT, LLM or TTS): every call gets a timeout, transient failures are retried with
+// exponential backoff (or the server's Retry-After), and a circuit breaker stops calling it while it is down.
+// Calls receive an AbortSignal that fires on timeout or when the caller's own signal aborts.
+class ResilientService {
+    constructor(config = {}) {
+        this.name = config.name;
+        this.provider = config.provider || null;       // Provider name, for /health
+        this.timeoutMs = config.timeoutMs;             // Per attempt (per chunk for streams); 0 or unset disables
+        this.retries = config.retries ?? 2;
+        this.backoffMs = config.backoffMs ?? 300;
+        this.maxBackoffMs = config.maxBackoffMs ?? 5000;
+        this.breaker = new CircuitBreaker(config);
+        this.retryCount = 0;
+        this.failureCount = 0;
+    }
+
+    // Run fn(signal) with timeout, retries and the circuit breaker; options.signal cancels it altogether
+    async call(fn, { signal } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            this.checkCircuit();
+            const controller = this.createController(signal);
+            try {
+                const result = await controller.race(fn(controller.signal));
+                this.breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                await this.handleFailure(error, attempt, signal);
+            } finally {
+                controller.dispose();
+            }
+        }
+    }
+
+    // Like call() for an async iterable: the timeout applies to each chunk, and a stream is only retried
+    // while it has not produced anything yet
+    async *stream(fn, { signal } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            this.checkCircuit();
+            const controller = this.createController(signal);
+            const iterator = fn(controller.signal)[Symbol.asyncIterator]();
+            let started = false;
+            try {
+                while (true) {
+                    controller.restartTimer();
+                    const { value, done } = await controller.race(iterator.next());
+                    if (done) {
+                        break;
+                    }
+                    if (!started) {
+                        started = true;
+                        this.breaker.recordSuccess();
+                    }
+                    yield value;
+                }
+                this.breaker.recordSuccess();
+                return;
+            } catch (error) {
+                if (started) {
+                    if (!(signal && signal.aborted)) {
+                        this.recordFailure(error);
+                    }
+                    throw error;
+                }
+                await this.handleFailure(error, attempt, signal);
+            } finally {
+                controller.dispose();
+                // Closes the underlying request when the consumer stops early or the stream failed
+                if (iterator.return) {
+                    iterator.return().catch(() => {});
+                }
+            }
+        }
+    }
+
+    checkCircuit() {
+        if (!this.breaker.allowRequest()) {
+            throw new ServiceUnavailableError(this.name, this.breaker.retryAfterMs);
+        }
+    }
+
+    // Rethrow unless the failure is transient and retries are left; otherwise wait before the next attempt
+    async handleFailure(error, attempt, signal) {
+        if (signal && signal.aborted) {
+            throw error;                               // The caller gave up; says nothing about the service
+        }
+        if (!isTransientError(error)) {
+            throw error;
+        }
+        this.recordFailure(error);
+        if (attempt >= this.retries || this.breaker.state === 'open') {
+            throw error;
+        }
+        const delayMs = this.retryDelay(error, attempt);
+        this.retryCount++;
+        timeLog(`${this.name} attempt ${attempt + 1} failed (${error.message}), retrying in ${delayMs}ms`);
+        await sleep(delayMs, signal);
+    }
+
+    recordFailure(error) {
+        this.failureCount++;
+        const wasOpen = this.breaker.state === 'open';
+        this.breaker.recordFailure(error);
+        if (!wasOpen && this.breaker.state === 'open') {
+            timeLog(`${this.name} circuit opened after ${this.breaker.consecutiveFailures} failures`);
+        }
+    }
+
+    // Exponential backoff with jitter, or the server's Retry-After (seconds), capped at maxBackoffMs
+    retryDelay(error, attempt) {
+        const retryAfter = Number(error.response && error.response.headers && error.response.headers['retry-after']);
+        const delayMs = retryAfter > 0
+            ? retryAfter * 1000
+            : this.backoffMs * 2 ** attempt * (0.5 + Math.random() / 2);
+        return Math.round(Math.min(delayMs, this.maxBackoffMs));
+    }
+
+    // Abort controller for one attempt, linked to the caller's signal and the timeout.
+    // race(promise) settles with the promise, or rejects as soon as the attempt is aborted.
+    createController(signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort(signal.reason);
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+        let timer = null;
+        const aborted = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        aborted.catch(() => {});
+
+        const restartTimer = () => {
+            clearTimeout(timer);
+            if (this.timeoutMs > 0) {
+                timer = setTimeout(() => controller.abort(new ServiceTimeoutError(this.name, this.timeoutMs)), this.timeoutMs);
+            }
+        };
+        restartTimer();
+
+        return {
+            signal: controller.signal,
+            race: (promise) => Promise.race([promise, aborted]),
+            restartTimer,
+            dispose: () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (!controller.signal.aborted) {
+                    controller.abort();
+                }
+            }
+        };
+    }
+
+    // State for GET /health
+    toJSON() {
+        return {
+            provider: this.provider,
+            state: this.breaker.state,
+            consecutiveFailures: this.breaker.consecutiveFailures,
+            lastError: this.breaker.lastError,
+            lastFailureAt: this.breaker.lastFailureAt,
+            lastSuccessAt: this.breaker.lastSuccessAt,
+            retryAfterMs: this.breaker.retryAfterMs,
+            retries: this.retryCount,
+            failures: this.failureCount
+        };
+    }
+}
+
+// Route a provider's calls through a service: transcribe(audio), synthesize(text, voice), chat(messages, options)
+// and chatStream(messages, options) get its timeout, retries and circuit breaker. Other properties pass through.
+function withResilience(provider, service) {
+    const wrapped = Object.create(provider);
+    if (provider.transcribe) {
+        wrapped.transcribe = (audio, options = {}) =>
+            service.call(signal => provider.transcribe(audio, { ...options, signal }), options);
+    }
+    if (provider.synthesize) {
+        wrapped.synthesize = (text, voice, options = {}) =>
+            service.call(signal => provider.synthesize(text, voice, { ...options, signal }), options);
+    }
+    if (provider.chat) {
+        wrapped.chat = (messages, options = {}) =>
+            service.call(signal => provider.chat(messages, { ...options, signal }), options);
+    }
+    if (provider.chatStream) {
+        wrapped.chatStream = (messages, options = {}) =>
+            service.stream(signal => provider.chatStream(messages, { ...options, signal }), options);
+    }
+    return wrapped;
+}
+
+function parseOptionalNumber(value) {
+    return value === undefined || value === '' ? undefined : Number(value);
+}
+
+// Service settings from <PREFIX>_TIMEOUT_MS and <PREFIX>_RETRIES, plus the shared RETRY_BACKOFF_MS,
+// RETRY_MAX_BACKOFF_MS, BREAKER_FAILURE_THRESHOLD and BREAKER_RESET_MS
+function serviceConfigFromEnv(prefix, env = process.env, defaults = {}) {
+    return {
+        timeoutMs: parseOptionalNumber(env[`${prefix}_TIMEOUT_MS`]) ?? defaults.timeoutMs,
+        retries: parseOptionalNumber(env[`${prefix}_RETRIES`]) ?? defaults.retries,
+        backoffMs: parseOptionalNumber(env.RETRY_BACKOFF_MS),
+        maxBackoffMs: parseOptionalNumber(env.RETRY_MAX_BACKOFF_MS),
+        failureThreshold: parseOptionalNumber(env.BREAKER_FAILURE_THRESHOLD),
+        resetTimeoutMs: parseOptionalNumber(env.BREAKER_RESET_MS)
+    };
+}
+
+module.exports = {
+    ServiceTimeoutError,
+    ServiceUnavailableError,
+    CircuitBreaker,
+    ResilientService,
+    isTransientError,
+    isServiceFailure,
+    withResilience,
+    serviceConfigFromEnv
+};
@@ -0,0 +1,228 @@
+const { timeLog } = require('./utils');
+
+// Replies that decline instead of answering; they are never spoken
+const REFUSAL_PATTERNS = [
+    /^(i'?m|i am) sorry\b/i,
+    /^sorry,? (but )?i\b/i,
+    /^i (can(no|')t|cannot|won'?t|am unable to|'?m unable to|'?m not able to) (help|assist|answer|provide|respond|do that|comply)/i,
+    /\bas an ai\b/i,
+    /\b(i'?m|i am) (just )?(an ai|a language model)\b/i
+];
+
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{FE0F}\u{200D}\u{20E3}]/gu;
+
+class ResponseRejectedError extends Error {
+    constructor(message, violations) {
+        super(message);
+        this.name = 'ResponseRejectedError';
+        this.violations = violations;
+    }
+}
+
+function countWords(text) {
+    const words = (text || '').trim().split(/\s+/).filter(Boolean);
+    return words.length;
+}
+
+// Cut text to at most maxWords, preferring to end on a complete sentence
+function limitWords(text, maxWords) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    if (words.length <= maxWords) {
+        return text.trim();
+    }
+    const kept = words.slice(0, Math.max(maxWords, 0));
+    for (let i = kept.length - 1; i > 0; i--) {
+        if (/[.!?]$/.test(kept[i])) {
+            return kept.slice(0, i + 1).join(' ');
+        }
+    }
+    return kept.join(' ').replace(/[,;:\-–—]+$/, '');
+}
+
+function isRefusal(text) {
+    return REFUSAL_PATTERNS.some(pattern => pattern.test(text.trim()));
+}
+
+// Strip everything that should not be read out: markdown, emoji, quotes, stage directions and speaker labels.
+// Returns the cleaned text and the kinds of content that had to be removed.
+function sanitizeResponse(text, options = {}) {
+    const violations = new Set();
+    let cleaned = text || '';
+
+    const replace = (pattern, replacement, violation) => {
+        const next = cleaned.replace(pattern, replacement);
+        if (next !== cleaned) {
+            violations.add(violation);
+            cleaned = next;
+        }
+    };
+
+    replace(/```[\s\S]*?```/g, ' ', 'markdown');
+    replace(/\[([^\]]+)\]\([^)]*\)/g, '$1', 'markdown');
+    replace(/(\*\*|__)(.+?)\1/g, '$2', 'markdown');
+    replace(/`([^`]*)`/g, '$1', 'markdown');
+    replace(/^\s*(#{1,6}|[-*+>]|\d+[.)])\s+/gm, '', 'markdown');
+    // *laughs*, (sighs), [pause]
+    replace(/\*[^*\n]+\*|\([^)\n]*\)|\[[^\]\n]*\]/g, ' ', 'stage_direction');
+    replace(EMOJI_PATTERN, '', 'emoji');
+    replace(/["“”„«»]|(^|\s)'|'(?=\s|$|[.,!?])/g, '$1', 'quotes');
+    if (options.speakerName) {
+        const label = options.speakerName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        replace(new RegExp(`^\\s*${label}\\s*:\\s*`, 'i'), '', 'speaker_label');
+    }
+    replace(/[*_#~^|<>{}\\]/g, '', 'special_characters');
+
+    cleaned = cleaned.replace(/\s+/g, ' ').replace(/\s+([.,!?;:])/g, '$1').trim();
+    return { text: cleaned, violations: [...violations] };
+}
+
+// Post-processing between the LLM and TTS: cleans replies, holds them to the personality's word budget,
+// re-prompts when they break it and keeps per-personality violation counts to measure prompt compliance
+class ResponseGuard {
+    constructor(config = {}) {
+        this.maxAttempts = config.maxAttempts || 2;    // LLM calls per reply, including the first
+        this.stats = new Map();
+    }
+
+    // Clean one complete reply. ok is false when nothing speakable is left.
+    review(text, personality) {
+        const { text: cleaned, violations } = sanitizeResponse(text, { speakerName: personality.name });
+        if (!cleaned) {
+            return { ok: false, text: '', violations: [...violations, 'empty'] };
+        }
+        if (isRefusal(cleaned)) {
+            return { ok: false, text: cleaned, violations: [...violations, 'refusal'] };
+        }
+        if (countWords(cleaned) > personality.numWords) {
+            return { ok: true, text: cleaned, violations: [...violations, 'too_long'] };
+        }
+        return { ok: true, text: cleaned, violations };
+    }
+
+    // Produce a reply with generate(extraMessages), re-prompting when it is empty, a refusal or too long.
+    // The last attempt is truncated to the budget if still too long; rejected replies throw ResponseRejectedError.
+    // previous carries an attempt that already failed elsewhere (a streamed reply): {violations}.
+    async generate(personality, generate, previous = null) {
+        const allViolations = new Set(previous ? previous.violations : []);
+        let extraMessages = previous
+            ? [{ role: 'user', content: this.correctionPrompt(previous.violations, '', personality) }]
+            : [];
+        let retries = previous ? 1 : 0;
+        let result;
+
+        for (let attempt = previous ? 2 : 1; attempt <= this.maxAttempts; attempt++) {
+            const raw = await generate(extraMessages);
+            result = this.review(raw, personality);
+            result.violations.forEach(violation => allViolations.add(violation));
+
+            if (result.ok && !result.violations.includes('too_long')) {
+                break;
+            }
+            if (attempt < this.maxAttempts) {
+                timeLog(`Re-prompting ${personality.id}: ${result.violations.join(', ')}`);
+                retries++;
+                extraMessages = [
+                    { role: 'assistant', content: raw || '' },
+                    { role: 'user', content: this.correctionPrompt(result.violations, result.text, personality) }
+                ];
+            }
+        }
+
+        const violations = [...allViolations];
+        if (!result || !result.ok) {
+            this.record(personality.id, violations, { retries, rejected: true });
+            throw new ResponseRejectedError(`Reply from ${personality.id} rejected: ${violations.join(', ')}`, violations);
+        }
+
+        const text = limitWords(result.text, personality.numWords);
+        this.record(personality.id, violations, { retries, truncated: text !== result.text });
+        return text;
+    }
+
+    // Instruction appended to the conversation when a reply has to be redone
+    correctionPrompt(violations, text, personality) {
+        if (violations.includes('too_long') && text) {
+            return `That was ${countWords(text)} words. Say it again in at most ${personality.numWords} words, ` +
+                'only the words to say out loud, no special characters.';
+        }
+        return `Answer in character with at most ${personality.numWords} words, only the words to say out loud.`;
+    }
+
+    // Filter for one streamed reply: cleans each phrase as it completes and stops the stream once the
+    // word budget is spent or the reply opens with a refusal. finish(spokenText) records the outcome and
+    // returns null, or the violations to pass to generate() when nothing speakable was produced.
+    createPhraseFilter(personality) {
+        const violations = new Set();
+        let words = 0;
+        let truncated = false;
+
+        const filter = (phrase) => {
+            const { text, violations: found } = sanitizeResponse(phrase, { speakerName: words === 0 ? personality.name : null });
+            found.forEach(violation => violations.add(violation));
+
+            if (words === 0 && text && isRefusal(text)) {
+                violations.add('refusal');
+                return { text: '', stop: true };
+            }
+            const count = countWords(text);
+            if (words + count > personality.numWords) {
+                violations.add('too_long');
+                truncated = true;
+                const remaining = personality.numWords - words;
+                words = personality.numWords;
+                return { text: remaining > 0 ? limitWords(text, remaining) : '', stop: true };
+            }
+            words += count;
+            return { text, stop: false };
+        };
+
+        const finish = (spokenText) => {
+            if (!spokenText) {
+                if (!violations.has('refusal')) {
+                    violations.add('empty');
+                }
+                return { violations: [...violations] };
+            }
+            this.record(personality.id, [...violations], { truncated });
+            return null;
+        };
+
+        return { filter, finish };
+    }
+
+    record(personalityId, violations, { retries = 0, truncated = false, rejected = false } = {}) {
+        if (!this.stats.has(personalityId)) {
+            this.stats.set(personalityId, { responses: 0, compliant: 0, retries: 0, truncated: 0, rejected: 0, violations: {} });
+        }
+        const stats = this.stats.get(personalityId);
+        stats.responses++;
+        if (violations.length === 0) {
+            stats.compliant++;
+        } else {
+            timeLog(`Reply from ${personalityId} broke the rules: ${violations.join(', ')}`);
+        }
+        stats.retries += retries;
+        stats.truncated += truncated ? 1 : 0;
+        stats.rejected += rejected ? 1 : 0;
+        violations.forEach(violation => {
+            stats.violations[violation] = (stats.violations[violation] || 0) + 1;
+        });
+    }
+
+    // Compliance per personality: share of replies that needed no cleaning, retries or truncation
+    getStats() {
+        return Object.fromEntries([...this.stats].map(([personalityId, stats]) => [personalityId, {
+            ...stats,
+            complianceRate: stats.responses > 0 ? Number((stats.compliant / stats.responses).toFixed(3)) : null
+        }]));
+    }
+}
+
+module.exports = {
+    ResponseGuard,
+    ResponseRejectedError,
+    sanitizeResponse,
+    limitWords,
+    countWords,
+    isRefusal
+};
@@ -0,0 +1,183 @@
+const { timeLog } = require('./utils');
+const { NoActivePersonalityError } = require('./sessions');
+
+const ROUTING_MODES = ['single', 'multiple', 'keyword', 'classifier', 'ensemble'];
+
+function countKeywordMatches(text, keywords = []) {
+    const lower = text.toLowerCase();
+    return keywords.filter(keyword => {
+        const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`\\b${escaped}\\b`).test(lower);
+    }).length;
+}
+
+// The personality's history plus the new utterance, without touching the stored history
+function messagesWithUtterance(personality, transcription) {
+    return [...personality.getMessages(), { role: 'user', content: transcription }];
+}
+
+// Decides which personality (or personalities) answer an utterance.
+// route() resolves with {selections: [{personality, response?}], reason}; a response is only present in
+// ensemble mode, where candidates were already generated.
+class PersonalityRouter {
+    constructor(config = {}) {
+        this.mode = config.mode || 'single';
+        this.llmClient = config.llmClient;
+        this.classifierModel = config.classifierModel;         // Optional smaller model for routing calls
+        this.playCount = config.playCount || 1;                 // Ensemble: how many ranked replies to play
+        if (!ROUTING_MODES.includes(this.mode)) {
+            throw new Error(`Unknown PERSONALITY_MODE: ${this.mode}`);
+        }
+    }
+
+    async route(session, transcription) {
+        const { manager } = session;
+        let decision;
+        try {
+            switch (this.mode) {
+                case 'keyword':
+                    decision = this.routeByKeywords(manager, transcription);
+                    break;
+                case 'classifier':
+                    decision = await this.routeByClassifier(manager, transcription);
+                    break;
+                case 'ensemble':
+                    decision = await this.routeByEnsemble(manager, transcription);
+                    break;
+                case 'multiple':
+                    decision = { selections: [{ personality: manager.getNextPersonality() }], reason: 'round-robin' };
+                    break;
+                default:
+                    decision = { selections: [{ personality: manager.selectPersonality() }], reason: 'single personality mode' };
+            }
+        } catch (error) {
+            timeLog(`Routing (${this.mode}) failed, falling back to round-robin`);
+            console.error(error.message);
+            decision = { selections: [{ personality: manager.getNextPersonality() }], reason: `${this.mode} failed (${error.message}); round-robin fallback` };
+        }
+
+        decision.selections = decision.selections.filter(selection => selection.personality);
+        if (decision.selections.length === 0) {
+            throw new NoActivePersonalityError();
+        }
+        const chosen = decision.selections.map(selection => selection.personality.id).join(', ');
+        timeLog(`Routing (${this.mode}): ${chosen} — ${decision.reason}`);
+        return decision;
+    }
+
+    // Most keyword hits from each personality's routing.keywords; ties and misses fall back to round-robin
+    routeByKeywords(manager, transcription) {
+        const scored = manager.getAllPersonalities()
+            .map(personality => ({ personality, score: countKeywordMatches(transcription, personality.routing.keywords) }))
+            .sort((a, b) => b.score - a.score);
+
+        if (scored.length === 0 || scored[0].score === 0) {
+            return { selections: [{ personality: manager.getNextPersonality() }], reason: 'no keyword matched; round-robin' };
+        }
+        if (scored.length > 1 && scored[1].score === scored[0].score) {
+            const tied = scored.filter(entry => entry.score === scored[0].score).map(entry => entry.personality);
+            const personality = manager.getNextPersonality(tied.map(p => p.id));
+            return { selections: [{ personality }], reason: `${scored[0].score} keyword(s) tied between ${tied.map(p => p.id).join(', ')}` };
+        }
+        return {
+            selections: [{ personality: scored[0].personality }],
+            reason: `${scored[0].score} keyword match(es)`
+        };
+    }
+
+    // Ask the LLM which personality fits best, given each personality's routing.description
+    async routeByClassifier(manager, transcription) {
+        const candidates = manager.getAllPersonalities();
+        const options = candidates
+            .map(personality => `- ${personality.id}: ${personality.routing.description || personality.name}`)
+            .join('\n');
+
+        const answer = await this.llmClient.chat([
+            {
+                role: 'system',
+                content: `You route a live conversation to the voice that should speak next. Choose exactly one of:\n${options}\n` +
+                    'Answer with the id, a colon and a short reason, e.g. "critic: the user is overconfident".'
+            },
+            { role: 'user', content: transcription }
+        ], { model: this.classifierModel, temperature: 0, maxTokens: 30 });
+
+        const [rawId, ...reasonParts] = answer.trim().split(':');
+        const personality = candidates.find(candidate => candidate.id === rawId.trim().toLowerCase());
+        if (!personality) {
+            throw new Error(`classifier answered "${answer.trim()}"`);
+        }
+        return {
+            selections: [{ personality }],
+            reason: `classifier: ${reasonParts.join(':').trim() || 'no reason given'}`
+        };
+    }
+
+    // Every active personality drafts a reply in parallel; a scorer ranks the drafts and the best ones are played
+    async routeByEnsemble(manager, transcription) {
+        const candidates = manager.getAllPersonalities();
+        const drafts = await Promise.all(candidates.map(async personality => {
+            try {
+                const response = await this.llmClient.chat(messagesWithUtterance(personality, transcription), personality.llm);
+                return { personality, response: response.trim() };
+            } catch (error) {
+                timeLog(`Ensemble draft from ${personality.id} failed`);
+                return null;
+            }
+        }));
+        const usable = drafts.filter(draft => draft && draft.response);
+        if (usable.length === 0) {
+            throw new Error('no ensemble drafts');
+        }
+
+        const ranked = await this.rankDrafts(transcription, usable);
+        const selections = ranked.slice(0, this.playCount);
+        return {
+            selections,
+            reason: `ensemble ranking ${ranked.map(draft => `${draft.personality.id}=${draft.score}`).join(' > ')}`
+        };
+    }
+
+    // Score drafts 1-10 with the LLM; if scoring fails, prefer drafts that share words with the utterance
+    async rankDrafts(transcription, drafts) {
+        try {
+            const list = drafts.map((draft, index) => `${index + 1}. (${draft.personality.id}) ${draft.response}`).join('\n');
+            const answer = await this.llmClient.chat([
+                {
+                    role: 'system',
+                    content: 'Rate how relevant and helpful each reply is to what the user just said, from 1 to 10. ' +
+                        'Answer with one line per reply in the form "<number>: <score>".'
+                },
+                { role: 'user', content: `User said: ${transcription}\n\nReplies:\n${list}` }
+            ], { model: this.classifierModel, temperature: 0, maxTokens: 40 });
+
+            const scores = {};
+            answer.split('\n').forEach(line => {
+                const match = /(\d+)\s*[:=-]\s*(\d+(?:\.\d+)?)/.exec(line);
+                if (match) {
+                    scores[Number(match[1]) - 1] = Number(match[2]);
+                }
+            });
+            if (Object.keys(scores).length === 0) {
+                throw new Error(`scorer answered "${answer.trim()}"`);
+            }
+            return drafts
+                .map((draft, index) => ({ ...draft, score: scores[index] ?? 0 }))
+                .sort((a, b) => b.score - a.score);
+        } catch (error) {
+            timeLog('Ensemble scorer failed, using word overlap');
+            const utteranceWords = new Set(transcription.toLowerCase().split(/\W+/).filter(Boolean));
+            return drafts
+                .map(draft => ({
+                    ...draft,
+                    score: draft.response.toLowerCase().split(/\W+/).filter(word => utteranceWords.has(word)).length
+                }))
+                .sort((a, b) => b.score - a.score);
+        }
+    }
+}
+
+module.exports = {
+    ROUTING_MODES,
+    PersonalityRouter,
+    countKeywordMatches
+};
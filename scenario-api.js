@@ -0,0 +1,61 @@
+const express = require('express');
+const { toMarkdown } = require('./reports');
+
+// Practice scenarios, mounted at /scenarios (read-only; edit the files in config/scenarios)
+function createScenarioRouter(registry) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json(registry.getAll());
+    });
+
+    router.get('/:id', (req, res) => {
+        const scenario = registry.get(req.params.id);
+        if (!scenario) {
+            return res.status(404).json({ error: `Unknown scenario: ${req.params.id}` });
+        }
+        res.json(scenario);
+    });
+
+    return router;
+}
+
+// Stored coaching reports, mounted at /reports behind the session middleware; each can be downloaded as JSON or
+// Markdown. Only the caller's own session's report is served: others answer 404 like missing ones.
+function createReportRouter(store) {
+    const router = express.Router();
+
+    const loadReport = async (req, res) => {
+        const report = await store.load(req.params.id);
+        if (!report || report.sessionId !== req.clientSession.id) {
+            res.status(404).json({ error: `Unknown report: ${req.params.id}` });
+            return null;
+        }
+        return report;
+    };
+
+    router.get('/:id', async (req, res) => {
+        const report = await loadReport(req, res);
+        if (!report) return;
+        res.json(report);
+    });
+
+    router.get('/:id/report.json', async (req, res) => {
+        const report = await loadReport(req, res);
+        if (!report) return;
+        res.attachment(`report-${report.id}.json`).type('application/json').send(JSON.stringify(report, null, 2) + '\n');
+    });
+
+    router.get('/:id/report.md', async (req, res) => {
+        const report = await loadReport(req, res);
+        if (!report) return;
+        res.attachment(`report-${report.id}.md`).type('text/markdown').send(toMarkdown(report));
+    });
+
+    return router;
+}
+
+module.exports = {
+    createScenarioRouter,
+    createReportRouter
+};
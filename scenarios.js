@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { timeLog } = require('./utils');
+
+const SCENARIO_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Check a scenario definition; returns a list of problems (empty when valid)
+function validateScenarioConfig(config) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+    if (!isObject(config)) {
+        return ['definition must be an object'];
+    }
+    if (typeof config.id !== 'string' || !SCENARIO_ID_PATTERN.test(config.id)) {
+        errors.push('id must be lowercase letters, digits, "-" or "_"');
+    }
+    if (!isText(config.name)) {
+        errors.push('name is required');
+    }
+    if (!isText(config.goal)) {
+        errors.push('goal is required');
+    }
+    ['description', 'context'].forEach(field => {
+        if (config[field] !== undefined && typeof config[field] !== 'string') {
+            errors.push(`${field} must be text`);
+        }
+    });
+    if (config.checkpoints !== undefined && (!Array.isArray(config.checkpoints) || !config.checkpoints.every(isText))) {
+        errors.push('checkpoints must be a list of phrases');
+    }
+    if (config.personalities !== undefined && (!isObject(config.personalities) || !Object.values(config.personalities).every(isText))) {
+        errors.push('personalities must map personality ids to prompt text');
+    }
+    return errors;
+}
+
+class ScenarioValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid scenario: ${errors.join('; ')}`);
+        this.name = 'ScenarioValidationError';
+        this.errors = errors;
+    }
+}
+
+// Practice scenarios (job interview, salary negotiation, ...) loaded from a directory of JSON/YAML files, one per file.
+// A scenario gives the user's goal, background context, checkpoints the coaching report checks off and optional
+// prompt overlays per personality.
+class ScenarioRegistry {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(__dirname, 'config', 'scenarios');
+        this.definitions = new Map();                  // id -> definition
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    // Read every definition file; invalid files are skipped with a log line
+    load() {
+        const definitions = new Map();
+        let files = [];
+        try {
+            files = fs.readdirSync(this.dir);
+        } catch (error) {
+            timeLog(`No scenarios loaded: ${error.message}`);
+        }
+        files
+            .filter(file => CONFIG_EXTENSIONS.includes(path.extname(file)))
+            .sort()
+            .forEach(file => {
+                try {
+                    const text = fs.readFileSync(path.join(this.dir, file), 'utf8');
+                    const raw = path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+                    const errors = validateScenarioConfig(raw);
+                    if (errors.length > 0) {
+                        throw new ScenarioValidationError(errors);
+                    }
+                    if (definitions.has(raw.id)) {
+                        throw new Error(`duplicate id ${raw.id}`);
+                    }
+                    definitions.set(raw.id, raw);
+                } catch (error) {
+                    timeLog(`Skipping scenario file ${file}: ${error.message}`);
+                }
+            });
+
+        this.definitions = definitions;
+        timeLog(`Loaded ${definitions.size} scenarios from ${this.dir}`);
+        return this;
+    }
+
+    // Reload when files in the directory change (debounced; editors write in bursts)
+    watch() {
+        if (!fs.existsSync(this.dir)) {
+            return this;
+        }
+        this.watcher = fs.watch(this.dir, () => {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.load(), 200);
+        });
+        this.watcher.unref();
+        return this;
+    }
+
+    get(id) {
+        return this.definitions.get(id) || null;
+    }
+
+    getAll() {
+        return [...this.definitions.values()];
+    }
+
+    // The scenario a session practises: {scenarioId} picks a definition, goal and context override its own
+    // (or stand alone for a goal of the user's choosing). Copied, so later edits to the file leave the session alone.
+    resolve({ scenarioId, goal, context } = {}) {
+        const errors = [];
+        const definition = scenarioId ? this.get(scenarioId) : null;
+        if (scenarioId && !definition) {
+            errors.push(`unknown scenario: ${scenarioId}`);
+        }
+        if (goal !== undefined && typeof goal !== 'string') {
+            errors.push('goal must be text');
+        }
+        if (context !== undefined && typeof context !== 'string') {
+            errors.push('context must be text');
+        }
+        if (!scenarioId && !(typeof goal === 'string' && goal.trim())) {
+            errors.push('scenarioId or goal is required');
+        }
+        if (errors.length > 0) {
+            throw new ScenarioValidationError(errors);
+        }
+
+        return {
+            id: definition ? definition.id : null,
+            name: definition ? definition.name : 'Custom goal',
+            goal: (goal && goal.trim()) || definition.goal.trim(),
+            context: (context !== undefined ? context : (definition && definition.context) || '').trim(),
+            checkpoints: definition ? [...(definition.checkpoints || [])] : [],
+            personalities: definition ? { ...definition.personalities } : {},
+            startedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = {
+    ScenarioRegistry,
+    ScenarioValidationError,
+    validateScenarioConfig
+};
@@ -0,0 +1,253 @@
+const { WebSocketServer } = require('ws');
+const { timeLog } = require('./utils');
+const { UtteranceTracker, reconcileFinal } = require('./partials');
+const { wavDurationMs } = require('./wav');
+const { SUPPORTED_FORMATS, detectAudioFormat } = require('./audio-formats');
+
+// Serve the session protocol (PROTOCOL.md) on /session; ?sessionId= resumes an existing session.
+// transcribeBuffer(buffer, format) -> text; submitReply(session, text, {channel, emit}) routes and queues the reply,
+// whose events are pushed to the socket whenever the personality gets to it.
+// partialMinWords is how many new words a partial transcript needs before an early reply (0 disables).
+// With a recorder, segments and their transcripts are saved for recorded sessions (?record=1 opts a session in).
+// Every segment is traced in telemetry; its traceId is the client's (from the segment or a preceding trace message)
+// and is echoed on all events for the segment, so the client can report its own timings against it.
+// onTranscriptionError(session, error, emit) is told about segments that could not be transcribed.
+function attachSessionSocket(server, { sessions, transcribeBuffer, submitReply, partialMinWords, recorder, telemetry, onTranscriptionError }) {
+    const wss = new WebSocketServer({ server, path: '/session' });
+
+    wss.on('connection', (socket, req) => {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const requestedId = params.get('sessionId');
+        const session = sessions.getOrCreate(requestedId);
+        session.connections++;
+        if (params.get('record') === '1') {
+            session.record = true;
+        }
+
+        let segmentCounter = 0;
+        let nextTraceId = null;                        // Announced by a trace message for the next binary segment
+        let nextPartialId = null;                      // Announced by an audio_partial without audio: the next binary frame is that window
+        let transcriptionChain = Promise.resolve(); // Keep transcriptions in the order they were spoken
+        const utterances = new UtteranceTracker({ minWords: partialMinWords });
+        timeLog(`Session ${session.id} connected`);
+
+        const send = (event) => {
+            if (socket.readyState === socket.OPEN) {
+                socket.send(JSON.stringify(event));
+            }
+        };
+
+        const submit = async (text, emit, traceId) => {
+            try {
+                return (await submitReply(session, text, { channel: socket, emit, traceId })).job;
+            } catch (error) {
+                timeLog('Session reply error');
+                console.error(error);
+                emit({ type: 'error', stage: 'response', message: error.message });
+                return null;
+            }
+        };
+
+        // Transcribe a segment, then stream a reply without holding up later segments.
+        // If partial windows of the same utterance were already answered, only the new words get a reply
+        // and the early history entries are corrected to the final wording.
+        // audio ({buffer, format}) is only needed for recording.
+        const handleSegment = (getTranscription, audio = null, traceId = null) => {
+            const segmentId = ++segmentCounter;
+            const utterance = utterances.close();
+            const recording = recorder && recorder.forSession(session);
+            const receivedAt = Date.now();
+            const trace = telemetry.startTrace({ id: traceId, kind: 'segment', sessionId: session.id, attributes: { segmentId } });
+
+            transcriptionChain = transcriptionChain.then(async () => {
+                let text;
+                const sttStart = Date.now();
+                const endStt = trace.span('stt');
+                try {
+                    text = await getTranscription();
+                    endStt();
+                } catch (error) {
+                    timeLog('Session transcription error');
+                    console.error(error);
+                    endStt({ error: error.message });
+                    send({ type: 'error', segmentId, traceId: trace.id, stage: 'transcription', message: error.message });
+                    if (onTranscriptionError) {
+                        onTranscriptionError(session, error, event => send({ ...event, segmentId, traceId: trace.id }));
+                    }
+                    return;
+                }
+
+                let replyText = text;
+                if (utterance && utterance.commits.length > 0) {
+                    const { revisions, remainder } = reconcileFinal(utterance, text || '');
+                    revisions.forEach(revision => {
+                        if (revision.finalText && revision.finalText !== revision.text) {
+                            session.transcript.revise(revision.text, revision.finalText);
+                        }
+                        const personality = session.personalities[revision.personalityId];
+                        if (personality && revision.finalText && revision.finalText !== revision.text) {
+                            personality.reviseHistory(revision.text, revision.finalText);
+                        }
+                    });
+                    replyText = remainder;
+                    timeLog(`Reconciled utterance ${utterance.id}: "${remainder}" not yet answered`);
+                }
+
+                send({ type: 'transcription', segmentId, traceId: trace.id, utteranceId: utterance?.id, text, remainder: replyText });
+                if (recording) {
+                    recording.record('transcription', {
+                        segmentId,
+                        utteranceId: utterance?.id,
+                        text,
+                        remainder: replyText,
+                        speechEndT: receivedAt - recording.startedAt,
+                        speechDurationMs: audio && audio.format === 'wav' ? wavDurationMs(audio.buffer) : null,
+                        timings: { sttMs: Date.now() - sttStart }
+                    }, audio && { buffer: audio.buffer, name: `user_${segmentId}.${audio.format}` });
+                }
+                if (!replyText || replyText.trim() === '') {
+                    return send({ type: 'response_done', segmentId, traceId: trace.id, text: '' });
+                }
+
+                submit(replyText, (event) => send({ ...event, segmentId, traceId: trace.id }), trace.id);
+            }).catch(error => {
+                // Keep the chain resolved, or every later segment on this socket would be dropped
+                timeLog('Session segment error');
+                console.error(error);
+                send({ type: 'error', segmentId, traceId: trace.id, stage: 'response', message: error.message });
+            });
+        };
+
+        // Transcribe a rolling window of the utterance so far; start an early reply once enough new words arrive.
+        // Only one window per utterance is transcribed at a time; newer windows replace any waiting one.
+        const handlePartial = async (utterance, audio, format) => {
+            if (utterance.transcribing) {
+                utterance.nextWindow = { audio, format };
+                return;
+            }
+
+            utterance.transcribing = true;
+            const trace = telemetry.startTrace({ kind: 'partial', sessionId: session.id, attributes: { utteranceId: utterance.id } });
+            try {
+                const endStt = trace.span('stt_partial');
+                const text = await transcribeBuffer(audio, format);
+                endStt();
+                if (utterance.closed) return;
+
+                utterance.partialText = text;
+                send({ type: 'partial_transcription', utteranceId: utterance.id, text });
+
+                const newText = utterances.uncommittedText(utterance, text);
+                if (utterances.shouldReplyEarly(newText)) {
+                    timeLog(`Early reply for utterance ${utterance.id}: "${newText}"`);
+                    // Record the commit before routing so a final segment arriving meanwhile still sees it
+                    const commit = { text: newText, personalityId: null };
+                    utterance.commits.push(commit);
+                    const job = await submit(newText,
+                        (event) => send({ ...event, utteranceId: utterance.id, traceId: trace.id, early: true }), trace.id);
+                    if (job) {
+                        commit.personalityId = job.personalityId;
+                    }
+                }
+            } catch (error) {
+                timeLog('Partial transcription error');
+                console.error(error);
+                send({ type: 'error', utteranceId: utterance.id, stage: 'partial_transcription', message: error.message });
+            } finally {
+                utterance.transcribing = false;
+            }
+
+            if (utterance.nextWindow && !utterance.closed) {
+                const next = utterance.nextWindow;
+                utterance.nextWindow = null;
+                handlePartial(utterance, next.audio, next.format);
+            }
+        };
+
+        socket.on('message', (data, isBinary) => {
+            session.touch();
+            // Binary frames carry one complete segment (or an announced partial window) in any supported format
+            if (isBinary) {
+                const buffer = Buffer.from(data);
+                const format = detectAudioFormat(buffer);
+                const partialId = nextPartialId;
+                const traceId = nextTraceId;
+                nextPartialId = null;
+                if (!format) {
+                    return send({ type: 'error', stage: 'protocol', message: `Unrecognized binary audio; use ${SUPPORTED_FORMATS.join(', ')}` });
+                }
+                if (partialId !== null) {
+                    const utterance = utterances.open(partialId);
+                    if (utterance) {
+                        handlePartial(utterance, buffer, format);
+                    }
+                    return;
+                }
+                nextTraceId = null;
+                return handleSegment(() => transcribeBuffer(buffer, format), { buffer, format }, traceId);
+            }
+
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return send({ type: 'error', stage: 'protocol', message: 'Messages must be JSON or binary audio' });
+            }
+
+            switch (message.type) {
+                case 'audio_segment': {
+                    const format = message.format || 'wav';
+                    if (!SUPPORTED_FORMATS.includes(format) || !message.audio) {
+                        return send({ type: 'error', stage: 'protocol', message: `Invalid audio_segment (format: ${format})` });
+                    }
+                    const buffer = Buffer.from(message.audio, 'base64');
+                    return handleSegment(() => transcribeBuffer(buffer, format), { buffer, format }, message.traceId);
+                }
+                case 'audio_partial': {
+                    const format = message.format || 'wav';
+                    if (!Number.isInteger(message.utteranceId)) {
+                        return send({ type: 'error', stage: 'protocol', message: 'Invalid audio_partial' });
+                    }
+                    if (!message.audio) {
+                        nextPartialId = message.utteranceId;
+                        return;
+                    }
+                    if (!SUPPORTED_FORMATS.includes(format)) {
+                        return send({ type: 'error', stage: 'protocol', message: 'Invalid audio_partial' });
+                    }
+                    const utterance = utterances.open(message.utteranceId);
+                    if (utterance) {
+                        handlePartial(utterance, Buffer.from(message.audio, 'base64'), format);
+                    }
+                    return;
+                }
+                case 'text':
+                    return handleSegment(async () => message.text || '', null, message.traceId);
+                case 'trace':
+                    nextTraceId = typeof message.traceId === 'string' ? message.traceId : null;
+                    return;
+                case 'client_metrics':
+                    telemetry.recordClientStages(message.traceId, message.stages);
+                    return;
+                case 'ping':
+                    return send({ type: 'pong' });
+                default:
+                    send({ type: 'error', stage: 'protocol', message: `Unknown message type: ${message.type}` });
+            }
+        });
+
+        socket.on('close', () => {
+            session.connections--;
+            session.touch();
+            timeLog(`Session ${session.id} disconnected`);
+        });
+
+        send({ type: 'session_ready', protocol: 1, sessionId: session.id, resumed: session.id === requestedId });
+    });
+
+    return wss;
+}
+
+module.exports = {
+    attachSessionSocket
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { Personality } = require('./personalities');
+const { SharedTranscript } = require('./memory');
+const { timeLog } = require('./utils');
+
+// Every personality was deleted or deactivated, so nobody can answer (answered with 503)
+class NoActivePersonalityError extends Error {
+    constructor() {
+        super('No active personality to answer; activate one under /personalities');
+        this.name = 'NoActivePersonalityError';
+    }
+}
+
+// Per-session personality manager: rotation and selection over the session's own Personality instances
+class PersonalityManager {
+    constructor(personalities, mode = 'single', activePersonalities = Object.keys(personalities)) {
+        this.personalities = personalities;
+        this.mode = mode;
+        // Tracked personalities
+        this.activePersonalities = activePersonalities;
+        this.currentPersonalityIndex = 0;
+        this.currentPersonality = null;
+    }
+
+    setPersonality(personalityId) {
+        this.currentPersonality = this.personalities[personalityId];
+    }
+
+    // Get the next personality to respond (round-robin style), optionally only among the given ids
+    getNextPersonality(amongIds) {
+        for (let i = 0; i < this.activePersonalities.length; i++) {
+            const personalityId = this.activePersonalities[this.currentPersonalityIndex];
+            this.currentPersonalityIndex = (this.currentPersonalityIndex + 1) % this.activePersonalities.length;
+            if (!amongIds || amongIds.includes(personalityId)) {
+                return this.personalities[personalityId];
+            }
+        }
+        // Nothing active to rotate through: the first of the given ids, or null without any
+        return amongIds && amongIds.length > 0 ? this.getPersonality(amongIds[0]) : null;
+    }
+
+    // Choose a specific personality, or the default one for an unknown id
+    getPersonality(id) {
+        return this.personalities[id] || this.getDefaultPersonality();
+    }
+
+    // The advisor if it is active, else the first active personality; null when none is active.
+    // this.personalities also holds deactivated personalities, so the default only comes from activePersonalities.
+    getDefaultPersonality() {
+        const id = this.activePersonalities.includes('advisor') ? 'advisor' : this.activePersonalities[0];
+        return id ? this.personalities[id] || null : null;
+    }
+
+    // Follow a registry reload: keep the rotation in range and drop a removed current personality
+    setActivePersonalities(ids) {
+        this.activePersonalities = ids;
+        this.currentPersonalityIndex = ids.length > 0 ? this.currentPersonalityIndex % ids.length : 0;
+        if (this.currentPersonality && !this.personalities[this.currentPersonality.id]) {
+            this.currentPersonality = null;
+        }
+    }
+
+    // Get all personalities
+    getAllPersonalities() {
+        return this.activePersonalities.map(id => this.personalities[id]);
+    }
+
+    // Choose the personality that answers next based on PERSONALITY_MODE
+    selectPersonality() {
+        if (this.activePersonalities.length === 0) {
+            return null;
+        }
+        if (this.mode === 'multiple') {
+            return this.getNextPersonality();
+        }
+        // If not multiple, use the current personality while it is active, or the default one
+        const current = this.currentPersonality;
+        return current && this.activePersonalities.includes(current.id) ? current : this.getDefaultPersonality();
+    }
+}
+
+// Everything one client owns: personalities with their histories, rotation state and last audio
+class Session {
+    constructor(config) {
+        this.id = config.id;
+        this.personalities = {};
+        this.transcript = new SharedTranscript();     // What the user and every personality said, in order
+        this.scenario = null;                          // Practice scenario with the user's goal; set with setScenario
+        this.reportedTurn = null;                      // turnCount when the last coaching report was made
+        this.summarizer = config.summarizer;
+        this.manager = new PersonalityManager(this.personalities, config.personalityMode, []);
+        this.syncPersonalities(config.registry);
+        this.lastGeneratedAudio = config.initialAudio;
+        this.turnCount = 0;                            // User turns submitted for a reply; jobs record the one they answer
+        this.connections = 0;                          // Open WebSockets; connected sessions never expire
+        this.createdAt = Date.now();
+        this.lastActive = Date.now();
+    }
+
+    touch() {
+        this.lastActive = Date.now();
+    }
+
+    // Practise a scenario (from ScenarioRegistry.resolve) from the next reply on; null goes back to free conversation
+    setScenario(scenario) {
+        this.scenario = scenario;
+        Object.values(this.personalities).forEach(personality => { personality.scenario = scenario; });
+    }
+
+    // Match the registry: add new personalities, update edited ones in place (keeping history), drop removed ones
+    syncPersonalities(registry) {
+        const configs = registry.getConfigs();
+        const ids = new Set(configs.map(config => config.id));
+
+        configs.forEach(config => {
+            if (this.personalities[config.id]) {
+                this.personalities[config.id].applyConfig(config);
+            } else {
+                this.personalities[config.id] = new Personality(config, {
+                    summarizer: this.summarizer,
+                    sharedTranscript: this.transcript,
+                    scenario: this.scenario
+                });
+            }
+        });
+        Object.keys(this.personalities)
+            .filter(id => !ids.has(id))
+            .forEach(id => delete this.personalities[id]);
+
+        this.manager.setActivePersonalities(registry.getActiveIds());
+    }
+}
+
+// Issues session ids and expires sessions that have been idle for too long
+class SessionStore {
+    constructor(config = {}) {
+        this.sessions = new Map();
+        this.registry = config.registry;
+        this.personalityMode = config.personalityMode || 'single';
+        this.initialAudio = config.initialAudio;
+        this.summarizer = config.summarizer;         // Condenses evicted history turns; extractive fallback when unset
+        this.idleTimeoutMs = config.idleTimeoutMs || 30 * 60 * 1000;
+        this.onExpire = config.onExpire || null;       // Called with each session that expired
+
+        this.sweepTimer = setInterval(() => this.expireIdle(), config.sweepIntervalMs || 60 * 1000);
+        this.sweepTimer.unref();
+
+        // Hot reload: edited personality files apply to every live session
+        this.registry.on('change', () => {
+            this.sessions.forEach(session => session.syncPersonalities(this.registry));
+        });
+    }
+
+    create() {
+        const session = new Session({
+            id: crypto.randomUUID(),
+            registry: this.registry,
+            personalityMode: this.personalityMode,
+            initialAudio: this.initialAudio,
+            summarizer: this.summarizer
+        });
+        this.sessions.set(session.id, session);
+        timeLog(`Created session ${session.id}`);
+        return session;
+    }
+
+    get(sessionId) {
+        const session = sessionId && this.sessions.get(sessionId);
+        if (session) {
+            session.touch();
+        }
+        return session || null;
+    }
+
+    // Resume the given session if it still exists, otherwise start a new one
+    getOrCreate(sessionId) {
+        return this.get(sessionId) || this.create();
+    }
+
+    // Audio files that some session may still serve from /last-audio
+    getLastAudioFiles() {
+        return new Set([...this.sessions.values()].map(session => session.lastGeneratedAudio));
+    }
+
+    expireIdle(now = Date.now()) {
+        for (const [id, session] of this.sessions) {
+            if (session.connections === 0 && now - session.lastActive > this.idleTimeoutMs) {
+                this.sessions.delete(id);
+                timeLog(`Expired idle session ${id}`);
+                if (this.onExpire) {
+                    this.onExpire(session);
+                }
+            }
+        }
+    }
+}
+
+module.exports = {
+    NoActivePersonalityError,
+    PersonalityManager,
+    Session,
+    SessionStore
+};
@@ -0,0 +1,70 @@
+const express = require('express');
+const { SettingsValidationError, SETTINGS_SCHEMA, USER_ID_PATTERN } = require('./settings');
+const { timeLog } = require('./utils');
+
+// REST API over per-user client settings, mounted at /settings. The user is identified by the
+// X-User-Id header (or ?userId=), a stable id the browser keeps in localStorage.
+function createSettingsRouter(store) {
+    const router = express.Router();
+
+    const getUserId = (req, res) => {
+        const userId = req.get('X-User-Id') || req.query.userId;
+        if (!userId || !USER_ID_PATTERN.test(userId)) {
+            res.status(400).json({ error: 'X-User-Id must be 1-64 letters, digits, "_" or "-"' });
+            return null;
+        }
+        return userId;
+    };
+
+    const sendError = (res, error) => {
+        if (error instanceof SettingsValidationError) {
+            return res.status(400).json({ error: error.message, details: error.errors });
+        }
+        timeLog('Error in settings API');
+        console.error(error);
+        res.status(500).json({ error: error.message });
+    };
+
+    // Field types, ranges and defaults, for building a settings form
+    router.get('/schema', (req, res) => {
+        res.json(SETTINGS_SCHEMA);
+    });
+
+    // The user's effective settings; the defaults without a user id
+    router.get('/', async (req, res) => {
+        const userId = req.get('X-User-Id') || req.query.userId;
+        try {
+            res.json(await store.get(userId && USER_ID_PATTERN.test(userId) ? userId : null));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Partial update: {vad: {positiveSpeechThreshold: 0.6}}; responds with the effective settings
+    router.put('/', async (req, res) => {
+        const userId = getUserId(req, res);
+        if (!userId) return;
+        try {
+            res.json(await store.update(userId, req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Back to the defaults
+    router.delete('/', async (req, res) => {
+        const userId = getUserId(req, res);
+        if (!userId) return;
+        try {
+            res.json(await store.reset(userId));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createSettingsRouter
+};
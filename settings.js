@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { timeLog } = require('./utils');
+
+const USER_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Client behaviour the browser applies at runtime. Every user starts from these and overrides single fields.
+const SETTINGS_SCHEMA = {
+    vad: {
+        positiveSpeechThreshold: { type: 'number', min: 0, max: 1, default: 0.5 },   // Probability that starts speech
+        negativeSpeechThreshold: { type: 'number', min: 0, max: 1, default: 0.35 },  // Probability that ends it
+        minSpeechFrames: { type: 'integer', min: 0, max: 50, default: 3 },           // Shorter segments are dropped
+        redemptionFrames: { type: 'integer', min: 0, max: 100, default: 8 },         // Quiet frames before speech ends
+        preSpeechPadFrames: { type: 'integer', min: 0, max: 50, default: 1 },        // Frames kept from before speech started
+        model: { type: 'enum', values: ['v5', 'legacy'], default: 'v5' }
+    },
+    playback: {
+        policy: { type: 'enum', values: ['during_speech', 'always', 'after_speech'], default: 'during_speech' },
+        queueOrder: { type: 'enum', values: ['arrival', 'newest_reply'], default: 'arrival' },
+        volume: { type: 'number', min: 0, max: 1, default: 1 },
+        fadeMs: { type: 'integer', min: 0, max: 1000, default: 30 },
+        staleAfterMs: { type: 'integer', min: 0, max: 300000, default: 30000 },   // Queued replies older than this are dropped (0: never)
+        staleAfterTurns: { type: 'integer', min: 0, max: 20, default: 2 }          // ... or once this many newer turns exist (0: never)
+    }
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([section, fields]) =>
+    [section, Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, field.default]))]));
+
+class SettingsValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid settings: ${errors.join('; ')}`);
+        this.name = 'SettingsValidationError';
+        this.errors = errors;
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Errors in a partial update ({vad: {...}, playback: {...}}); unknown sections and fields are errors too
+function validateSettingsUpdate(update) {
+    if (!isObject(update)) {
+        return ['settings must be an object'];
+    }
+
+    const errors = [];
+    Object.entries(update).forEach(([section, values]) => {
+        const fields = SETTINGS_SCHEMA[section];
+        if (!fields) {
+            return errors.push(`unknown section: ${section}`);
+        }
+        if (!isObject(values)) {
+            return errors.push(`${section} must be an object`);
+        }
+        Object.entries(values).forEach(([key, value]) => {
+            const field = fields[key];
+            const name = `${section}.${key}`;
+            if (!field) {
+                errors.push(`unknown setting: ${name}`);
+            } else if (field.type === 'enum' && !field.values.includes(value)) {
+                errors.push(`${name} must be one of ${field.values.join(', ')}`);
+            } else if (field.type !== 'enum' && (!Number.isFinite(value) || value < field.min || value > field.max)) {
+                errors.push(`${name} must be a number from ${field.min} to ${field.max}`);
+            } else if (field.type === 'integer' && !Number.isInteger(value)) {
+                errors.push(`${name} must be a whole number`);
+            }
+        });
+    });
+    return errors;
+}
+
+function mergeSettings(base, update = {}) {
+    return Object.fromEntries(Object.keys(SETTINGS_SCHEMA).map(section =>
+        [section, { ...base[section], ...update[section] }]));
+}
+
+// Per-user settings, one JSON file per user id holding only the fields that differ from the defaults
+class SettingsStore {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(__dirname, 'settings');
+        this.overrides = new Map();                    // userId -> stored overrides
+    }
+
+    async loadOverrides(userId) {
+        if (!this.overrides.has(userId)) {
+            let stored = {};
+            try {
+                stored = JSON.parse(await fs.promises.readFile(this.fileFor(userId), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    timeLog(`Ignoring unreadable settings for ${userId}`);
+                    console.error(error.message);
+                }
+            }
+            if (!isObject(stored)) {
+                timeLog(`Ignoring settings for ${userId}: not an object`);
+                stored = {};
+            }
+            // Fields dropped from the schema since the file was written are ignored, and so are hand-edited
+            // sections that are not objects
+            const valid = Object.fromEntries(Object.entries(stored)
+                .filter(([section, values]) => {
+                    if (SETTINGS_SCHEMA[section] && !isObject(values)) {
+                        timeLog(`Ignoring settings section ${section} for ${userId}: not an object`);
+                    }
+                    return SETTINGS_SCHEMA[section] && isObject(values);
+                })
+                .map(([section, values]) => [section, Object.fromEntries(Object.entries(values)
+                    .filter(([key, value]) => validateSettingsUpdate({ [section]: { [key]: value } }).length === 0))]));
+            this.overrides.set(userId, valid);
+        }
+        return this.overrides.get(userId);
+    }
+
+    fileFor(userId) {
+        return path.join(this.dir, `${userId}.json`);
+    }
+
+    // Defaults with the user's overrides; defaults alone without a user id
+    async get(userId) {
+        if (!userId) {
+            return mergeSettings(DEFAULT_SETTINGS);
+        }
+        return mergeSettings(DEFAULT_SETTINGS, await this.loadOverrides(userId));
+    }
+
+    async update(userId, update) {
+        const errors = validateSettingsUpdate(update);
+        if (errors.length > 0) {
+            throw new SettingsValidationError(errors);
+        }
+        const overrides = mergeSettings(await this.loadOverrides(userId), update);
+        const merged = mergeSettings(DEFAULT_SETTINGS, overrides);
+        if (merged.vad.negativeSpeechThreshold > merged.vad.positiveSpeechThreshold) {
+            throw new SettingsValidationError(['vad.negativeSpeechThreshold must not exceed vad.positiveSpeechThreshold']);
+        }
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(this.fileFor(userId), JSON.stringify(overrides, null, 2) + '\n');
+        this.overrides.set(userId, overrides);
+        return merged;
+    }
+
+    async reset(userId) {
+        this.overrides.delete(userId);
+        await fs.promises.rm(this.fileFor(userId), { force: true });
+        return mergeSettings(DEFAULT_SETTINGS);
+    }
+}
+
+module.exports = {
+    SettingsStore,
+    SettingsValidationError,
+    SETTINGS_SCHEMA,
+    DEFAULT_SETTINGS,
+    USER_ID_PATTERN,
+    validateSettingsUpdate
+};
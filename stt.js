@@ -0,0 +1,116 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+const { timeLog } = require('./utils');
+const { AUDIO_FORMATS, SUPPORTED_FORMATS } = require('./audio-formats');
+
+// Providers transcribe in-memory audio: transcribe({buffer, format, name?}, {signal}) -> text.
+// formats lists what they accept and sampleRate the WAV rate they need, if any; app.js converts the rest.
+
+// Speech-to-text provider for the hosted OpenAI Whisper API
+class OpenAITranscriber {
+    constructor(config = {}) {
+        this.name = 'openai';
+        this.baseUrl = config.baseUrl || 'https://api.openai.com/v1';
+        this.model = config.model || 'whisper-1';
+        this.apiKey = config.apiKey;
+        this.language = config.language;
+        this.formats = config.formats || SUPPORTED_FORMATS;
+        this.sampleRate = config.sampleRate || null;
+    }
+
+    async transcribe(audio, options = {}) {
+        // Sent straight from memory; the file name tells the server the format
+        const formData = new FormData();
+        formData.append('file', audio.buffer, {
+            filename: `audio.${audio.format}`,
+            contentType: AUDIO_FORMATS[audio.format].contentType
+        });
+        formData.append('model', this.model);
+        if (this.language) {
+            formData.append('language', this.language);
+        }
+
+        const headers = formData.getHeaders();
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/audio/transcriptions`, formData, { headers, signal: options.signal });
+        return response.data.text;
+    }
+}
+
+// Any server exposing the OpenAI transcription route (whisper.cpp, faster-whisper, ...).
+// whisper.cpp's server only reads 16 kHz WAV unless started with --convert, so that is the default.
+class LocalWhisperTranscriber extends OpenAITranscriber {
+    constructor(config = {}) {
+        super({
+            ...config,
+            baseUrl: config.baseUrl || 'http://127.0.0.1:8080/v1',
+            model: config.model || 'whisper-1',
+            formats: config.formats || ['wav'],
+            sampleRate: config.sampleRate || 16000
+        });
+        this.name = 'local';
+    }
+}
+
+// Deterministic provider for tests: looks up the audio hash (or the uploaded file name) in a fixture map
+class FixtureTranscriber {
+    constructor(config = {}) {
+        this.name = 'fixture';
+        this.formats = SUPPORTED_FORMATS;
+        this.defaultText = config.defaultText ?? 'Hello there';
+        this.fixtures = config.fixtures || {};
+        if (config.fixturesFile) {
+            this.fixtures = {
+                ...this.fixtures,
+                ...JSON.parse(fs.readFileSync(config.fixturesFile, 'utf8'))
+            };
+        }
+    }
+
+    async transcribe(audio) {
+        const hash = crypto.createHash('sha1').update(audio.buffer).digest('hex');
+        const byName = audio.name ? this.fixtures[audio.name] : undefined;
+        return this.fixtures[hash] ?? byName ?? this.defaultText;
+    }
+}
+
+const STT_PROVIDERS = {
+    openai: OpenAITranscriber,
+    local: LocalWhisperTranscriber,
+    fixture: FixtureTranscriber
+};
+
+// Build the STT provider selected by STT_PROVIDER (defaults to openai)
+function createSttProvider(env = process.env) {
+    const providerName = (env.STT_PROVIDER || 'openai').toLowerCase();
+    const Provider = STT_PROVIDERS[providerName];
+    if (!Provider) {
+        throw new Error(`Unknown STT provider: ${providerName}`);
+    }
+
+    const provider = new Provider({
+        baseUrl: env.STT_BASE_URL,
+        model: env.STT_MODEL,
+        apiKey: env.STT_API_KEY || (providerName === 'openai' ? env.OPENAI_API_KEY : undefined),
+        language: env.STT_LANGUAGE,
+        defaultText: env.STT_FIXTURE_TEXT,
+        fixturesFile: env.STT_FIXTURES_FILE,
+        formats: env.STT_FORMATS ? env.STT_FORMATS.split(',').map(format => format.trim().toLowerCase()) : undefined,
+        sampleRate: Number(env.STT_SAMPLE_RATE) || undefined
+    });
+    timeLog(`Using STT provider: ${provider.name}`);
+    return provider;
+}
+
+module.exports = {
+    OpenAITranscriber,
+    LocalWhisperTranscriber,
+    FixtureTranscriber,
+    STT_PROVIDERS,
+    createSttProvider
+};
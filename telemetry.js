@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { timeLog } = require('./utils');
+
+// Histogram buckets in milliseconds
+const DEFAULT_BUCKETS = [25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+// Stages the browser may report for a trace (POST /metrics/client or a client_metrics message)
+const CLIENT_STAGES = ['client_encode', 'client_time_to_first_audio', 'client_playback_start'];
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+class Histogram {
+    constructor(buckets = DEFAULT_BUCKETS) {
+        this.buckets = buckets;
+        this.counts = new Array(buckets.length).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        this.sum += value;
+        this.count++;
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                this.counts[index]++;
+            }
+        });
+    }
+}
+
+// One request or utterance as it moves through the pipeline. Spans are stage durations; start is
+// milliseconds since the trace began. Stages can be recorded after the trace is created, even by the client.
+class Trace {
+    constructor(telemetry, { id, kind, sessionId, attributes = {} }) {
+        this.telemetry = telemetry;
+        this.id = id;
+        this.kind = kind;                              // 'http' or 'segment'
+        this.sessionId = sessionId || null;
+        this.startedAt = Date.now();
+        this.attributes = attributes;
+        this.spans = [];                               // [{stage, start, durationMs, ...attributes}]
+    }
+
+    // Time a stage: returns a function that ends it
+    span(stage, attributes = {}) {
+        const start = Date.now();
+        return (endAttributes = {}) => this.record(stage, Date.now() - start, { ...attributes, ...endAttributes }, start);
+    }
+
+    record(stage, durationMs, attributes = {}, start = Date.now() - durationMs) {
+        this.spans.push({ stage, start: start - this.startedAt, durationMs, ...attributes });
+        this.telemetry.observe(stage, durationMs, attributes.route);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            kind: this.kind,
+            sessionId: this.sessionId,
+            startedAt: new Date(this.startedAt).toISOString(),
+            attributes: this.attributes,
+            spans: this.spans
+        };
+    }
+}
+
+// Stage timings as Prometheus histograms plus the most recent traces for inspection.
+// Other modules can add gauges and counters with addCollector(() => [{name, help, type, value, labels}]).
+class Telemetry {
+    constructor(config = {}) {
+        this.prefix = config.prefix || 'twys';
+        this.maxTraces = config.maxTraces || 200;
+        this.traces = new Map();                       // id -> Trace, oldest first
+        this.histograms = new Map();                   // "stage route" -> {stage, route, histogram}
+        this.ignorePaths = config.ignorePaths || [];   // Exact request paths that get no trace (e.g. /metrics itself)
+        this.collectors = [];
+    }
+
+    static newId() {
+        return crypto.randomUUID();
+    }
+
+    // Use the caller's correlation id when it looks sane, otherwise issue one
+    startTrace({ id, kind, sessionId, attributes }) {
+        const traceId = id && ID_PATTERN.test(id) && !this.traces.has(id) ? id : Telemetry.newId();
+        const trace = new Trace(this, { id: traceId, kind, sessionId, attributes });
+        this.traces.set(traceId, trace);
+        if (this.traces.size > this.maxTraces) {
+            this.traces.delete(this.traces.keys().next().value);
+        }
+        return trace;
+    }
+
+    getTrace(id) {
+        return (id && this.traces.get(id)) || null;
+    }
+
+    // Record one stage on several traces (a batched reply answers more than one utterance) but count it once
+    recordAll(traceIds, stage, durationMs, attributes = {}) {
+        const traces = traceIds.map(id => this.getTrace(id)).filter(Boolean);
+        if (traces.length === 0) {
+            this.observe(stage, durationMs);
+            return;
+        }
+        traces.forEach((trace, index) => {
+            trace.spans.push({ stage, start: Date.now() - durationMs - trace.startedAt, durationMs, ...attributes });
+            if (index === 0) {
+                this.observe(stage, durationMs);
+            }
+        });
+    }
+
+    // Stages measured in the browser; unknown stages and implausible values are ignored
+    recordClientStages(traceId, stages = {}) {
+        const trace = this.getTrace(traceId);
+        const accepted = Object.entries(stages)
+            .filter(([stage, value]) => CLIENT_STAGES.includes(stage) && Number.isFinite(value) && value >= 0 && value < 10 * 60 * 1000);
+        accepted.forEach(([stage, value]) => {
+            if (trace) {
+                trace.record(stage, value, { source: 'client' });
+            } else {
+                this.observe(stage, value);
+            }
+        });
+        return accepted.length;
+    }
+
+    // route labels HTTP request durations by matched route (/jobs/:id, not /jobs/1234)
+    observe(stage, durationMs, route = null) {
+        const key = route ? `${stage} ${route}` : stage;
+        if (!this.histograms.has(key)) {
+            this.histograms.set(key, { stage, route, histogram: new Histogram() });
+        }
+        this.histograms.get(key).histogram.observe(durationMs);
+    }
+
+    addCollector(collect) {
+        this.collectors.push(collect);
+    }
+
+    recentTraces({ limit = 50, sessionId } = {}) {
+        return [...this.traces.values()]
+            .filter(trace => !sessionId || trace.sessionId === sessionId)
+            .slice(-limit)
+            .reverse()
+            .map(trace => trace.toJSON());
+    }
+
+    // Prometheus text exposition format
+    renderMetrics() {
+        const name = `${this.prefix}_stage_duration_ms`;
+        const lines = [
+            `# HELP ${name} Duration of each pipeline stage in milliseconds`,
+            `# TYPE ${name} histogram`
+        ];
+        [...this.histograms.keys()].sort().forEach(key => {
+            const { stage, route, histogram } = this.histograms.get(key);
+            const labels = `stage="${stage}"${route ? `,route="${route}"` : ''}`;
+            histogram.buckets.forEach((bound, index) => {
+                lines.push(`${name}_bucket{${labels},le="${bound}"} ${histogram.counts[index]}`);
+            });
+            lines.push(`${name}_bucket{${labels},le="+Inf"} ${histogram.count}`);
+            lines.push(`${name}_sum{${labels}} ${histogram.sum}`);
+            lines.push(`${name}_count{${labels}} ${histogram.count}`);
+        });
+
+        const described = new Set();
+        this.collectors.forEach(collect => {
+            let samples;
+            try {
+                samples = collect();
+            } catch (error) {
+                timeLog('Metrics collector failed');
+                console.error(error);
+                return;
+            }
+            samples.forEach(sample => {
+                const metric = `${this.prefix}_${sample.name}`;
+                if (!described.has(metric)) {
+                    described.add(metric);
+                    lines.push(`# HELP ${metric} ${sample.help}`, `# TYPE ${metric} ${sample.type || 'gauge'}`);
+                }
+                const labels = Object.entries(sample.labels || {}).map(([key, value]) => `${key}="${value}"`).join(',');
+                lines.push(`${metric}${labels ? `{${labels}}` : ''} ${sample.value}`);
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // Express middleware: one trace per request, correlated by the X-Request-Id header
+    middleware() {
+        return (req, res, next) => {
+            // Exact paths: ignoring /metrics must not hide POST /metrics/client
+            if (this.ignorePaths.includes(req.path)) {
+                return next();
+            }
+            const trace = this.startTrace({
+                id: req.get('X-Request-Id'),
+                kind: 'http',
+                attributes: { method: req.method, path: req.path }
+            });
+            req.trace = trace;
+            res.set('X-Request-Id', trace.id);
+            const endRequest = trace.span('http_request');
+            res.on('finish', () => {
+                trace.sessionId = trace.sessionId || req.clientSession?.id || null;
+                const route = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} unmatched`;
+                endRequest({ status: res.statusCode, route });
+            });
+            next();
+        };
+    }
+}
+
+module.exports = {
+    Telemetry,
+    Histogram,
+    CLIENT_STAGES
+};
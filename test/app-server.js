@@ -0,0 +1,66 @@
+// Runs app.js in a child process on a free port, so every suite gets a fresh server with its own environment
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Resolves with {baseUrl, request, stop} once the server logs its address
+function startApp(env, { startTimeoutMs = 15000 } = {}) {
+    const child = spawn(process.execPath, ['app.js'], {
+        cwd: ROOT_DIR,
+        env: { ...process.env, ...env, PORT: '0' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`app.js did not start within ${startTimeoutMs}ms:\n${output}`));
+        }, startTimeoutMs);
+
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/Backend running at (http:\/\/\S+)/);
+            if (!match) return;
+            clearTimeout(timer);
+            const baseUrl = match[1];
+            resolve({
+                baseUrl,
+                get output() { return output; },
+                // fetch against the server; plain object bodies are sent as JSON, Buffers and FormData as they are.
+                // sessionId goes in X-Session-Id
+                request(route, { method = 'GET', body, sessionId, headers = {} } = {}) {
+                    const raw = Buffer.isBuffer(body) || body instanceof FormData;
+                    return fetch(new URL(route, baseUrl), {
+                        method,
+                        headers: {
+                            ...(body !== undefined && !raw && { 'Content-Type': 'application/json' }),
+                            ...(sessionId && { 'X-Session-Id': sessionId }),
+                            ...headers
+                        },
+                        body: body === undefined || raw ? body : JSON.stringify(body)
+                    });
+                },
+                stop() {
+                    if (child.exitCode !== null) {
+                        return Promise.resolve();
+                    }
+                    return new Promise(done => {
+                        child.once('exit', () => done());
+                        child.kill();
+                    });
+                }
+            });
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`app.js exited with ${code} before starting:\n${output}`));
+        });
+    });
+}
+
+module.exports = {
+    startApp
+};
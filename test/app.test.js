@@ -0,0 +1,519 @@
+// Integration tests: app.js in a child process against the local Whisper, Ollama and ElevenLabs stand-ins
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startMockServices } = require('./mock-services');
+const { startApp } = require('./app-server');
+const { encodeWav } = require('../wav');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A new server session; its id comes back on any session route
+async function newSession(app) {
+    const response = await app.request('/last-audio');
+    return response.headers.get('X-Session-Id');
+}
+
+async function waitForJob(app, sessionId, jobId, { timeoutMs = 5000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const job = await (await app.request(`/jobs/${jobId}`, { sessionId })).json();
+        if (['done', 'failed', 'cancelled'].includes(job.state)) {
+            return job;
+        }
+        await delay(50);
+    }
+    throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+async function waitUntil(condition, { timeoutMs = 5000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Condition not met within ${timeoutMs}ms`);
+        }
+        await delay(20);
+    }
+}
+
+// Newline-delimited events of a streamed response: find(predicate) waits for the next matching one,
+// rest() collects the remaining ones once the stream ends
+function readEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const buffered = [];
+    let text = '';
+    let ended = false;
+
+    const next = async () => {
+        while (buffered.length === 0 && !ended) {
+            const { value, done } = await reader.read();
+            ended = done;
+            text += decoder.decode(value || new Uint8Array(), { stream: !done });
+            const lines = text.split('\n');
+            text = lines.pop();
+            buffered.push(...lines.filter(Boolean).map(line => JSON.parse(line)));
+        }
+        return buffered.shift();
+    };
+
+    return {
+        async find(predicate) {
+            for (let event = await next(); event; event = await next()) {
+                if (predicate(event)) return event;
+            }
+            throw new Error('Stream ended without a matching event');
+        },
+        async rest() {
+            const events = [];
+            for (let event = await next(); event; event = await next()) {
+                events.push(event);
+            }
+            return events;
+        }
+    };
+}
+
+describe('single personality mode', () => {
+    let mocks;
+    let app;
+
+    before(async () => {
+        mocks = await startMockServices();
+        app = await startApp({ ...mocks.env, PERSONALITY_MODE: 'single' });
+    });
+
+    after(async () => {
+        await app?.stop();
+        await mocks?.close();
+    });
+
+    beforeEach(() => mocks.reset());
+
+    describe('POST /transcribe', () => {
+        it('sends the audio to the transcription service and returns its text', async () => {
+            const wav = encodeWav([new Float32Array(1600)], 16000);
+            mocks.whisper.text = 'Should I ask for a raise';
+
+            const response = await app.request('/transcribe', { method: 'POST', body: { audio: wav.toString('base64') } });
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(await response.json(), { transcription: 'Should I ask for a raise' });
+            assert.equal(mocks.whisper.requests.length, 1);
+            const [request] = mocks.whisper.requests;
+            assert.equal(request.headers.authorization, 'Bearer test-openai-key');
+            assert.equal(request.body.model, 'whisper-1');
+            assert.deepEqual(request.file.buffer, wav);
+        });
+
+        it('passes multipart uploads in formats the service accepts straight through', async () => {
+            const webm = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.from('opus frames here')]);
+            const form = new FormData();
+            form.append('audio', new Blob([webm], { type: 'audio/webm;codecs=opus' }), 'question.webm');
+
+            const response = await app.request('/transcribe', { method: 'POST', body: form });
+
+            assert.equal(response.status, 200);
+            const [request] = mocks.whisper.requests;
+            assert.equal(request.file.originalname, 'audio.webm');
+            assert.equal(request.file.mimetype, 'audio/webm');
+            assert.deepEqual(request.file.buffer, webm);
+        });
+
+        it('accepts a raw audio body and rejects formats it does not know', async () => {
+            const flac = Buffer.concat([Buffer.from('fLaC'), Buffer.alloc(16)]);
+            const response = await app.request('/transcribe', { method: 'POST', body: flac, headers: { 'Content-Type': 'audio/flac' } });
+            assert.equal(response.status, 200);
+            assert.equal(mocks.whisper.requests[0].file.originalname, 'audio.flac');
+
+            const unknown = await app.request('/transcribe', { method: 'POST', body: Buffer.from('just some text'), headers: { 'Content-Type': 'application/octet-stream' } });
+            assert.equal(unknown.status, 415);
+            assert.match((await unknown.json()).error, /Unsupported audio format/);
+            assert.equal(mocks.whisper.requests.length, 1);
+        });
+
+        it('fails without audio', async () => {
+            const response = await app.request('/transcribe', { method: 'POST', body: {} });
+
+            assert.equal(response.status, 500);
+            assert.equal((await response.json()).error, 'No audio data received');
+            assert.equal(mocks.whisper.requests.length, 0);
+        });
+
+        it('retries a failing transcription service, then reports it unavailable', async () => {
+            const response = await app.request('/transcribe', { method: 'POST', body: { audio: 'bm90IGEgd2F2' } });
+            assert.equal(response.status, 200);
+
+            mocks.whisper.failStatus = 503;
+            const failed = await app.request('/transcribe', { method: 'POST', body: { audio: 'bm90IGEgd2F2' } });
+            assert.equal(failed.status, 503);
+            assert.equal((await failed.json()).error, 'Transcription failed');
+            assert.equal(mocks.whisper.requests.length, 4);
+        });
+    });
+
+    describe('POST /query-llama', () => {
+        it('answers with the advisor and keeps the exchange in its history', async () => {
+            const sessionId = await newSession(app);
+
+            const first = await app.request('/query-llama', { method: 'POST', sessionId, body: { transcription: 'I feel stuck' } });
+            assert.equal(first.status, 200);
+            const body = await first.json();
+            assert.equal(body.response, 'Take a slow breath');
+            assert.equal(body.personalityId, 'advisor');
+            assert.equal(body.voiceId, 'voice-advisor');
+            assert.deepEqual(body.position, { x: 0, y: 0, z: 1 });
+
+            mocks.ollama.reply = () => 'Name one small step';
+            const second = await (await app.request('/query-llama', { method: 'POST', sessionId, body: { transcription: 'What now' } })).json();
+            assert.equal(second.response, 'Name one small step');
+
+            const [, request] = mocks.ollama.requests;
+            assert.equal(request.path, '/api/chat');
+            assert.equal(request.body.model, 'test-model');
+            assert.deepEqual(request.body.messages.slice(1), [
+                { role: 'user', content: 'I feel stuck' },
+                { role: 'assistant', content: 'Take a slow breath' },
+                { role: 'user', content: 'What now' }
+            ]);
+        });
+
+        it('returns an empty response for an empty transcription without calling the LLM', async () => {
+            const response = await app.request('/query-llama', { method: 'POST', body: { transcription: '  ' } });
+
+            assert.deepEqual(await response.json(), { response: '' });
+            assert.equal(mocks.ollama.requests.length, 0);
+        });
+
+        it('supersedes the reply in progress and answers both utterances together', async () => {
+            const sessionId = await newSession(app);
+            mocks.ollama.delayMs = 300;
+            mocks.ollama.reply = (messages) => `About ${messages[messages.length - 1].content}`;
+
+            const firstRequest = app.request('/query-llama', { method: 'POST', sessionId, body: { transcription: 'pay' } });
+            await delay(100);
+            const queued = await (await app.request('/query-llama', { method: 'POST', sessionId, body: { transcription: 'hours' } })).json();
+
+            assert.equal(queued.queued, true);
+            assert.equal(queued.personalityId, 'advisor');
+            const first = await (await firstRequest).json();
+            assert.equal(first.response, 'About hours');
+            assert.equal(first.turn, 1);
+
+            const job = await waitForJob(app, sessionId, queued.jobId);
+            assert.equal(job.state, 'done');
+            assert.equal(job.turn, 2);
+            assert.equal(job.transcription, 'hours');
+            assert.equal(job.response, 'About hours');
+            assert.deepEqual(job.batchJobIds, [first.jobId, queued.jobId]);
+            const lastRequest = mocks.ollama.requests[mocks.ollama.requests.length - 1];
+            assert.deepEqual(lastRequest.body.messages.slice(1), [
+                { role: 'user', content: 'pay' },
+                { role: 'user', content: 'hours' }
+            ]);
+        });
+
+        it('cancels a running job and marks its reply obsolete', async () => {
+            const sessionId = await newSession(app);
+            mocks.ollama.delayMs = 300;
+
+            const response = await app.request('/query-llama-stream', { method: 'POST', sessionId, body: { transcription: 'Hello' } });
+            const events = readEvents(response);
+            const running = await events.find(event => event.type === 'job_state' && event.state === 'running');
+            const cancelled = await app.request(`/jobs/${running.jobId}`, { method: 'DELETE', sessionId });
+
+            assert.equal(cancelled.status, 200);
+            const obsolete = await events.find(event => event.type === 'reply_obsolete');
+            assert.equal(obsolete.reason, 'cancelled');
+            assert.deepEqual(obsolete.jobIds, [running.jobId]);
+            assert.equal(obsolete.turn, 1);
+            assert.equal((await waitForJob(app, sessionId, running.jobId)).state, 'cancelled');
+            assert.equal((await events.rest()).some(event => event.type === 'audio_chunk'), false);
+        });
+
+        it('aborts the speech synthesis of a cancelled reply', async () => {
+            const sessionId = await newSession(app);
+            mocks.elevenlabs.delayMs = 1000;
+
+            const response = await app.request('/query-llama-stream', { method: 'POST', sessionId, body: { transcription: 'Hello' } });
+            const events = readEvents(response);
+            const running = await events.find(event => event.type === 'job_state' && event.state === 'running');
+            await waitUntil(() => mocks.elevenlabs.inFlight > 0);
+            await app.request(`/jobs/${running.jobId}`, { method: 'DELETE', sessionId });
+
+            assert.equal((await waitForJob(app, sessionId, running.jobId)).state, 'cancelled');
+            await waitUntil(() => mocks.elevenlabs.aborted.length > 0);
+            assert.match(mocks.elevenlabs.aborted[0].path, /^\/v1\/text-to-speech\//);
+            assert.equal(mocks.elevenlabs.requests.length, 0);
+            await events.rest();
+        });
+
+        it('keeps jobs private to their session', async () => {
+            const sessionId = await newSession(app);
+            const { jobId } = await (await app.request('/query-llama', { method: 'POST', sessionId, body: { transcription: 'Hi' } })).json();
+
+            assert.equal((await app.request(`/jobs/${jobId}`, { sessionId })).status, 200);
+            assert.equal((await app.request(`/jobs/${jobId}`, { sessionId: await newSession(app) })).status, 404);
+        });
+
+        it('answers with a fallback line when the LLM keeps failing', async () => {
+            const sessionId = await newSession(app);
+            mocks.ollama.failStatus = 500;
+
+            const response = await app.request('/query-llama', { method: 'POST', sessionId, body: { transcription: 'Hello' } });
+
+            assert.equal(response.status, 200);
+            const body = await response.json();
+            assert.equal(body.fallback, true);
+            assert.ok(['One moment, let me think.', 'Hold that thought.', 'Keep going, I am with you.'].includes(body.response));
+            assert.equal(mocks.ollama.requests.length, 2);
+
+            // The fallback line stays out of the history
+            mocks.reset();
+            await app.request('/query-llama', { method: 'POST', sessionId, body: { transcription: 'Still there?' } });
+            assert.deepEqual(mocks.ollama.requests[0].body.messages.slice(1).map(message => message.content), ['Hello', 'Still there?']);
+        });
+    });
+
+    describe('POST /process-text and GET /last-audio', () => {
+        it('synthesizes with the personality voice and serves the clip as the last audio', async () => {
+            const sessionId = await newSession(app);
+            assert.equal((await app.request('/last-audio', { sessionId })).status, 404);
+
+            const response = await app.request('/process-text', { method: 'POST', sessionId, body: { text: 'Ask them directly', personalityId: 'critic' } });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('Content-Type'), 'audio/mpeg');
+            assert.ok(response.headers.get('X-Audio-Id'));
+            const audio = Buffer.from(await response.arrayBuffer());
+            assert.equal(audio.toString(), 'ID3 voice-critic: Ask them directly');
+            assert.equal(mocks.elevenlabs.requests[0].headers['xi-api-key'], 'test-elevenlabs-key');
+
+            const lastAudio = await app.request('/last-audio', { sessionId });
+            assert.equal(lastAudio.status, 200);
+            assert.deepEqual(Buffer.from(await lastAudio.arrayBuffer()), audio);
+        });
+
+        it('serves repeated phrases from the audio store', async () => {
+            const first = await app.request('/process-text', { method: 'POST', body: { text: 'You have got this' } });
+            const second = await app.request('/process-text', { method: 'POST', body: { text: 'You have got this' } });
+
+            assert.equal(second.headers.get('X-Audio-Id'), first.headers.get('X-Audio-Id'));
+            assert.deepEqual(Buffer.from(await second.arrayBuffer()), Buffer.from(await first.arrayBuffer()));
+            assert.equal(mocks.elevenlabs.requests.length, 1);
+        });
+
+        it('holds text to the personality word limit', async () => {
+            const response = await app.request('/process-text', { method: 'POST', body: { text: 'one two three four five six seven' } });
+
+            assert.equal(Buffer.from(await response.arrayBuffer()).toString(), 'ID3 voice-advisor: one two three four five');
+        });
+
+        it('rejects text with nothing to speak and unknown personalities', async () => {
+            const rejected = await app.request('/process-text', { method: 'POST', body: { text: '🙂🙂' } });
+            assert.equal(rejected.status, 422);
+            assert.ok(Array.isArray((await rejected.json()).violations));
+
+            const unknown = await app.request('/process-text', { method: 'POST', body: { text: 'Hello', personalityId: 'nobody' } });
+            assert.equal(unknown.status, 500);
+            assert.equal((await unknown.json()).error, 'Unknown personality: nobody');
+            assert.equal(mocks.elevenlabs.requests.length, 0);
+        });
+    });
+
+    describe('tracing', () => {
+        it('traces client metric reports and serves only the caller\'s own traces', async () => {
+            const sessionId = await newSession(app);
+            await newSession(app);
+            const report = await app.request('/metrics/client', { method: 'POST', body: { stages: {} } });
+            assert.ok(report.headers.get('X-Request-Id'));
+
+            assert.equal((await app.request('/traces')).status, 400);
+            const traces = await (await app.request('/traces', { sessionId })).json();
+            assert.ok(traces.length > 0);
+            assert.ok(traces.every(trace => trace.sessionId === sessionId));
+        });
+    });
+
+    describe('GET /recordings', () => {
+        it('is not served unless RECORDINGS_API is set', async () => {
+            const response = await app.request('/recordings');
+            assert.equal(response.status, 403);
+            assert.match((await response.json()).error, /RECORDINGS_API=true/);
+        });
+    });
+
+    describe('scenarios and coaching reports', () => {
+        it('adds the scenario goal to the prompt and reports on it when the session ends', async () => {
+            const sessionId = await newSession(app);
+            const set = await app.request('/session/scenario', { method: 'PUT', sessionId, body: { scenarioId: 'salary-negotiation' } });
+            assert.equal(set.status, 200);
+            assert.equal((await set.json()).scenario.name, 'Salary negotiation');
+
+            await app.request('/query-llama', { method: 'POST', sessionId, body: { transcription: 'I would like a raise' } });
+            const systemPrompt = mocks.ollama.requests[0].body.messages[0].content;
+            assert.match(systemPrompt, /Their goal: Agree on a raise of at least 10 percent/);
+            assert.match(systemPrompt, /In this scenario: Suggest the next ask/);
+
+            mocks.ollama.reply = () => 'Here is the review: ' + JSON.stringify({
+                goalProgress: { status: 'partial', summary: 'Asked, but named no number.', checkpoints: [] },
+                keyMoments: [{ line: 1, note: 'Opened with the ask' }, { line: 99, note: 'No such line' }],
+                personalityFlags: { advisor: ['Name a number'] },
+                nextSteps: ['Say the number first']
+            });
+            const report = await (await app.request('/session/end', { method: 'POST', sessionId })).json();
+            assert.equal(report.source, 'llm');
+            assert.equal(report.goalProgress.status, 'partial');
+            assert.equal(report.goalProgress.checkpoints.length, 4);
+            assert.deepEqual(report.keyMoments.map(moment => [moment.quote, moment.note]), [['I would like a raise', 'Opened with the ask']]);
+            assert.deepEqual(report.personalities.find(personality => personality.id === 'advisor').flags, ['Name a number']);
+            assert.match(mocks.ollama.requests[1].body.messages[1].content, /\[2\] The Advisor: Take a slow breath/);
+
+            const markdown = await app.request(`/reports/${sessionId}/report.md?sessionId=${sessionId}`);
+            assert.match(markdown.headers.get('content-disposition'), /attachment; filename="report-.*\.md"/);
+            assert.match(await markdown.text(), /^# Coaching report: Salary negotiation/);
+            assert.equal((await app.request(`/reports/${sessionId}`, { sessionId: await newSession(app) })).status, 404);
+            assert.equal((await app.request(`/reports/${sessionId}`)).status, 404);
+            assert.equal((await app.request('/reports')).status, 404);
+        });
+
+        it('accepts a goal of the user\'s own and rejects unknown scenarios', async () => {
+            const sessionId = await newSession(app);
+            const custom = await (await app.request('/session/scenario', { method: 'PUT', sessionId, body: { goal: 'Ask my landlord to fix the heating' } })).json();
+            assert.deepEqual([custom.scenario.id, custom.scenario.goal], [null, 'Ask my landlord to fix the heating']);
+
+            const unknown = await app.request('/session/scenario', { method: 'PUT', sessionId, body: { scenarioId: 'nope' } });
+            assert.equal(unknown.status, 400);
+            assert.equal((await app.request('/reports/missing')).status, 404);
+        });
+    });
+});
+
+describe('service outages', () => {
+    let mocks;
+    let app;
+
+    before(async () => {
+        mocks = await startMockServices();
+        // Fallback clips are synthesized ahead of time, like "npm run fillers" does
+        await new Promise((resolve, reject) => execFile(process.execPath, ['fillers.js'], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, ...mocks.env },
+            timeout: 10000
+        }, error => error ? reject(error) : resolve()));
+        app = await startApp({
+            ...mocks.env,
+            PERSONALITY_MODE: 'single',
+            LLM_RETRIES: '0',
+            TTS_TIMEOUT_MS: '300',
+            BREAKER_FAILURE_THRESHOLD: '2',
+            BREAKER_RESET_MS: '500'
+        });
+    });
+
+    after(async () => {
+        await app?.stop();
+        await mocks?.close();
+    });
+
+    beforeEach(() => mocks.reset());
+
+    const health = async () => {
+        const response = await app.request('/health');
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('reports every service healthy at first', async () => {
+        const { status, body } = await health();
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ok');
+        assert.deepEqual(Object.keys(body.services), ['stt', 'tts', 'llm']);
+        assert.equal(body.services.llm.provider, 'ollama');
+        assert.equal(body.services.llm.state, 'closed');
+    });
+
+    it('speaks a fallback clip while the LLM is down and recovers once its circuit resets', async () => {
+        mocks.ollama.failStatus = 503;
+        const stream = async () => readEvents(await app.request('/query-llama-stream', { method: 'POST', body: { transcription: 'Hello' } })).rest();
+
+        const events = await stream();
+        const chunk = events.find(event => event.type === 'audio_chunk');
+        const done = events.find(event => event.type === 'response_done');
+        assert.equal(chunk.fallback, true);
+        assert.equal(Buffer.from(chunk.audio, 'base64').toString(), `ID3 voice-advisor: ${chunk.text}`);
+        assert.equal(done.fallback, true);
+        assert.equal(done.text, chunk.text);
+        assert.equal(events.some(event => event.type === 'error'), false);
+
+        await stream();
+        const degraded = await health();
+        assert.equal(degraded.status, 503);
+        assert.equal(degraded.body.status, 'degraded');
+        assert.equal(degraded.body.services.llm.state, 'open');
+        assert.equal(degraded.body.services.llm.lastError, 'Request failed with status code 503');
+
+        // While the circuit is open the LLM is not called at all
+        assert.equal((await stream()).find(event => event.type === 'response_done').fallback, true);
+        assert.equal(mocks.ollama.requests.length, 2);
+
+        mocks.ollama.failStatus = null;
+        await delay(600);
+        const recovered = await stream();
+        assert.equal(recovered.find(event => event.type === 'response_done').text, 'Take a slow breath');
+        assert.equal((await health()).body.services.llm.state, 'closed');
+    });
+
+    it('times out a slow TTS service', async () => {
+        mocks.elevenlabs.delayMs = 1000;
+
+        const response = await app.request('/process-text', { method: 'POST', body: { text: 'Ask them directly' } });
+
+        assert.equal(response.status, 503);
+        assert.equal((await response.json()).error, 'tts did not respond within 300ms');
+        assert.equal((await health()).body.services.tts.state, 'open');
+    });
+});
+
+describe('multiple personality mode', () => {
+    let mocks;
+    let app;
+
+    before(async () => {
+        mocks = await startMockServices();
+        app = await startApp({ ...mocks.env, PERSONALITY_MODE: 'multiple' });
+    });
+
+    after(async () => {
+        await app?.stop();
+        await mocks?.close();
+    });
+
+    beforeEach(() => mocks.reset());
+
+    const ask = async (sessionId, transcription) =>
+        (await app.request('/query-llama', { method: 'POST', sessionId, body: { transcription } })).json();
+
+    it('rotates through the active personalities, each with its own voice and history', async () => {
+        const sessionId = await newSession(app);
+
+        const replies = [];
+        for (const transcription of ['One', 'Two', 'Three', 'Four']) {
+            replies.push(await ask(sessionId, transcription));
+        }
+
+        assert.deepEqual(replies.map(reply => reply.personalityId), ['advisor', 'critic', 'supporter', 'advisor']);
+        assert.deepEqual(replies.map(reply => reply.voiceId), ['voice-advisor', 'voice-critic', 'voice-supporter', 'voice-advisor']);
+        // The critic only saw the utterance it answered; the advisor's second turn follows its first
+        assert.deepEqual(mocks.ollama.requests[1].body.messages.slice(1), [{ role: 'user', content: 'Two' }]);
+        assert.deepEqual(mocks.ollama.requests[3].body.messages.slice(1).map(message => message.content),
+            ['One', 'Take a slow breath', 'Four']);
+    });
+
+    it('starts every session at the first personality', async () => {
+        await ask(await newSession(app), 'Hello');
+
+        assert.equal((await ask(await newSession(app), 'Hello')).personalityId, 'advisor');
+    });
+});
@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AudioConverter, AudioFormatError, detectAudioFormat, resolveAudioFormat } = require('../audio-formats');
+const { encodeWav, decodeWav } = require('../wav');
+
+const wavProvider = { name: 'local', formats: ['wav'], sampleRate: 16000 };
+
+describe('audio format detection', () => {
+    it('recognizes formats from their leading bytes', () => {
+        const padded = (header) => Buffer.concat([Buffer.from(header), Buffer.alloc(16)]);
+
+        assert.equal(detectAudioFormat(encodeWav([new Float32Array(100)], 16000)), 'wav');
+        assert.equal(detectAudioFormat(padded([0x1a, 0x45, 0xdf, 0xa3])), 'webm');
+        assert.equal(detectAudioFormat(padded('OggS')), 'ogg');
+        assert.equal(detectAudioFormat(padded('fLaC')), 'flac');
+        assert.equal(detectAudioFormat(padded('ID3')), 'mp3');
+        assert.equal(detectAudioFormat(padded('\0\0\0\x20ftypM4A ')), 'm4a');
+        assert.equal(detectAudioFormat(padded('hello')), null);
+    });
+
+    it('falls back to the content type, then the file name', () => {
+        const unknown = Buffer.from('no recognizable header');
+
+        assert.equal(resolveAudioFormat(unknown, { contentType: 'audio/webm;codecs=opus' }), 'webm');
+        assert.equal(resolveAudioFormat(unknown, { contentType: 'application/octet-stream', filename: 'take.flac' }), 'flac');
+        assert.throws(() => resolveAudioFormat(unknown, { contentType: 'audio/aiff' }), AudioFormatError);
+    });
+});
+
+describe('decodeWav', () => {
+    it('returns null for malformed headers', () => {
+        const valid = encodeWav([new Float32Array(100)], 16000);
+        const withField = (offset, value) => {
+            const buffer = Buffer.from(valid);
+            buffer.writeUInt32LE(value, offset);
+            return buffer;
+        };
+        const noChannels = Buffer.from(valid);
+        noChannels.writeUInt16LE(0, 22);
+
+        assert.equal(decodeWav(noChannels), null);
+        assert.equal(decodeWav(withField(24, 0)), null);                         // sample rate
+        assert.equal(decodeWav(withField(16, 8)), null);                         // fmt chunk too short
+        // A fmt chunk cut off by the end of the file, after a LIST chunk
+        const list = Buffer.concat([Buffer.from('LIST'), Buffer.from([12, 0, 0, 0]), Buffer.alloc(12)]);
+        assert.equal(decodeWav(Buffer.concat([valid.subarray(0, 12), list, valid.subarray(12, 24)])), null);
+        assert.equal(decodeWav(valid.subarray(0, 30)), null);
+        assert.equal(decodeWav(valid).samples[0].length, 100);
+    });
+});
+
+describe('AudioConverter', () => {
+    let tempDir;
+    let fakeFfmpeg;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twys-ffmpeg-'));
+        // Stands in for ffmpeg: reads stdin and answers with a second of silence at the requested rate
+        fakeFfmpeg = path.join(tempDir, 'ffmpeg');
+        fs.writeFileSync(fakeFfmpeg, `#!${process.execPath}
+const args = process.argv.slice(2);
+const { encodeWav } = require(${JSON.stringify(require.resolve('../wav'))});
+process.stdin.resume();
+process.stdin.on('end', () => {
+    const rate = Number(args[args.indexOf('-ar') + 1]);
+    process.stdout.write(encodeWav([new Float32Array(rate)], rate));
+});
+`, { mode: 0o755 });
+    });
+
+    after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+    it('leaves audio the provider accepts alone', async () => {
+        const audio = { buffer: Buffer.from('OggS and more bytes'), format: 'ogg' };
+
+        assert.equal(await new AudioConverter().prepare(audio, { name: 'openai' }), audio);
+    });
+
+    it('mixes down and resamples WAV for providers that need 16 kHz', async () => {
+        const left = new Float32Array(4800).fill(0.5);
+        const right = new Float32Array(4800).fill(0.25);
+        const converter = new AudioConverter();
+
+        const prepared = await converter.prepare({ buffer: encodeWav([left, right], 48000), format: 'wav' }, wavProvider);
+
+        const wav = decodeWav(prepared.buffer);
+        assert.equal(wav.sampleRate, 16000);
+        assert.equal(wav.channels, 1);
+        assert.equal(wav.samples[0].length, 1600);
+        assert.ok(Math.abs(wav.samples[0][800] - 0.375) < 0.001);
+        assert.equal(converter.conversions, 1);
+    });
+
+    it('decodes other formats through ffmpeg', async () => {
+        const prepared = await new AudioConverter({ ffmpegBinary: fakeFfmpeg })
+            .prepare({ buffer: Buffer.from('OggS opus'), format: 'ogg' }, wavProvider);
+
+        assert.equal(prepared.format, 'wav');
+        assert.equal(decodeWav(prepared.buffer).sampleRate, 16000);
+    });
+
+    it('hands WAV encodings it cannot read to ffmpeg', async () => {
+        const wav24 = encodeWav([new Float32Array(4800)], 48000);
+        wav24.writeUInt16LE(24, 34);
+
+        const prepared = await new AudioConverter({ ffmpegBinary: fakeFfmpeg }).prepare({ buffer: wav24, format: 'wav' }, wavProvider);
+
+        assert.equal(prepared.format, 'wav');
+        assert.equal(decodeWav(prepared.buffer).sampleRate, 16000);
+    });
+
+    it('rejects WAV with a malformed header as an audio format error', async () => {
+        const wav = encodeWav([new Float32Array(100)], 16000);
+        wav.writeUInt16LE(0, 22);
+
+        await assert.rejects(new AudioConverter({ ffmpegBinary: path.join(tempDir, 'missing-ffmpeg') }).prepare({ buffer: wav, format: 'wav' }, wavProvider),
+            AudioFormatError);
+    });
+
+    it('reports a missing ffmpeg as an audio format error', async () => {
+        const converter = new AudioConverter({ ffmpegBinary: path.join(tempDir, 'missing-ffmpeg') });
+
+        await assert.rejects(converter.prepare({ buffer: Buffer.from('fLaC'), format: 'flac' }, wavProvider),
+            (error) => error instanceof AudioFormatError && /needs ffmpeg/.test(error.message));
+    });
+});
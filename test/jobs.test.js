@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PersonalityWorkQueue } = require('../jobs');
+const { CachedSynthesizer } = require('../audio-store');
+const { streamSpokenResponse } = require('../pipeline');
+
+function createPersonality(id = 'advisor') {
+    return {
+        id,
+        isProcessing: false,
+        pendingTranscriptions: [],
+        addPendingTranscription(transcription) {
+            this.pendingTranscriptions.push(transcription);
+            return this.isProcessing;
+        },
+        getAndClearPendingTranscriptions() {
+            return this.pendingTranscriptions.splice(0).join(' ');
+        }
+    };
+}
+
+// runBatch that answers "re: <transcription>" once release() is called, or rejects when its signal aborts
+function createRunner() {
+    const runs = [];
+    const runBatch = ({ transcription, signal }) => new Promise((resolve, reject) => {
+        const run = { transcription, release: () => resolve({ response: `re: ${transcription}` }) };
+        runs.push(run);
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    return { runs, runBatch };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('PersonalityWorkQueue freshness', () => {
+    const session = { id: 'session-1' };
+
+    it('supersedes a running reply and answers it together with the newer utterance', async () => {
+        const { runs, runBatch } = createRunner();
+        const queue = new PersonalityWorkQueue({ runBatch });
+        const personality = createPersonality();
+        const events = [];
+        const emit = event => events.push(event);
+
+        const first = queue.submit({ session, personality, transcription: 'pay', emit, turn: 1 });
+        await tick();
+        const second = queue.submit({ session, personality, transcription: 'hours', emit, turn: 2 });
+        await tick();
+
+        assert.equal(second.queued, true);
+        assert.deepEqual(runs.map(run => run.transcription), ['pay', 'hours']);
+        const obsolete = events.find(event => event.type === 'reply_obsolete');
+        assert.deepEqual(obsolete, { type: 'reply_obsolete', personalityId: 'advisor', reason: 'superseded', jobIds: [first.job.id], turn: 1 });
+
+        runs[1].release();
+        await Promise.all([first.job.finished, second.job.finished]);
+        assert.equal(first.job.response, 're: hours');
+        assert.deepEqual(second.job.batchJobIds, [first.job.id, second.job.id]);
+    });
+
+    it('queues without interrupting when supersede is off', async () => {
+        const { runs, runBatch } = createRunner();
+        const queue = new PersonalityWorkQueue({ runBatch, supersede: false });
+        const personality = createPersonality();
+
+        const first = queue.submit({ session, personality, transcription: 'pay', turn: 1 });
+        await tick();
+        const second = queue.submit({ session, personality, transcription: 'hours', turn: 2 });
+        runs[0].release();
+        await first.job.finished;
+        await tick();
+        runs[1].release();
+        await second.job.finished;
+
+        assert.equal(first.job.response, 're: pay');
+        assert.equal(second.job.response, 're: hours');
+    });
+
+    it('cancels queued and running jobs', async () => {
+        const { runs, runBatch } = createRunner();
+        const queue = new PersonalityWorkQueue({ runBatch, supersede: false });
+        const personality = createPersonality();
+        const events = [];
+
+        const running = queue.submit({ session, personality, transcription: 'pay', emit: event => events.push(event), turn: 1 });
+        await tick();
+        const waiting = queue.submit({ session, personality, transcription: 'hours', turn: 2 });
+
+        queue.cancel(waiting.job.id);
+        assert.equal(waiting.job.state, 'cancelled');
+        assert.deepEqual(personality.pendingTranscriptions, []);
+
+        queue.cancel(running.job.id);
+        await running.job.finished;
+        assert.equal(running.job.state, 'cancelled');
+        assert.equal(runs.length, 1);
+        assert.equal(events.filter(event => event.type === 'reply_obsolete').length, 1);
+        assert.equal(personality.isProcessing, false);
+    });
+
+    it('marks a finished reply obsolete on cancel', async () => {
+        const { runs, runBatch } = createRunner();
+        const queue = new PersonalityWorkQueue({ runBatch });
+        const events = [];
+
+        const { job } = queue.submit({ session, personality: createPersonality(), transcription: 'pay', emit: event => events.push(event), turn: 3 });
+        await tick();
+        runs[0].release();
+        await job.finished;
+        queue.cancel(job.id);
+
+        assert.equal(job.state, 'done');
+        assert.deepEqual(events[events.length - 1], { type: 'reply_obsolete', personalityId: 'advisor', reason: 'cancelled', jobIds: [job.id], turn: 3 });
+        assert.equal(queue.cancel('unknown'), null);
+    });
+
+    it('aborts the speech synthesis of a cancelled reply', async () => {
+        const requests = [];
+        const tts = {
+            name: 'mock',
+            synthesize: (text, voice, { signal }) => new Promise((resolve, reject) => {
+                requests.push({ text, signal });
+                signal.addEventListener('abort', () => reject(signal.reason));
+            })
+        };
+        const ttsProvider = new CachedSynthesizer(tts, { get: () => null });
+        const runBatch = ({ transcription, signal }) =>
+            streamSpokenResponse({ ttsProvider, presetText: `re: ${transcription}.`, voice: 'advisor', onEvent: () => {}, signal });
+        const queue = new PersonalityWorkQueue({ runBatch });
+
+        const { job } = queue.submit({ session, personality: createPersonality(), transcription: 'pay', turn: 1 });
+        await tick();
+        queue.cancel(job.id);
+        await job.finished;
+
+        assert.equal(job.state, 'cancelled');
+        assert.ok(requests.length > 0);
+        assert.ok(requests.every(request => request.signal.aborted));
+        assert.equal(ttsProvider.pending.size, 0);
+    });
+});
@@ -0,0 +1,185 @@
+// Local stand-ins for the hosted services app.js talks to: OpenAI-style transcription (Whisper), Ollama chat/generate
+// and ElevenLabs text-to-speech. Each mock records the requests it received; reply content and latency can be
+// changed per test.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+
+const ELEVENLABS_API_KEY = 'test-elevenlabs-key';
+const VOICE_IDS = ['voice-advisor', 'voice-critic', 'voice-supporter'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Listen on a free loopback port; resolves with {server, baseUrl}
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+        server.on('error', reject);
+    });
+}
+
+class MockService {
+    constructor() {
+        this.requests = [];
+        this.aborted = [];                             // Requests the client gave up on before the response was sent
+        this.inFlight = 0;
+        this.delayMs = 0;                              // Added before every response
+        this.failStatus = null;                        // Answer every request with this error status instead
+        this.server = null;
+        this.baseUrl = null;
+    }
+
+    async start() {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            this.inFlight++;
+            res.on('finish', () => this.requests.push({ method: req.method, path: req.path, headers: req.headers, body: req.body, file: req.file }));
+            res.on('close', () => {
+                this.inFlight--;
+                if (!res.writableFinished) {
+                    this.aborted.push({ method: req.method, path: req.path, body: req.body });
+                }
+            });
+            if (this.failStatus) {
+                return res.status(this.failStatus).json({ error: 'Mock failure' });
+            }
+            next();
+        });
+        this.routes(app);
+        Object.assign(this, await listen(app));
+        return this;
+    }
+
+    reset() {
+        this.requests = [];
+        this.aborted = [];
+        this.delayMs = 0;
+        this.failStatus = null;
+    }
+
+    close() {
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+}
+
+// POST /v1/audio/transcriptions with a multipart "file" and "model", like the OpenAI API and whisper.cpp's server
+class WhisperMock extends MockService {
+    constructor() {
+        super();
+        this.text = 'Hello from the test';
+    }
+
+    routes(app) {
+        const upload = multer({ storage: multer.memoryStorage() });
+        app.post('/v1/audio/transcriptions', upload.single('file'), async (req, res) => {
+            await delay(this.delayMs);
+            if (!req.file || !req.body.model) {
+                return res.status(400).json({ error: { message: 'file and model are required' } });
+            }
+            res.json({ text: typeof this.text === 'function' ? this.text(req.file) : this.text });
+        });
+    }
+}
+
+// Ollama's /api/chat and /api/generate, streamed (NDJSON, a word per line) or not. reply(messages) decides the content.
+class OllamaMock extends MockService {
+    constructor() {
+        super();
+        this.reply = () => 'Take a slow breath';
+    }
+
+    reset() {
+        super.reset();
+        this.reply = () => 'Take a slow breath';
+    }
+
+    routes(app) {
+        const respond = async (req, res, toLine) => {
+            await delay(this.delayMs);
+            const messages = req.body.messages || [{ role: 'user', content: req.body.prompt }];
+            const content = this.reply(messages, req.body);
+            if (req.body.stream === false) {
+                return res.json({ model: req.body.model, ...toLine(content), done: true });
+            }
+            res.set('Content-Type', 'application/x-ndjson');
+            content.split(/(?<= )/).forEach(word => res.write(JSON.stringify({ model: req.body.model, ...toLine(word), done: false }) + '\n'));
+            res.end(JSON.stringify({ model: req.body.model, ...toLine(''), done: true }) + '\n');
+        };
+
+        app.post('/api/chat', (req, res) => respond(req, res, content => ({ message: { role: 'assistant', content } })));
+        app.post('/api/generate', (req, res) => respond(req, res, response => ({ response })));
+    }
+}
+
+// POST /v1/text-to-speech/:voiceId with the xi-api-key header. The "MP3" is the voice and text, so tests can tell clips apart.
+class ElevenLabsMock extends MockService {
+    routes(app) {
+        app.post('/v1/text-to-speech/:voiceId', async (req, res) => {
+            await delay(this.delayMs);
+            if (req.get('xi-api-key') !== ELEVENLABS_API_KEY) {
+                return res.status(401).json({ detail: { status: 'invalid_api_key' } });
+            }
+            if (!VOICE_IDS.includes(req.params.voiceId)) {
+                return res.status(404).json({ detail: { status: 'voice_not_found' } });
+            }
+            res.set('Content-Type', 'audio/mpeg');
+            res.send(Buffer.from(`ID3 ${req.params.voiceId}: ${req.body.text}`));
+        });
+    }
+}
+
+// All three mocks plus the environment that points app.js at them, with its writable directories in a temp dir
+async function startMockServices() {
+    const whisper = await new WhisperMock().start();
+    const ollama = await new OllamaMock().start();
+    const elevenlabs = await new ElevenLabsMock().start();
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twys-test-'));
+
+    const env = {
+        STT_PROVIDER: 'openai',
+        STT_BASE_URL: `${whisper.baseUrl}/v1`,
+        OPENAI_API_KEY: 'test-openai-key',
+        LLM_PROVIDER: 'ollama',
+        LLM_BASE_URL: ollama.baseUrl,
+        LLM_MODEL: 'test-model',
+        TTS_PROVIDER: 'elevenlabs',
+        TTS_BASE_URL: `${elevenlabs.baseUrl}/v1`,
+        ELEVENLABS_API_KEY,
+        ELEVENLABS_VOICE_ID_1: VOICE_IDS[0],
+        ELEVENLABS_VOICE_ID_2: VOICE_IDS[1],
+        ELEVENLABS_VOICE_ID_3: VOICE_IDS[2],
+        AUDIO_DIR: path.join(tempDir, 'audio'),
+        RECORDINGS_DIR: path.join(tempDir, 'recordings'),
+        USER_SETTINGS_DIR: path.join(tempDir, 'settings'),
+        REPORTS_DIR: path.join(tempDir, 'reports'),
+        FILLERS_DIR: path.join(tempDir, 'fillers'),
+        RETRY_BACKOFF_MS: '10'
+    };
+
+    return {
+        whisper,
+        ollama,
+        elevenlabs,
+        env,
+        reset() {
+            [whisper, ollama, elevenlabs].forEach(mock => mock.reset());
+        },
+        async close() {
+            await Promise.all([whisper, ollama, elevenlabs].map(mock => mock.close()));
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    WhisperMock,
+    OllamaMock,
+    ElevenLabsMock,
+    startMockServices,
+    VOICE_IDS
+};
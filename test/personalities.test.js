@@ -0,0 +1,177 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { Personality, PersonalityRegistry, expandEnv } = require('../personalities');
+const { createPersonalityRouter } = require('../personality-api');
+
+function createPersonality(overrides = {}) {
+    return new Personality({
+        id: 'advisor',
+        name: 'The Advisor',
+        voices: { elevenlabs: 'voice-advisor' },
+        position: { x: 0, y: 0, z: 1 },
+        systemPrompt: 'Be brief.',
+        ...overrides
+    });
+}
+
+// Alternating user/assistant turns "user 1", "reply 1", "user 2", ...
+function addExchanges(personality, count, { words = 1 } = {}) {
+    const padding = ' word'.repeat(words - 1);
+    for (let index = 1; index <= count; index++) {
+        personality.updateHistory(`user ${index}${padding}`, 'user');
+        personality.updateHistory(`reply ${index}${padding}`, 'assistant');
+    }
+}
+
+describe('Personality history trimming', () => {
+    it('keeps at most maxHistoryLength exchanges', () => {
+        const personality = createPersonality({ maxHistoryLength: 3 });
+
+        addExchanges(personality, 5);
+
+        assert.deepEqual(personality.conversationHistory, ['user 3', 'reply 3', 'user 4', 'reply 4', 'user 5', 'reply 5']);
+    });
+
+    it('evicts the oldest turns once the token budget is exceeded', () => {
+        // Each turn is about 25 tokens, so a 60-token budget holds two of them
+        const personality = createPersonality({ maxHistoryTokens: 60 });
+
+        addExchanges(personality, 3, { words: 20 });
+
+        assert.equal(personality.memory.turns.length, 2);
+        assert.ok(personality.conversationHistory[0].startsWith('user 3'));
+        assert.ok(personality.memory.getTokenCount() <= 60);
+    });
+
+    it('always keeps the latest exchange, even over budget', () => {
+        const personality = createPersonality({ maxHistoryTokens: 1 });
+
+        addExchanges(personality, 2, { words: 50 });
+
+        assert.equal(personality.memory.turns.length, 2);
+        assert.ok(personality.conversationHistory[1].startsWith('reply 2'));
+    });
+
+    it('rolls evicted turns into a summary for the system prompt', () => {
+        const personality = createPersonality({ maxHistoryLength: 1 });
+
+        addExchanges(personality, 2);
+
+        assert.equal(personality.memory.summary, 'User: user 1 The Advisor: reply 1');
+        assert.equal(personality.getMessages()[0].content,
+            'Be brief.\n\nSummary of the earlier conversation: User: user 1 The Advisor: reply 1');
+    });
+
+    it('drops evicted turns without a summary when summarize is off', () => {
+        const personality = createPersonality({ maxHistoryLength: 1, summarize: false });
+
+        addExchanges(personality, 2);
+
+        assert.equal(personality.memory.summary, '');
+        assert.deepEqual(personality.getMessages(), [
+            { role: 'system', content: 'Be brief.' },
+            { role: 'user', content: 'user 2' },
+            { role: 'assistant', content: 'reply 2' }
+        ]);
+    });
+
+    it('applies new limits from a reloaded definition to the existing history', () => {
+        const personality = createPersonality();
+        addExchanges(personality, 4);
+
+        personality.applyConfig({ ...personality, maxHistoryLength: 2 });
+        personality.updateHistory('user 5', 'user');
+
+        assert.deepEqual(personality.conversationHistory, ['reply 3', 'user 4', 'reply 4', 'user 5']);
+    });
+
+    it('infers alternating roles when none is given', () => {
+        const personality = createPersonality();
+
+        personality.updateHistory('Hello');
+        personality.updateHistory('Hi there');
+        personality.updateHistory('How are you');
+
+        assert.deepEqual(personality.memory.turns.map(turn => turn.role), ['user', 'assistant', 'user']);
+        assert.deepEqual(personality.memory.turns.map(turn => turn.speaker), ['User', 'The Advisor', 'User']);
+    });
+
+    it('revises the most recent matching turn', () => {
+        const personality = createPersonality();
+        personality.updateHistory('I think', 'user');
+
+        assert.equal(personality.reviseHistory('I think', 'I think we should go'), true);
+        assert.equal(personality.reviseHistory('missing', 'anything'), false);
+        assert.deepEqual(personality.conversationHistory, ['I think we should go']);
+    });
+});
+
+describe('environment placeholders', () => {
+    const env = { ELEVENLABS_VOICE_ID_1: 'voice-advisor', SECRET_THING: 'sk-super-secret' };
+
+    it('expands only the voice variables', () => {
+        assert.deepEqual(expandEnv({
+            voices: { elevenlabs: '${ELEVENLABS_VOICE_ID_1}', openai: '${OPENAI_VOICE_1:-alloy}' },
+            name: 'Agent ${SECRET_THING}',
+            systemPrompt: '${SECRET_THING:-nothing}'
+        }, env), {
+            voices: { elevenlabs: 'voice-advisor', openai: 'alloy' },
+            name: 'Agent ${SECRET_THING}',
+            systemPrompt: '${SECRET_THING:-nothing}'
+        });
+    });
+
+    describe('through /personalities', () => {
+        let dir;
+        let server;
+        let baseUrl;
+        const definition = {
+            id: 'spy',
+            name: 'The Spy',
+            voices: { elevenlabs: 'voice-spy' },
+            position: { x: 0, y: 0, z: 1 },
+            systemPrompt: 'Be sly.'
+        };
+        const send = (method, route, body) => fetch(`${baseUrl}/personalities${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        before(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twys-personalities-'));
+            fs.writeFileSync(path.join(dir, 'advisor.yaml'), 'id: advisor\nname: The Advisor\nvoices:\n  elevenlabs: "${ELEVENLABS_VOICE_ID_1}"\n' +
+                'position: { x: 0, y: 0, z: 1 }\nsystemPrompt: Be brief.\n');
+            const app = express();
+            app.use(express.json());
+            app.use('/personalities', createPersonalityRouter(new PersonalityRegistry({ dir }).load()));
+            server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(() => {
+            server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('rejects new placeholders', async () => {
+            const created = await send('POST', '', { ...definition, voices: { elevenlabs: '${SECRET_THING}' } });
+            assert.equal(created.status, 400);
+            assert.deepEqual((await created.json()).details, ['voices.elevenlabs must not contain ${...} placeholders']);
+            assert.equal(fs.existsSync(path.join(dir, 'spy.yaml')), false);
+
+            const updated = await send('PUT', '/advisor', { ...definition, id: 'advisor', name: '${SECRET_THING}' });
+            assert.equal(updated.status, 400);
+        });
+
+        it('keeps the placeholders a definition file already has', async () => {
+            const updated = await send('PUT', '/advisor', { ...definition, id: 'advisor', voices: { elevenlabs: '${ELEVENLABS_VOICE_ID_1}' } });
+            assert.equal(updated.status, 200);
+            assert.equal((await updated.json()).voices.elevenlabs, '${ELEVENLABS_VOICE_ID_1}');
+        });
+    });
+});
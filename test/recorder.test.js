@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionRecorder } = require('../recorder');
+
+// Enough of a Session for the recorder
+function createSession(id) {
+    return { id, record: true, personalities: {}, manager: { mode: 'single' } };
+}
+
+describe('SessionRecorder', () => {
+    it('lets go of a released recording once it is written, keeping its files', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twys-recorder-'));
+        try {
+            const recorder = new SessionRecorder({ dir });
+            recorder.forSession(createSession('session-1')).record('transcription', { text: 'Hello' });
+
+            await recorder.release('session-1');
+            await recorder.release('unknown');
+
+            assert.equal(recorder.recordings.size, 0);
+            const recording = await recorder.load('session-1');
+            assert.deepEqual(recording.events.map(event => event.text), ['Hello']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ResilientService, ServiceTimeoutError, ServiceUnavailableError, isTransientError } = require('../resilience');
+
+// An error shaped like axios' for an HTTP error response
+function httpError(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers: {} };
+    return error;
+}
+
+// fn(signal) that fails with the given errors in turn, then answers "ok"
+function failing(...errors) {
+    const calls = [];
+    const fn = (signal) => {
+        calls.push(signal);
+        const error = errors.shift();
+        return error ? Promise.reject(error) : Promise.resolve('ok');
+    };
+    return { calls, fn };
+}
+
+const createService = (config = {}) => new ResilientService({ name: 'llm', backoffMs: 1, ...config });
+
+describe('isTransientError', () => {
+    it('retries timeouts, connection failures, 429 and 5xx but not other client errors', () => {
+        assert.equal(isTransientError(new ServiceTimeoutError('llm', 10)), true);
+        assert.equal(isTransientError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })), true);
+        assert.equal(isTransientError(httpError(503)), true);
+        assert.equal(isTransientError(httpError(429)), true);
+        assert.equal(isTransientError(httpError(400)), false);
+        assert.equal(isTransientError(Object.assign(new Error('missing'), { code: 'ENOENT' })), false);
+    });
+});
+
+describe('ResilientService', () => {
+    it('retries transient failures until a call succeeds', async () => {
+        const service = createService({ retries: 2 });
+        const { calls, fn } = failing(httpError(502), httpError(503));
+
+        assert.equal(await service.call(fn), 'ok');
+        assert.equal(calls.length, 3);
+        assert.equal(service.retryCount, 2);
+        assert.equal(service.breaker.state, 'closed');
+        assert.equal(service.breaker.consecutiveFailures, 0);
+    });
+
+    it('gives up after the configured retries and does not retry client errors', async () => {
+        const service = createService({ retries: 1 });
+        const exhausted = failing(httpError(500), httpError(500), httpError(500));
+        await assert.rejects(service.call(exhausted.fn), /status code 500/);
+        assert.equal(exhausted.calls.length, 2);
+
+        const rejected = failing(httpError(400));
+        await assert.rejects(service.call(rejected.fn), /status code 400/);
+        assert.equal(rejected.calls.length, 1);
+    });
+
+    it('times out a slow call and aborts its signal', async () => {
+        const service = createService({ timeoutMs: 20, retries: 0 });
+        let signal;
+
+        await assert.rejects(service.call((callSignal) => {
+            signal = callSignal;
+            return new Promise(() => {});
+        }), ServiceTimeoutError);
+        assert.equal(signal.aborted, true);
+    });
+
+    it('opens the circuit after repeated failures and tries again once it resets', async () => {
+        const service = createService({ retries: 0, failureThreshold: 2, resetTimeoutMs: 30 });
+        const { calls, fn } = failing(httpError(503), httpError(503));
+
+        await assert.rejects(service.call(fn));
+        await assert.rejects(service.call(fn));
+        await assert.rejects(service.call(fn), ServiceUnavailableError);
+        assert.equal(calls.length, 2);
+        assert.equal(service.toJSON().state, 'open');
+
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.equal(await service.call(fn), 'ok');
+        assert.equal(service.toJSON().state, 'closed');
+    });
+
+    it('stops without counting a failure when the caller aborts', async () => {
+        const service = createService({ retries: 3 });
+        const controller = new AbortController();
+        const call = service.call(() => new Promise(() => {}), { signal: controller.signal });
+
+        controller.abort(new Error('superseded'));
+
+        await assert.rejects(call, /superseded/);
+        assert.equal(service.failureCount, 0);
+    });
+
+    it('retries a stream only until it has produced something', async () => {
+        const service = createService({ retries: 2 });
+        let attempts = 0;
+        const stream = service.stream(async function* () {
+            attempts++;
+            if (attempts === 1) {
+                throw httpError(503);
+            }
+            yield 'Take';
+            yield ' a breath';
+            throw httpError(503);
+        });
+
+        const tokens = [];
+        await assert.rejects((async () => {
+            for await (const token of stream) {
+                tokens.push(token);
+            }
+        })(), /status code 503/);
+        assert.deepEqual(tokens, ['Take', ' a breath']);
+        assert.equal(attempts, 2);
+    });
+});
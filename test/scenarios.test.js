@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ScenarioRegistry, ScenarioValidationError, validateScenarioConfig } = require('../scenarios');
+const { CoachingReporter, toMarkdown } = require('../reports');
+const { Personality } = require('../personalities');
+const { SharedTranscript } = require('../memory');
+
+const registry = new ScenarioRegistry().load();
+
+// Enough of a Session for the reporter: a transcript, personalities and the scenario
+function createSession(scenario, entries) {
+    const transcript = new SharedTranscript();
+    entries.forEach(([personalityId, content]) => transcript.add(personalityId
+        ? { role: 'assistant', personalityId, speaker: personalityId === 'critic' ? 'The Critic' : 'The Advisor', content }
+        : { role: 'user', personalityId: null, speaker: 'User', content }));
+    return {
+        id: 'session-1',
+        createdAt: Date.now() - 60000,
+        scenario,
+        transcript,
+        personalities: { advisor: { id: 'advisor', name: 'The Advisor' }, critic: { id: 'critic', name: 'The Critic' } }
+    };
+}
+
+const CONVERSATION = [
+    [null, 'I want ten percent more'],
+    ['advisor', 'Lead with your results'],
+    ['critic', 'You sound unsure'],
+    [null, 'Maybe five is fine'],
+    ['critic', 'Do not concede yet']
+];
+
+describe('ScenarioRegistry', () => {
+    it('loads the bundled scenarios', () => {
+        assert.deepEqual(registry.getAll().map(scenario => scenario.id), ['job-interview', 'pitch-rehearsal', 'salary-negotiation']);
+    });
+
+    it('validates definitions', () => {
+        assert.deepEqual(validateScenarioConfig({ id: 'Bad id', name: 'x', goal: ' ', personalities: { critic: 3 } }), [
+            'id must be lowercase letters, digits, "-" or "_"',
+            'goal is required',
+            'personalities must map personality ids to prompt text'
+        ]);
+    });
+
+    it('lets the user\'s own goal and context replace the scenario\'s', () => {
+        const scenario = registry.resolve({ scenarioId: 'job-interview', goal: 'Get the design lead role ', context: '' });
+        assert.equal(scenario.name, 'Job interview');
+        assert.equal(scenario.goal, 'Get the design lead role');
+        assert.equal(scenario.context, '');
+        assert.equal(scenario.checkpoints.length, 4);
+        assert.equal(registry.resolve({ goal: 'Say no to overtime' }).name, 'Custom goal');
+    });
+
+    it('needs a known scenario or a goal', () => {
+        assert.throws(() => registry.resolve({ scenarioId: 'unknown' }), ScenarioValidationError);
+        assert.throws(() => registry.resolve({}), /scenarioId or goal is required/);
+    });
+});
+
+describe('scenario prompts', () => {
+    it('adds the goal, background and the personality\'s own overlay to its system prompt', () => {
+        const scenario = registry.resolve({ scenarioId: 'salary-negotiation' });
+        const critic = new Personality({ id: 'critic', name: 'The Critic', position: { x: 0, y: 0, z: 1 }, systemPrompt: 'Be blunt.' }, { scenario });
+        const prompt = critic.getSystemPrompt();
+
+        assert.match(prompt, /^Be blunt\.\n\nThe user is practising: Salary negotiation\. Their goal: Agree on a raise/);
+        assert.match(prompt, /\nBackground: The user is talking to their manager/);
+        assert.match(prompt, /\nIn this scenario: Flag hedging/);
+        assert.doesNotMatch(prompt, /Suggest the next ask/);
+        assert.ok(critic.getFullPrompt().startsWith(prompt));
+    });
+});
+
+describe('CoachingReporter', () => {
+    const scenario = registry.resolve({ scenarioId: 'salary-negotiation' });
+
+    it('merges the LLM review with the transcript, dropping lines that do not exist', async () => {
+        const llmClient = {
+            chat: async () => '```json\n' + JSON.stringify({
+                goalProgress: { status: 'not_achieved', summary: 'Conceded.', checkpoints: [{ checkpoint: 'States a number', met: true, evidence: 'line 1' }] },
+                keyMoments: [{ line: 4, note: 'Dropped the ask' }, { line: 40, note: 'Invented' }],
+                personalityFlags: { critic: ['Conceding early'], nobody: ['Ignored'] },
+                nextSteps: ['Hold the number']
+            }) + '\n```'
+        };
+        const report = await new CoachingReporter({ llmClient }).generate(createSession(scenario, CONVERSATION));
+
+        assert.equal(report.source, 'llm');
+        assert.equal(report.turns, 2);
+        assert.deepEqual(report.goalProgress.checkpoints, [{ checkpoint: 'States a number', met: true, evidence: 'line 1' }]);
+        assert.deepEqual(report.keyMoments.map(moment => [moment.line, moment.quote]), [[4, 'Maybe five is fine']]);
+        assert.deepEqual(report.personalities.map(personality => [personality.id, personality.interjections, personality.flags]), [
+            ['advisor', 1, ['Lead with your results']],
+            ['critic', 2, ['Conceding early']]
+        ]);
+        assert.deepEqual(report.nextSteps, ['Hold the number']);
+    });
+
+    it('reports from the transcript alone when the LLM fails', async () => {
+        const llmClient = { chat: async () => 'Sorry, I cannot help with that.' };
+        const report = await new CoachingReporter({ llmClient }).generate(createSession(scenario, CONVERSATION));
+
+        assert.equal(report.source, 'transcript');
+        assert.equal(report.error, 'the answer was not a JSON object');
+        assert.equal(report.goalProgress.status, 'unknown');
+        assert.ok(report.goalProgress.checkpoints.every(item => item.met === null));
+        assert.deepEqual(report.keyMoments.map(moment => [moment.line, moment.note]), [
+            [1, 'Drew replies from The Advisor, The Critic'],
+            [4, 'Drew replies from The Critic']
+        ]);
+
+        const markdown = toMarkdown(report);
+        assert.match(markdown, /_The coach could not review this session \(the answer was not a JSON object\)/);
+        assert.match(markdown, /- \[ \] States a specific number before the other side does/);
+        assert.match(markdown, /### The Critic \(2 interjections\)\n\n- You sound unsure\n- Do not concede yet/);
+        assert.match(markdown, /## Transcript\n\n1\. \*\*User:\*\* I want ten percent more/);
+    });
+
+    it('does not ask the LLM about a session without user turns', async () => {
+        let calls = 0;
+        const report = await new CoachingReporter({ llmClient: { chat: async () => { calls++; return '{}'; } } })
+            .generate(createSession(null, []));
+        assert.equal(calls, 0);
+        assert.equal(report.scenario, null);
+        assert.deepEqual(report.transcript, []);
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PersonalityManager, Session, NoActivePersonalityError } = require('../sessions');
+const { PersonalityRouter } = require('../routing');
+
+// Stand-ins for Personality instances; the manager only looks at ids
+function createPersonalities(ids) {
+    return Object.fromEntries(ids.map(id => [id, { id }]));
+}
+
+const idsOf = (personalities) => personalities.map(personality => personality.id);
+
+describe('PersonalityManager rotation', () => {
+    it('cycles through the active personalities in order', () => {
+        const manager = new PersonalityManager(createPersonalities(['advisor', 'critic', 'supporter']), 'multiple');
+
+        const picked = Array.from({ length: 7 }, () => manager.selectPersonality());
+
+        assert.deepEqual(idsOf(picked), ['advisor', 'critic', 'supporter', 'advisor', 'critic', 'supporter', 'advisor']);
+    });
+
+    it('skips personalities outside the given ids without losing its place', () => {
+        const manager = new PersonalityManager(createPersonalities(['advisor', 'critic', 'supporter']), 'multiple');
+
+        assert.equal(manager.getNextPersonality(['critic', 'supporter']).id, 'critic');
+        assert.equal(manager.getNextPersonality(['advisor', 'supporter']).id, 'supporter');
+        assert.equal(manager.getNextPersonality().id, 'advisor');
+    });
+
+    it('falls back to the first given id when none of them is active', () => {
+        const personalities = createPersonalities(['advisor', 'critic', 'supporter']);
+        const manager = new PersonalityManager(personalities, 'multiple', ['advisor', 'critic']);
+
+        assert.equal(manager.getNextPersonality(['supporter']).id, 'supporter');
+    });
+
+    it('only rotates over the active personalities', () => {
+        const manager = new PersonalityManager(createPersonalities(['advisor', 'critic', 'supporter']), 'multiple', ['critic', 'supporter']);
+
+        assert.deepEqual(idsOf([manager.selectPersonality(), manager.selectPersonality(), manager.selectPersonality()]),
+            ['critic', 'supporter', 'critic']);
+    });
+
+    it('keeps the rotation in range when the active personalities shrink', () => {
+        const personalities = createPersonalities(['advisor', 'critic', 'supporter']);
+        const manager = new PersonalityManager(personalities, 'multiple');
+        manager.selectPersonality();
+        manager.selectPersonality();
+
+        manager.setActivePersonalities(['advisor', 'critic']);
+
+        assert.equal(manager.currentPersonalityIndex, 0);
+        assert.equal(manager.selectPersonality().id, 'advisor');
+    });
+
+    it('forgets a current personality that was removed', () => {
+        const personalities = createPersonalities(['advisor', 'critic']);
+        const manager = new PersonalityManager(personalities);
+        manager.setPersonality('critic');
+
+        delete personalities.critic;
+        manager.setActivePersonalities(['advisor']);
+
+        assert.equal(manager.currentPersonality, null);
+        assert.equal(manager.selectPersonality().id, 'advisor');
+    });
+
+    it('answers with the current personality, or the advisor, in single mode', () => {
+        const manager = new PersonalityManager(createPersonalities(['critic', 'advisor']), 'single');
+
+        assert.equal(manager.selectPersonality().id, 'advisor');
+        assert.equal(manager.selectPersonality().id, 'advisor');
+
+        manager.setPersonality('critic');
+        assert.equal(manager.selectPersonality().id, 'critic');
+    });
+
+    it('falls back to the advisor, then the first active personality, for unknown ids', () => {
+        assert.equal(new PersonalityManager(createPersonalities(['critic', 'advisor'])).getPersonality('nobody').id, 'advisor');
+        assert.equal(new PersonalityManager(createPersonalities(['critic', 'supporter'])).getPersonality('nobody').id, 'critic');
+    });
+});
+
+describe('deactivated personalities', () => {
+    it('never answer in single mode, not even the advisor', () => {
+        const manager = new PersonalityManager(createPersonalities(['advisor', 'critic', 'supporter', 'spy']), 'single', ['spy']);
+
+        assert.equal(manager.selectPersonality().id, 'spy');
+        assert.equal(manager.getPersonality('nobody').id, 'spy');
+
+        manager.setPersonality('critic');
+        assert.equal(manager.selectPersonality().id, 'spy');
+
+        manager.setActivePersonalities(['critic', 'spy']);
+        assert.equal(manager.selectPersonality().id, 'critic');
+    });
+
+    it('answer through a session once the registry marks them inactive', () => {
+        const configs = ['advisor', 'critic', 'supporter', 'spy'].map(id => ({ id, name: id, voices: {}, position: { x: 0, y: 0, z: 1 }, systemPrompt: '' }));
+        const registry = { getConfigs: () => configs, getActiveIds: () => ['spy'], on() {} };
+        const { manager } = new Session({ id: 'session-1', registry, personalityMode: 'single' });
+
+        assert.equal(manager.selectPersonality().id, 'spy');
+    });
+});
+
+describe('an empty personality registry', () => {
+    const registry = { getConfigs: () => [], getActiveIds: () => [], on() {} };
+
+    it('leaves nobody to answer in either mode', () => {
+        ['single', 'multiple'].forEach(mode => {
+            const { manager } = new Session({ id: 'session-1', registry, personalityMode: mode });
+            assert.equal(manager.selectPersonality(), null);
+            assert.equal(manager.getNextPersonality(), null);
+            assert.equal(manager.getPersonality('advisor'), null);
+        });
+    });
+
+    it('does not answer personalities that are all deactivated', () => {
+        const manager = new PersonalityManager(createPersonalities(['advisor', 'critic']), 'single', []);
+        assert.equal(manager.selectPersonality(), null);
+    });
+
+    it('makes routing fail with NoActivePersonalityError', async () => {
+        const session = new Session({ id: 'session-1', registry, personalityMode: 'multiple' });
+        for (const mode of ['single', 'multiple', 'keyword']) {
+            await assert.rejects(new PersonalityRouter({ mode }).route(session, 'hello'), NoActivePersonalityError);
+        }
+    });
+});
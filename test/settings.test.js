@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SettingsStore, DEFAULT_SETTINGS } = require('../settings');
+
+describe('SettingsStore', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twys-settings-'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('skips stored sections that are not objects', async () => {
+        fs.writeFileSync(path.join(dir, 'hand-edited.json'), JSON.stringify({ vad: null, playback: { volume: 0.5, fadeMs: 'slow' } }));
+        const store = new SettingsStore({ dir });
+
+        const settings = await store.get('hand-edited');
+
+        assert.deepEqual(settings.vad, DEFAULT_SETTINGS.vad);
+        assert.equal(settings.playback.volume, 0.5);
+        assert.equal(settings.playback.fadeMs, DEFAULT_SETTINGS.playback.fadeMs);
+        assert.equal((await store.update('hand-edited', { vad: { minSpeechFrames: 5 } })).vad.minSpeechFrames, 5);
+    });
+
+    it('falls back to the defaults when the file is not an object', async () => {
+        fs.writeFileSync(path.join(dir, 'corrupt.json'), 'null');
+        fs.writeFileSync(path.join(dir, 'list.json'), '[1, 2]');
+        const store = new SettingsStore({ dir });
+
+        assert.deepEqual(await store.get('corrupt'), DEFAULT_SETTINGS);
+        assert.deepEqual(await store.get('list'), DEFAULT_SETTINGS);
+    });
+});
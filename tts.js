@@ -0,0 +1,144 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { timeLog, runCommand } = require('./utils');
+
+// Text-to-speech provider for the ElevenLabs API
+class ElevenLabsSynthesizer {
+    constructor(config = {}) {
+        this.name = 'elevenlabs';
+        this.baseUrl = config.baseUrl || 'https://api.elevenlabs.io/v1';
+        this.apiKey = config.apiKey;
+        this.model = config.model;
+        this.contentType = 'audio/mpeg';
+        this.extension = 'mp3';
+    }
+
+    async synthesize(text, voice, options = {}) {
+        const response = await axios.post(`${this.baseUrl}/text-to-speech/${voice}`, {
+            text,
+            model_id: this.model,
+        }, {
+            headers: {
+                'xi-api-key': this.apiKey,
+                'Accept': 'audio/mpeg',
+                'Content-Type': 'application/json'
+            },
+            responseType: 'arraybuffer',
+            signal: options.signal
+        });
+        return Buffer.from(response.data);
+    }
+}
+
+// Any server exposing the OpenAI speech route (OpenAI, openedai-speech, Kokoro, ...)
+class OpenAISpeechSynthesizer {
+    constructor(config = {}) {
+        this.name = 'openai';
+        this.baseUrl = config.baseUrl || 'https://api.openai.com/v1';
+        this.apiKey = config.apiKey;
+        this.model = config.model || 'tts-1';
+        this.contentType = 'audio/mpeg';
+        this.extension = 'mp3';
+    }
+
+    async synthesize(text, voice, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/audio/speech`, {
+            model: this.model,
+            input: text,
+            voice,
+            response_format: 'mp3'
+        }, {
+            headers,
+            responseType: 'arraybuffer',
+            signal: options.signal
+        });
+        return Buffer.from(response.data);
+    }
+}
+
+// Local Piper engine; voice is a model name resolved inside modelDir (or a path to an .onnx file)
+class PiperSynthesizer {
+    constructor(config = {}) {
+        this.name = 'piper';
+        this.binary = config.binary || 'piper';
+        this.modelDir = config.modelDir || path.join(__dirname, 'voices');
+        this.contentType = 'audio/wav';
+        this.extension = 'wav';
+    }
+
+    async synthesize(text, voice, options = {}) {
+        const modelPath = voice.endsWith('.onnx') ? voice : path.join(this.modelDir, `${voice}.onnx`);
+        // Unique per call: phrases are synthesized in parallel and each call removes its own file
+        const outputPath = path.join(os.tmpdir(), `piper_${crypto.randomUUID()}.wav`);
+
+        try {
+            await runCommand(this.binary, ['--model', modelPath, '--output_file', outputPath], text, options.signal);
+            return fs.readFileSync(outputPath);
+        } finally {
+            fs.rmSync(outputPath, { force: true });
+        }
+    }
+}
+
+// Local espeak-ng engine; voice is an espeak voice name such as "en-us+f3"
+class EspeakSynthesizer {
+    constructor(config = {}) {
+        this.name = 'espeak';
+        this.binary = config.binary || 'espeak-ng';
+        this.contentType = 'audio/wav';
+        this.extension = 'wav';
+    }
+
+    async synthesize(text, voice, options = {}) {
+        return runCommand(this.binary, ['-v', voice, '--stdin', '--stdout'], text, options.signal);
+    }
+}
+
+const TTS_PROVIDERS = {
+    elevenlabs: ElevenLabsSynthesizer,
+    openai: OpenAISpeechSynthesizer,
+    piper: PiperSynthesizer,
+    espeak: EspeakSynthesizer
+};
+
+// Build the TTS provider selected by TTS_PROVIDER (defaults to elevenlabs)
+function createTtsProvider(env = process.env) {
+    const providerName = (env.TTS_PROVIDER || 'elevenlabs').toLowerCase();
+    const Provider = TTS_PROVIDERS[providerName];
+    if (!Provider) {
+        throw new Error(`Unknown TTS provider: ${providerName}`);
+    }
+
+    const defaults = {
+        elevenlabs: { apiKey: env.ELEVENLABS_API_KEY, model: env.ELEVENLABS_MODEL_ID },
+        openai: { apiKey: env.OPENAI_API_KEY },
+        piper: { binary: env.PIPER_BINARY, modelDir: env.PIPER_MODEL_DIR },
+        espeak: { binary: env.ESPEAK_BINARY }
+    }[providerName];
+
+    const provider = new Provider({
+        ...defaults,
+        ...(env.TTS_BASE_URL && { baseUrl: env.TTS_BASE_URL }),
+        ...(env.TTS_MODEL && { model: env.TTS_MODEL }),
+        ...(env.TTS_API_KEY && { apiKey: env.TTS_API_KEY })
+    });
+    timeLog(`Using TTS provider: ${provider.name}`);
+    return provider;
+}
+
+module.exports = {
+    ElevenLabsSynthesizer,
+    OpenAISpeechSynthesizer,
+    PiperSynthesizer,
+    EspeakSynthesizer,
+    TTS_PROVIDERS,
+    createTtsProvider
+};
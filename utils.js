@@ -0,0 +1,40 @@
+const { spawn } = require('child_process');
+
+// Shared logging helper used by the server modules
+function timeLog(message, startTime) {
+    const elapsed = startTime ? ((Date.now() - startTime) / 1000).toFixed(2) : 0;
+    const timestamp = new Date().toLocaleTimeString();
+    console.log(`[${timestamp}] ${message}${startTime ? ` (${elapsed}s)` : ''}`);
+    return Date.now();
+}
+
+// Run a local binary, feeding it stdin and collecting stdout as a Buffer; the signal kills it
+function runCommand(binary, args, input, signal) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(binary, args, { signal });
+        const chunks = [];
+        let stderr = '';
+
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', reject);
+        // A binary that exits without reading its input fails through its exit code, not EPIPE
+        child.stdin.on('error', () => {});
+        child.on('close', code => {
+            if (code !== 0) {
+                return reject(new Error(`${binary} exited with ${code}: ${stderr.trim()}`));
+            }
+            resolve(Buffer.concat(chunks));
+        });
+
+        if (input !== undefined) {
+            child.stdin.write(input);
+        }
+        child.stdin.end();
+    });
+}
+
+module.exports = {
+    timeLog,
+    runCommand
+};
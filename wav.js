@@ -0,0 +1,111 @@
+// PCM WAV encoding and decoding, shared by the speech-to-text conversion, the recorder and the CLI
+
+// PCM WAV -> {sampleRate, channels, samples} with samples as Float32Array per channel; null for anything else
+function decodeWav(buffer) {
+    if (buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        if (chunkId === 'fmt ') {
+            // A header that does not fit, or claims no channels, rate or sample size, is not audio we can read
+            if (chunkSize < 16 || body + 16 > buffer.length) {
+                return null;
+            }
+            format = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (chunkId === 'data' && format) {
+            // 16-bit integer and 32-bit float PCM, the formats TTS engines and recorders write
+            const isFloat = format.audioFormat === 3 && format.bitsPerSample === 32;
+            if (!isFloat && !(format.audioFormat === 1 && format.bitsPerSample === 16)) {
+                return null;
+            }
+            if (format.channels === 0 || format.sampleRate === 0) {
+                return null;
+            }
+            const bytesPerSample = format.bitsPerSample / 8;
+            const end = Math.min(body + chunkSize, buffer.length);
+            const frames = Math.floor((end - body) / (bytesPerSample * format.channels));
+            const samples = Array.from({ length: format.channels }, () => new Float32Array(frames));
+            for (let frame = 0; frame < frames; frame++) {
+                for (let channel = 0; channel < format.channels; channel++) {
+                    const position = body + (frame * format.channels + channel) * bytesPerSample;
+                    samples[channel][frame] = isFloat ? buffer.readFloatLE(position) : buffer.readInt16LE(position) / 32768;
+                }
+            }
+            return { sampleRate: format.sampleRate, channels: format.channels, samples };
+        }
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+    return null;
+}
+
+// Float32Array channels -> 16-bit PCM WAV
+function encodeWav(channels, sampleRate) {
+    const frames = channels[0].length;
+    const dataSize = frames * channels.length * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(channels.length, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * channels.length * 2, 28);
+    buffer.writeUInt16LE(channels.length * 2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+    for (let frame = 0; frame < frames; frame++) {
+        channels.forEach((samples, channel) => {
+            const value = Math.max(-1, Math.min(1, samples[frame]));
+            buffer.writeInt16LE(Math.round(value < 0 ? value * 32768 : value * 32767), 44 + (frame * channels.length + channel) * 2);
+        });
+    }
+    return buffer;
+}
+
+function mixToMono(channels) {
+    if (channels.length === 1) {
+        return channels[0];
+    }
+    const mono = new Float32Array(channels[0].length);
+    channels.forEach(samples => samples.forEach((value, index) => { mono[index] += value / channels.length; }));
+    return mono;
+}
+
+// Length of a PCM WAV buffer in milliseconds, or null for anything else
+function wavDurationMs(buffer) {
+    if (buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+    const byteRate = buffer.readUInt32LE(28);
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        if (chunkId === 'data') {
+            const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+            return byteRate > 0 ? Math.round(dataSize / byteRate * 1000) : null;
+        }
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    return null;
+}
+
+module.exports = {
+    decodeWav,
+    encodeWav,
+    mixToMono,
+    wavDurationMs
+};